@@ -26,6 +26,24 @@ function App() {
     }
   }, [hasAccess]);
 
+  useEffect(() => {
+    if (hasAccess && activeTab === "streams") {
+      // Keep live stats and viewer counts current while the tab is open
+      const interval = setInterval(fetchStreams, 5000);
+      return () => clearInterval(interval);
+    }
+  }, [hasAccess, activeTab]);
+
+  useEffect(() => {
+    const status = selectedVideo?.hls?.status;
+    if (!hasAccess || activeTab !== "videos" || !status) return;
+    if (status === "ready" || status === "failed") return;
+    // Playback starts packaging; the player switches to HLS once it is ready
+    const filename = selectedVideo.filename;
+    const interval = setInterval(() => fetchVideoPackage(filename), 5000);
+    return () => clearInterval(interval);
+  }, [hasAccess, activeTab, selectedVideo?.filename, selectedVideo?.hls?.status]);
+
   const handleAccessGranted = (ticket) => {
     setTicketId(ticket);
     setHasAccess(true);
@@ -48,17 +66,7 @@ function App() {
       setImages(imagesData.images);
 
       // Fetch streams (RTSP + RTMP)
-      const rtspResponse = await fetch("/api/streams");
-      const rtmpResponse = await fetch("/api/rtmp/streams");
-      if (rtspResponse.ok && rtmpResponse.ok) {
-        const rtspData = await rtspResponse.json();
-        const rtmpData = await rtmpResponse.json();
-        const allStreams = [
-          ...rtspData.streams.map((s) => ({ ...s, type: "RTSP" })),
-          ...rtmpData.streams.map((s) => ({ ...s, type: "RTMP" })),
-        ];
-        setStreams(allStreams);
-      }
+      await fetchStreams();
 
       // Fetch public files
       const publicResponse = await fetch("/api/public");
@@ -80,6 +88,105 @@ function App() {
     }
   };
 
+  const fetchVideoPackage = async (filename) => {
+    try {
+      const response = await fetch(
+        `/api/videos/${encodeURIComponent(filename)}/hls`
+      );
+      if (!response.ok) return;
+      const { package: hls } = await response.json();
+      const update = (video) =>
+        video.filename === filename ? { ...video, hls } : video;
+      setVideos((current) => current.map(update));
+      setSelectedVideo((current) => current && update(current));
+    } catch (error) {
+      console.error("Error fetching video package:", error);
+    }
+  };
+
+  const formatVideoPackage = (hls) => {
+    if (!hls) return null;
+    switch (hls.status) {
+      case "ready":
+        return `Adaptive HLS: ${hls.renditions.join(" / ")}`;
+      case "packaging":
+        return `Preparing adaptive stream… ${hls.progress ?? 0}%`;
+      case "queued":
+        return "Adaptive stream queued";
+      case "failed":
+        return `Adaptive stream unavailable: ${hls.error}`;
+      default:
+        return null;
+    }
+  };
+
+  const fetchStreams = async () => {
+    try {
+      const rtspResponse = await fetch("/api/streams");
+      const rtmpResponse = await fetch("/api/rtmp/streams");
+      if (!rtspResponse.ok || !rtmpResponse.ok) return;
+
+      const rtspData = await rtspResponse.json();
+      const rtmpData = await rtmpResponse.json();
+      const allStreams = [
+        ...rtspData.streams.map((s) => ({ ...s, type: "RTSP" })),
+        ...rtmpData.streams.map((s) => ({ ...s, type: "RTMP" })),
+      ];
+      setStreams(allStreams);
+      // Refresh the selected stream's stats without switching streams
+      setSelectedStream((current) =>
+        current
+          ? allStreams.find(
+              (s) =>
+                s.type === current.type &&
+                (s.type === "RTSP"
+                  ? s.id === current.id
+                  : s.streamKey === current.streamKey)
+            ) || current
+          : current
+      );
+    } catch (error) {
+      console.error("Error fetching streams:", error);
+    }
+  };
+
+  const formatStreamStats = (stream) => {
+    const stats = stream.stats;
+    const lines = [];
+    if (stats) {
+      const video = stats.video;
+      if (video) {
+        lines.push(
+          `Video: ${video.codec}${
+            video.width ? ` ${video.width}x${video.height}` : ""
+          }${video.fps ? ` @ ${video.fps} fps` : ""}`
+        );
+      }
+      if (stats.inputBitrate !== null || stats.outputBitrate !== null) {
+        const kbps = (value) => (value === null ? "–" : `${value} kbps`);
+        lines.push(
+          `Bitrate: ${kbps(stats.inputBitrate)} in / ${kbps(
+            stats.outputBitrate
+          )} out`
+        );
+      }
+      if (stats.fps !== null) {
+        lines.push(
+          `Output: ${stats.fps} fps${
+            stats.droppedFrames ? `, ${stats.droppedFrames} dropped frames` : ""
+          }`
+        );
+      }
+      if (stats.keyframeInterval !== null) {
+        lines.push(`Keyframe interval: ${stats.keyframeInterval}s`);
+      }
+    }
+    if (typeof stream.viewers === "number") {
+      lines.push(`Viewers: ${stream.viewers}`);
+    }
+    return lines;
+  };
+
   const fetchWorkerStatus = async () => {
     try {
       const response = await fetch("/api/rtmp/worker-status");
@@ -546,6 +653,17 @@ function App() {
                             width: "100%",
                           },
                         },
+                        video.thumbnailUrl &&
+                          React.createElement("img", {
+                            src: video.thumbnailUrl,
+                            alt: video.filename,
+                            loading: "lazy",
+                            style: {
+                              width: "100%",
+                              borderRadius: "6px",
+                              border: "1px solid rgba(255, 20, 147, 0.5)",
+                            },
+                          }),
                         React.createElement(
                           "span",
                           {
@@ -565,7 +683,13 @@ function App() {
                               color: "var(--primary-alt)",
                             },
                           },
-                          `${video.sizeMB} MB`
+                          video.broadcast
+                            ? `📡 ${video.broadcast.streamKey} • ${new Date(
+                                video.broadcast.startTime
+                              ).toLocaleString()} • ${Math.round(
+                                (video.broadcast.duration || 0) / 60
+                              )} min • ${video.sizeMB} MB`
+                            : `${video.sizeMB} MB`
                         )
                       )
                     )
@@ -698,12 +822,29 @@ function App() {
                       },
                     },
                     `🎬 ${selectedVideo.filename}`
-                  )
+                  ),
+                  formatVideoPackage(selectedVideo.hls) &&
+                    React.createElement(
+                      "p",
+                      {
+                        style: {
+                          margin: "0.4rem 0 0 0",
+                          fontSize: "0.8rem",
+                          opacity: 0.8,
+                          textAlign: "center",
+                        },
+                      },
+                      formatVideoPackage(selectedVideo.hls)
+                    )
                 ),
               activeTab === "videos" &&
                 selectedVideo &&
                 React.createElement(VideoPlayer, {
-                  videoSrc: `/videos/${selectedVideo.filename}?ticket=${ticketId}`,
+                  videoSrc: `/videos/${encodeURIComponent(selectedVideo.filename)}?ticket=${ticketId}`,
+                  hlsSrc:
+                    selectedVideo.hls?.status === "ready"
+                      ? `${selectedVideo.hls.masterUrl}?ticket=${ticketId}`
+                      : null,
                   title: selectedVideo.filename,
                 }),
               activeTab === "images" &&
@@ -778,11 +919,12 @@ function App() {
                       border: "2px solid rgba(0, 255, 255, 0.6)",
                       boxShadow: "0 0 30px rgba(0, 255, 255, 0.4)",
                     },
-                    src:
-                      selectedStream.playlistUrl ||
-                      (selectedStream.type === "RTSP"
-                        ? `/streams/${selectedStream.id}.m3u8`
-                        : selectedStream.playlistUrl),
+                    // Live HLS needs the queue ticket like stored videos
+                    src: `${
+                      selectedStream.lowLatencyUrl ||
+                      selectedStream.masterUrl ||
+                      selectedStream.playlistUrl
+                    }?ticket=${ticketId}`,
                   }),
                   React.createElement(
                     "div",
@@ -799,6 +941,12 @@ function App() {
                       null,
                       `Type: ${selectedStream.type}`
                     ),
+                    selectedStream.renditions &&
+                      React.createElement(
+                        "p",
+                        null,
+                        `Renditions: ${selectedStream.renditions.join(" / ")}`
+                      ),
                     selectedStream.uptime &&
                       React.createElement(
                         "p",
@@ -806,7 +954,10 @@ function App() {
                         `Uptime: ${Math.floor(
                           selectedStream.uptime / 60
                         )} minutes`
-                      )
+                      ),
+                    ...formatStreamStats(selectedStream).map((line) =>
+                      React.createElement("p", { key: line }, line)
+                    )
                   )
                 )
             )
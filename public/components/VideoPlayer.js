@@ -1,5 +1,5 @@
 // Video Player Component
-function VideoPlayer({ videoSrc, title }) {
+function VideoPlayer({ videoSrc, hlsSrc, title }) {
   const { useState, useEffect, useRef } = React;
   const [isPlaying, setIsPlaying] = useState(false);
   const [currentTime, setCurrentTime] = useState(0);
@@ -9,6 +9,50 @@ function VideoPlayer({ videoSrc, title }) {
   const [error, setError] = useState(null);
 
   const videoRef = useRef(null);
+  const loadedSrcRef = useRef(null);
+
+  // Play the HLS package when there is one (natively or through hls.js),
+  // otherwise the file itself. Switching to HLS keeps the playback position.
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video) return;
+
+    const nativeHls = video.canPlayType("application/vnd.apple.mpegurl") !== "";
+    const useHls = hlsSrc && (nativeHls || window.Hls?.isSupported());
+    const resume =
+      loadedSrcRef.current === videoSrc && video.currentTime > 0
+        ? { time: video.currentTime, playing: !video.paused }
+        : null;
+    loadedSrcRef.current = videoSrc;
+
+    const handleResume = () => {
+      if (!resume) return;
+      video.currentTime = resume.time;
+      if (resume.playing) video.play().catch(() => {});
+    };
+    video.addEventListener("loadedmetadata", handleResume, { once: true });
+
+    let hls = null;
+    if (useHls && !nativeHls) {
+      hls = new window.Hls();
+      hls.on(window.Hls.Events.ERROR, (event, data) => {
+        if (!data.fatal) return;
+        // Fall back to the file
+        hls.destroy();
+        hls = null;
+        video.src = videoSrc;
+      });
+      hls.loadSource(hlsSrc);
+      hls.attachMedia(video);
+    } else {
+      video.src = useHls ? hlsSrc : videoSrc;
+    }
+
+    return () => {
+      video.removeEventListener("loadedmetadata", handleResume);
+      hls?.destroy();
+    };
+  }, [videoSrc, hlsSrc]);
 
   useEffect(() => {
     const video = videoRef.current;
@@ -103,7 +147,6 @@ function VideoPlayer({ videoSrc, title }) {
       },
       React.createElement("video", {
         ref: videoRef,
-        src: videoSrc,
         style: {
           width: "100%",
           height: "auto",
@@ -0,0 +1,181 @@
+/**
+ * Broadcast Archiver
+ *
+ * Turns finished RTMP broadcasts into on-demand videos. node-media-server
+ * records each broadcast to an FLV next to its HLS output; once the recording
+ * is closed, the archiver remuxes it into a single faststart MP4 in `VIDEOS/`, grabs a thumbnail and stores a metadata record (duration,
+ * start/end time, stream key) in `broadcasts.json`.
+ *
+ * @module broadcast-archiver
+ */
+
+import ffmpeg from "fluent-ffmpeg";
+import fs from "fs";
+import path from "path";
+
+export interface ArchiveConfig {
+  ffmpegPath?: string;
+  ffprobePath?: string;
+  videosDir: string;
+  thumbnailsDir: string;
+  /** JSON file holding the broadcast metadata records */
+  metadataPath: string;
+  /** Keep node-media-server's raw recording after publishing (default: false) */
+  keepSource?: boolean;
+}
+
+export interface BroadcastRecord {
+  filename: string;
+  streamKey: string;
+  name: string;
+  startTime: string;
+  endTime: string;
+  duration: number | null;
+  size: number;
+  thumbnail: string | null;
+}
+
+/**
+ * Read all broadcast metadata records (newest first)
+ */
+export function readBroadcastRecords(metadataPath: string): BroadcastRecord[] {
+  try {
+    if (!fs.existsSync(metadataPath)) return [];
+    return JSON.parse(fs.readFileSync(metadataPath, "utf8")) as BroadcastRecord[];
+  } catch (error) {
+    console.error("Error reading broadcast metadata:", error);
+    return [];
+  }
+}
+
+function formatTimestamp(date: Date): string {
+  const pad = (value: number) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}_${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`;
+}
+
+function runFfmpeg(command: ffmpeg.FfmpegCommand): Promise<void> {
+  return new Promise((resolve, reject) => {
+    command.on("end", () => resolve()).on("error", (err) => reject(err)).run();
+  });
+}
+
+function probeDuration(filePath: string): Promise<number | null> {
+  return new Promise((resolve) => {
+    (ffmpeg as any).ffprobe(filePath, (err: Error | null, data: any) => {
+      const duration = err ? NaN : parseFloat(data?.format?.duration);
+      resolve(Number.isFinite(duration) ? Math.round(duration) : null);
+    });
+  });
+}
+
+/**
+ * Broadcast Archiver
+ * Publishes finished RTMP broadcasts to VIDEOS/
+ */
+export class BroadcastArchiver {
+  private config: ArchiveConfig;
+  private queue: Promise<void>;
+
+  constructor(config: ArchiveConfig) {
+    this.config = config;
+    this.queue = Promise.resolve();
+
+    if (this.config.ffmpegPath) {
+      (ffmpeg as any).setFfmpegPath(this.config.ffmpegPath);
+    }
+    if (this.config.ffprobePath) {
+      (ffmpeg as any).setFfprobePath(this.config.ffprobePath);
+    }
+  }
+
+  /**
+   * Queue a finished broadcast's closed recording for publishing (archives run
+   * one at a time)
+   */
+  archive(source: string, streamKey: string, name: string, startTime: Date, endTime: Date): Promise<BroadcastRecord | null> {
+    const job = this.queue.then(() => this.publish(source, streamKey, name, startTime, endTime));
+    this.queue = job.then(() => undefined, () => undefined);
+    return job;
+  }
+
+  private async publish(source: string, streamKey: string, name: string, startTime: Date, endTime: Date): Promise<BroadcastRecord | null> {
+    if (!fs.existsSync(source)) {
+      console.warn(`⚠️ Recording of broadcast ${streamKey} is missing, skipping archive`);
+      return null;
+    }
+
+    const safeKey = streamKey.replace(/[^a-zA-Z0-9_-]/g, "_");
+    const baseName = `${safeKey}_${formatTimestamp(startTime)}`;
+    const videoPath = path.join(this.config.videosDir, `${baseName}.mp4`);
+    const thumbnailPath = path.join(this.config.thumbnailsDir, `${baseName}.jpg`);
+
+    fs.mkdirSync(this.config.videosDir, { recursive: true });
+    fs.mkdirSync(this.config.thumbnailsDir, { recursive: true });
+
+    console.log(`📼 Publishing broadcast ${streamKey} as ${path.basename(videoPath)}`);
+
+    try {
+      await runFfmpeg(
+        ffmpeg(source)
+          .outputOptions(["-c", "copy", "-movflags", "+faststart"])
+          .output(videoPath)
+      );
+    } catch (error) {
+      console.error(`❌ Failed to remux broadcast ${streamKey}:`, error instanceof Error ? error.message : error);
+      fs.rmSync(videoPath, { force: true });
+      return null;
+    }
+
+    const duration = await probeDuration(videoPath);
+    const thumbnail = await this.createThumbnail(videoPath, thumbnailPath, duration);
+
+    const record: BroadcastRecord = {
+      filename: path.basename(videoPath),
+      streamKey,
+      name,
+      startTime: startTime.toISOString(),
+      endTime: endTime.toISOString(),
+      duration,
+      size: fs.statSync(videoPath).size,
+      thumbnail: thumbnail ? path.basename(thumbnailPath) : null,
+    };
+    this.saveRecord(record);
+
+    if (!this.config.keepSource) {
+      fs.rmSync(source, { force: true });
+    }
+
+    console.log(`✅ Broadcast published: ${record.filename} (${duration ?? "?"}s)`);
+    return record;
+  }
+
+  private async createThumbnail(videoPath: string, thumbnailPath: string, duration: number | null): Promise<boolean> {
+    const seekTo = duration ? Math.min(3, duration / 2) : 0;
+
+    try {
+      await runFfmpeg(
+        ffmpeg(videoPath)
+          .inputOptions(["-ss", String(seekTo)])
+          .outputOptions(["-frames:v", "1", "-vf", "scale=480:-2", "-q:v", "4"])
+          .output(thumbnailPath)
+      );
+      return true;
+    } catch (error) {
+      console.error(`Error creating thumbnail for ${path.basename(videoPath)}:`, error instanceof Error ? error.message : error);
+      return false;
+    }
+  }
+
+  private saveRecord(record: BroadcastRecord): void {
+    const records = readBroadcastRecords(this.config.metadataPath)
+      .filter((existing) => existing.filename !== record.filename);
+    records.unshift(record);
+
+    fs.mkdirSync(path.dirname(this.config.metadataPath), { recursive: true });
+    const tmpPath = `${this.config.metadataPath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(records, null, 2));
+    fs.renameSync(tmpPath, this.config.metadataPath);
+  }
+}
+
+export default BroadcastArchiver;
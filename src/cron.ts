@@ -0,0 +1,122 @@
+/**
+ * Cron Expressions
+ *
+ * Minimal five-field cron matcher (minute hour day-of-month month day-of-week)
+ * used for recording and capture schedules. Supports `*`, numbers, ranges
+ * (`1-5`), lists (`1,3,5`) and steps (`0-59/15`, `8-18/2`). Day-of-week accepts
+ * 0-7 with both 0 and 7 meaning Sunday.
+ *
+ * A schedule is "active" during every minute its expression matches, so
+ * `* 8-17 * * 1-5` means "weekdays from 08:00 to 17:59".
+ *
+ * @module cron
+ */
+
+interface CronField {
+  values: Set<number>;
+  wildcard: boolean;
+}
+
+export interface CronExpression {
+  minute: CronField;
+  hour: CronField;
+  dayOfMonth: CronField;
+  month: CronField;
+  dayOfWeek: CronField;
+}
+
+const FIELD_RANGES: [number, number][] = [
+  [0, 59], // minute
+  [0, 23], // hour
+  [1, 31], // day of month
+  [1, 12], // month
+  [0, 7], // day of week
+];
+
+function parseField(field: string, min: number, max: number): CronField {
+  const values = new Set<number>();
+
+  for (const part of field.split(",")) {
+    const [rangePart, stepPart] = part.split("/");
+    const step = stepPart !== undefined ? parseInt(stepPart, 10) : 1;
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepPart}" in cron field "${field}"`);
+    }
+
+    let start: number;
+    let end: number;
+    if (rangePart === "*") {
+      start = min;
+      end = max;
+    } else if (rangePart.includes("-")) {
+      const [from, to] = rangePart.split("-").map((value) => parseInt(value, 10));
+      start = from;
+      end = to;
+    } else {
+      start = parseInt(rangePart, 10);
+      end = stepPart !== undefined ? max : start;
+    }
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+      throw new Error(`Invalid value "${part}" in cron field "${field}" (allowed: ${min}-${max})`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return { values, wildcard: field === "*" };
+}
+
+/**
+ * Parse a five-field cron expression (throws on invalid input)
+ */
+export function parseCron(expression: string): CronExpression {
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Cron expression "${expression}" must have 5 fields`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = fields.map((field, index) =>
+    parseField(field, FIELD_RANGES[index][0], FIELD_RANGES[index][1])
+  );
+
+  // 7 is an alias for Sunday
+  if (dayOfWeek.values.has(7)) {
+    dayOfWeek.values.add(0);
+  }
+
+  return { minute, hour, dayOfMonth, month, dayOfWeek };
+}
+
+/**
+ * Check whether a cron expression matches the given time (local time, minute precision)
+ */
+export function cronMatches(expression: string | CronExpression, date: Date = new Date()): boolean {
+  const cron = typeof expression === "string" ? parseCron(expression) : expression;
+
+  if (!cron.minute.values.has(date.getMinutes())) return false;
+  if (!cron.hour.values.has(date.getHours())) return false;
+  if (!cron.month.values.has(date.getMonth() + 1)) return false;
+
+  // Classic cron semantics: when both day fields are restricted, either may match
+  const domMatch = cron.dayOfMonth.values.has(date.getDate());
+  const dowMatch = cron.dayOfWeek.values.has(date.getDay());
+  if (!cron.dayOfMonth.wildcard && !cron.dayOfWeek.wildcard) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+/**
+ * Validate a cron expression, returning an error message or null
+ */
+export function validateCron(expression: string): string | null {
+  try {
+    parseCron(expression);
+    return null;
+  } catch (error) {
+    return error instanceof Error ? error.message : String(error);
+  }
+}
@@ -0,0 +1,226 @@
+/**
+ * Encoding Profiles
+ *
+ * Named FFmpeg encoding profiles for RTSP → HLS streams, selectable per camera.
+ *
+ * Built-in profiles:
+ * - `transcode`  – full libx264/AAC re-encode (settings from STREAM_* env vars)
+ * - `passthrough` – stream-copy of both video and audio
+ * - `copy`       – stream-copy passthrough of H.264 video, audio re-encoded to AAC
+ * - `copy-noaudio` – stream-copy passthrough of video only
+ * - `no-audio`   – re-encode video, drop audio
+ * - `auto`       – ffprobe the source and pick the cheapest of the above
+ *                  that still yields browser-compatible HLS
+ *
+ * Custom profiles can be added from a JSON file (see {@link loadCustomProfiles}).
+ *
+ * @module encoding-profiles
+ */
+
+import { execFile } from "child_process";
+import fs from "fs";
+
+export interface VideoEncoding {
+  codec: string;
+  preset?: string;
+  crf?: string;
+  resolution?: string;
+  framerate?: string;
+  bitrate?: string;
+}
+
+export interface AudioEncoding {
+  codec: string;
+  bitrate?: string;
+  channels?: string;
+  sampleRate?: string;
+}
+
+export interface EncodingProfile {
+  name: string;
+  description: string;
+  video: "copy" | VideoEncoding;
+  audio: "copy" | "none" | AudioEncoding;
+}
+
+export interface SourceProbe {
+  videoCodec: string | null;
+  pixelFormat: string | null;
+  width: number | null;
+  height: number | null;
+  audioCodec: string | null;
+  /** Duration in seconds (null for live sources) */
+  duration: number | null;
+}
+
+export const AUTO_PROFILE = "auto";
+
+// Codecs browsers can play from HLS without re-encoding
+const PASSTHROUGH_VIDEO_CODECS = ["h264"];
+const PASSTHROUGH_PIXEL_FORMATS = ["yuv420p", "yuvj420p"];
+const PASSTHROUGH_AUDIO_CODECS = ["aac", "mp3"];
+
+/**
+ * Build the built-in profiles from the global transcode settings
+ */
+export function createBuiltinProfiles(video: VideoEncoding, audio: AudioEncoding): Record<string, EncodingProfile> {
+  return {
+    transcode: {
+      name: "transcode",
+      description: `Re-encode to ${video.codec} ${video.resolution || ""} + ${audio.codec}`.replace(/\s+/g, " "),
+      video,
+      audio,
+    },
+    passthrough: {
+      name: "passthrough",
+      description: "Pass H.264 video and AAC/MP3 audio through untouched",
+      video: "copy",
+      audio: "copy",
+    },
+    copy: {
+      name: "copy",
+      description: "Pass H.264 video through untouched, re-encode audio to AAC",
+      video: "copy",
+      audio,
+    },
+    "copy-noaudio": {
+      name: "copy-noaudio",
+      description: "Pass video through untouched, drop audio",
+      video: "copy",
+      audio: "none",
+    },
+    "no-audio": {
+      name: "no-audio",
+      description: `Re-encode video to ${video.codec}, drop audio (cameras without audio)`,
+      video,
+      audio: "none",
+    },
+  };
+}
+
+/**
+ * Load custom profiles from a JSON file (`{ "<name>": { description, video, audio } }`)
+ */
+export function loadCustomProfiles(filePath: string): Record<string, EncodingProfile> {
+  if (!fs.existsSync(filePath)) return {};
+
+  try {
+    const stored = JSON.parse(fs.readFileSync(filePath, "utf8")) as Record<string, Omit<EncodingProfile, "name">>;
+    const profiles: Record<string, EncodingProfile> = {};
+
+    for (const [name, profile] of Object.entries(stored)) {
+      if (name === AUTO_PROFILE || !profile.video || !profile.audio) {
+        console.warn(`⚠️ Ignoring invalid encoding profile "${name}"`);
+        continue;
+      }
+      profiles[name] = { name, description: profile.description || name, video: profile.video, audio: profile.audio };
+    }
+
+    console.log(`🎛️ Loaded ${Object.keys(profiles).length} custom encoding profile(s)`);
+    return profiles;
+  } catch (error) {
+    console.error("Error loading encoding profiles:", error);
+    return {};
+  }
+}
+
+/**
+ * FFmpeg output options for a profile (stream mapping and codecs, no muxer options)
+ */
+export function buildProfileOptions(profile: EncodingProfile): string[] {
+  const options = ["-map", "0:v:0"];
+
+  // Audio is mapped optionally so cameras without an audio track don't make FFmpeg fail
+  if (profile.audio !== "none") {
+    options.push("-map", "0:a:0?");
+  }
+
+  if (profile.video === "copy") {
+    options.push("-c:v", "copy");
+  } else {
+    const video = profile.video;
+    options.push("-c:v", video.codec);
+    if (video.preset) options.push("-preset", video.preset);
+    if (video.crf) options.push("-crf", video.crf);
+    if (video.resolution) options.push("-s", video.resolution);
+    if (video.framerate) options.push("-r", video.framerate);
+    if (video.bitrate) options.push("-b:v", video.bitrate);
+  }
+
+  if (profile.audio === "none") {
+    options.push("-an");
+  } else if (profile.audio === "copy") {
+    options.push("-c:a", "copy");
+  } else {
+    const audio = profile.audio;
+    options.push("-c:a", audio.codec);
+    if (audio.bitrate) options.push("-b:a", audio.bitrate);
+    if (audio.channels) options.push("-ac", audio.channels);
+    if (audio.sampleRate) options.push("-ar", audio.sampleRate);
+  }
+
+  return options;
+}
+
+/**
+ * Inspect an RTSP or RTMP source (or a file) with ffprobe. An ffprobe that is
+ * still waiting for the source after `timeoutMs` is killed.
+ */
+export function probeSource(ffprobePath: string, url: string, timeoutMs = 15000): Promise<SourceProbe> {
+  return new Promise((resolve, reject) => {
+    // ffprobe refuses input options the demuxer doesn't know
+    const inputOptions = url.startsWith("rtsp") ? ["-rtsp_transport", "tcp"] : [];
+
+    execFile(
+      ffprobePath,
+      ["-v", "error", ...inputOptions, "-show_streams", "-show_format", "-of", "json", url],
+      { timeout: timeoutMs, killSignal: "SIGKILL", maxBuffer: 1024 * 1024 },
+      (error, stdout, stderr) => {
+        if (error) {
+          reject(error.killed ? new Error("ffprobe timed out") : new Error(stderr.trim() || error.message));
+          return;
+        }
+
+        let data: any;
+        try {
+          data = JSON.parse(stdout);
+        } catch {
+          reject(new Error("ffprobe returned invalid JSON"));
+          return;
+        }
+
+        const streams: any[] = data?.streams || [];
+        const video = streams.find((stream) => stream.codec_type === "video");
+        const audio = streams.find((stream) => stream.codec_type === "audio");
+        const duration = parseFloat(data?.format?.duration);
+
+        resolve({
+          videoCodec: video?.codec_name || null,
+          pixelFormat: video?.pix_fmt || null,
+          width: video?.width || null,
+          height: video?.height || null,
+          audioCodec: audio?.codec_name || null,
+          duration: Number.isFinite(duration) && duration > 0 ? duration : null,
+        });
+      }
+    );
+  });
+}
+
+/**
+ * Pick the cheapest built-in profile that yields browser-compatible HLS
+ */
+export function chooseProfileForSource(probe: SourceProbe): string {
+  const canCopyVideo =
+    probe.videoCodec !== null &&
+    PASSTHROUGH_VIDEO_CODECS.includes(probe.videoCodec) &&
+    (probe.pixelFormat === null || PASSTHROUGH_PIXEL_FORMATS.includes(probe.pixelFormat));
+
+  if (!canCopyVideo) {
+    return probe.audioCodec ? "transcode" : "no-audio";
+  }
+  if (!probe.audioCodec) {
+    return "copy-noaudio";
+  }
+  return PASSTHROUGH_AUDIO_CODECS.includes(probe.audioCodec) ? "passthrough" : "copy";
+}
@@ -0,0 +1,186 @@
+/**
+ * HLS Bitrate Ladder
+ *
+ * Describes the renditions of an adaptive-bitrate live stream and builds the
+ * FFmpeg options that encode all of them in a single process, writing one
+ * media playlist per rendition plus an HLS master playlist (with `BANDWIDTH`
+ * and `RESOLUTION` attributes) that players switch between.
+ *
+ * A ladder is configured as a comma separated list of renditions, either as
+ * presets (`1080p`, `720p`, `480p`, `360p`, `audio`) or spelled out as
+ * `name:WIDTHxHEIGHT:videoBitrate[:audioBitrate]` / `name:audio:audioBitrate`:
+ *
+ *   HLS_LADDER=1080p,720p,480p,audio
+ *   HLS_LADDER=hd:1280x720:2500k:128k,sd:640x360:700k:96k
+ *
+ * @module hls-ladder
+ */
+
+import type { AudioEncoding, VideoEncoding } from "./encoding-profiles.js";
+
+export interface Rendition {
+  name: string;
+  /** Output size; omitted for audio-only renditions */
+  width?: number;
+  height?: number;
+  videoBitrate?: string;
+  audioBitrate: string;
+}
+
+export interface LadderOptions {
+  renditions: Rendition[];
+  video: VideoEncoding;
+  /** Audio encoding, or null when the stream has no audio */
+  audio: AudioEncoding | null;
+  /** Segment length in seconds; keyframes are forced on segment boundaries */
+  segmentSeconds: number;
+  /** File name of the master playlist (relative to the media playlists) */
+  masterName: string;
+}
+
+const RENDITION_PRESETS: Record<string, Rendition> = {
+  "1080p": { name: "1080p", width: 1920, height: 1080, videoBitrate: "5000k", audioBitrate: "128k" },
+  "720p": { name: "720p", width: 1280, height: 720, videoBitrate: "2800k", audioBitrate: "128k" },
+  "480p": { name: "480p", width: 854, height: 480, videoBitrate: "1400k", audioBitrate: "96k" },
+  "360p": { name: "360p", width: 640, height: 360, videoBitrate: "800k", audioBitrate: "96k" },
+  audio: { name: "audio", audioBitrate: "64k" },
+};
+
+const RENDITION_NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+const BITRATE_PATTERN = /^\d+(\.\d+)?[kKmM]?$/;
+
+/**
+ * Whether a rendition carries video
+ */
+export function isVideoRendition(rendition: Rendition): boolean {
+  return rendition.width !== undefined && rendition.height !== undefined;
+}
+
+/**
+ * Parse a ladder specification (throws on invalid input; empty = no ladder)
+ */
+export function parseLadder(spec: string | undefined): Rendition[] {
+  const entries = (spec || "").split(",").map((entry) => entry.trim()).filter(Boolean);
+  const renditions: Rendition[] = [];
+
+  for (const entry of entries) {
+    const parts = entry.split(":");
+    let rendition: Rendition;
+
+    if (parts.length === 1) {
+      if (!RENDITION_PRESETS[entry]) {
+        throw new Error(`Unknown rendition preset "${entry}" (use ${Object.keys(RENDITION_PRESETS).join(", ")})`);
+      }
+      rendition = { ...RENDITION_PRESETS[entry] };
+    } else if (parts[1] === "audio") {
+      rendition = { name: parts[0], audioBitrate: parts[2] || "64k" };
+    } else {
+      const size = (parts[1] || "").match(/^(\d+)x(\d+)$/);
+      if (!size || !parts[2]) {
+        throw new Error(`Invalid rendition "${entry}" (expected name:WIDTHxHEIGHT:videoBitrate[:audioBitrate])`);
+      }
+      rendition = {
+        name: parts[0],
+        // libx264 needs even dimensions
+        width: parseInt(size[1], 10) & ~1,
+        height: parseInt(size[2], 10) & ~1,
+        videoBitrate: parts[2],
+        audioBitrate: parts[3] || "128k",
+      };
+    }
+
+    if (!RENDITION_NAME_PATTERN.test(rendition.name)) {
+      throw new Error(`Invalid rendition name "${rendition.name}"`);
+    }
+    if (renditions.some((existing) => existing.name === rendition.name)) {
+      throw new Error(`Duplicate rendition "${rendition.name}"`);
+    }
+    for (const bitrate of [rendition.videoBitrate, rendition.audioBitrate]) {
+      if (bitrate !== undefined && !BITRATE_PATTERN.test(bitrate)) {
+        throw new Error(`Invalid bitrate "${bitrate}" in rendition "${rendition.name}"`);
+      }
+    }
+    renditions.push(rendition);
+  }
+
+  if (renditions.length > 0 && !renditions.some(isVideoRendition)) {
+    throw new Error("A ladder needs at least one video rendition");
+  }
+  return renditions;
+}
+
+function scaleBitrate(bitrate: string, factor: number): string {
+  const match = bitrate.match(/^(\d+(?:\.\d+)?)([kKmM]?)$/)!;
+  return `${Math.round(parseFloat(match[1]) * factor)}${match[2]}`;
+}
+
+/**
+ * Renditions that can actually be produced (audio-only ones need audio)
+ */
+export function getActiveRenditions(renditions: Rendition[], hasAudio: boolean): Rendition[] {
+  return renditions.filter((rendition) => hasAudio || isVideoRendition(rendition));
+}
+
+/**
+ * FFmpeg output options (mapping, per-rendition codecs and HLS variant
+ * settings) for a ladder. The caller adds `-hls_time`/`-hls_list_size`/...,
+ * `-hls_segment_filename <base>_%v_%03d.ts` and the output `<base>_%v.m3u8`.
+ */
+export function buildLadderOptions(options: LadderOptions): string[] {
+  const renditions = getActiveRenditions(options.renditions, options.audio !== null);
+  const videoRenditions = renditions.filter(isVideoRendition);
+  const args: string[] = [];
+
+  for (let index = 0; index < videoRenditions.length; index++) {
+    args.push("-map", "0:v:0");
+  }
+  if (options.audio) {
+    for (let index = 0; index < renditions.length; index++) {
+      args.push("-map", "0:a:0");
+    }
+  }
+
+  // All renditions share keyframe positions so players can switch on segment boundaries
+  args.push(
+    "-c:v", options.video.codec,
+    "-force_key_frames", `expr:gte(t,n_forced*${options.segmentSeconds})`,
+    "-sc_threshold", "0"
+  );
+  if (options.video.preset) args.push("-preset", options.video.preset);
+  if (options.video.framerate) args.push("-r", options.video.framerate);
+
+  videoRenditions.forEach((rendition, index) => {
+    args.push(
+      `-s:v:${index}`, `${rendition.width}x${rendition.height}`,
+      `-b:v:${index}`, rendition.videoBitrate!,
+      `-maxrate:v:${index}`, scaleBitrate(rendition.videoBitrate!, 1.07),
+      `-bufsize:v:${index}`, scaleBitrate(rendition.videoBitrate!, 1.5)
+    );
+  });
+
+  const variants: string[] = [];
+  let videoIndex = 0;
+
+  renditions.forEach((rendition, audioIndex) => {
+    const streams: string[] = [];
+    if (isVideoRendition(rendition)) {
+      streams.push(`v:${videoIndex++}`);
+    }
+    if (options.audio) {
+      streams.push(`a:${audioIndex}`);
+    }
+    variants.push([...streams, `name:${rendition.name}`].join(","));
+  });
+
+  if (options.audio) {
+    args.push("-c:a", options.audio.codec);
+    if (options.audio.channels) args.push("-ac", options.audio.channels);
+    if (options.audio.sampleRate) args.push("-ar", options.audio.sampleRate);
+    renditions.forEach((rendition, index) => {
+      args.push(`-b:a:${index}`, rendition.audioBitrate);
+    });
+  }
+
+  args.push("-master_pl_name", options.masterName, "-var_stream_map", variants.join(" "));
+  return args;
+}
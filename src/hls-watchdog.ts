@@ -0,0 +1,266 @@
+/**
+ * HLS Watchdog
+ *
+ * Detects live HLS outputs that stopped producing segments while their FFmpeg
+ * process is still alive (e.g. a camera that keeps the connection open but
+ * sends nothing), which leaves a frozen playlist that players keep polling.
+ *
+ * For every watched output the watchdog tracks the playlist's
+ * `#EXT-X-MEDIA-SEQUENCE`, its newest segment and that segment's mtime. An
+ * output without progress for longer than the stall threshold is reported
+ * with a `stalled` event and restarted through its `restart()` callback.
+ * For adaptive-bitrate outputs the watched playlist is a master playlist; its
+ * first variant is checked instead, as all variants come from one FFmpeg job.
+ *
+ * @module hls-watchdog
+ */
+
+import { EventEmitter } from "events";
+import fs from "fs/promises";
+import path from "path";
+
+export interface WatchdogConfig {
+  /** Time without a new segment before an output counts as stalled (ms) */
+  stallThreshold?: number;
+  /** How often playlists are checked (ms) */
+  checkInterval?: number;
+  /** Time a freshly started output gets to produce its first segment (ms) */
+  startupGrace?: number;
+}
+
+export interface WatchedOutput {
+  id: string;
+  type: "rtsp" | "rtmp";
+  playlistPath: string;
+  /** Kill and restart the FFmpeg job behind this output */
+  restart: () => void;
+  /** Whether the output is currently expected to produce segments (default: always) */
+  isActive?: () => boolean;
+}
+
+export interface OutputHealth {
+  id: string;
+  type: "rtsp" | "rtmp";
+  stalled: boolean;
+  mediaSequence: number | null;
+  lastSegment: string | null;
+  /** Seconds since the newest segment was written (null before the first segment) */
+  lastSegmentAge: number | null;
+  restarts: number;
+}
+
+interface OutputState {
+  output: WatchedOutput;
+  active: boolean;
+  mediaSequence: number | null;
+  lastSegment: string | null;
+  lastSegmentMtime: number | null;
+  lastProgressAt: number;
+  graceUntil: number;
+  stalled: boolean;
+  restarts: number;
+}
+
+/**
+ * Parse the media sequence and newest segment URI out of an HLS media playlist
+ */
+export function parsePlaylistProgress(playlist: string): { mediaSequence: number | null; lastSegment: string | null } {
+  const sequenceMatch = playlist.match(/#EXT-X-MEDIA-SEQUENCE:(\d+)/);
+  const segments = playlist
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"));
+
+  return {
+    mediaSequence: sequenceMatch ? parseInt(sequenceMatch[1], 10) : null,
+    lastSegment: segments.length > 0 ? segments[segments.length - 1] : null,
+  };
+}
+
+/**
+ * Get the first variant URI of an HLS master playlist (null for media playlists)
+ */
+export function parseFirstVariant(playlist: string): string | null {
+  const lines = playlist.split(/\r?\n/).map((line) => line.trim());
+  const streamInf = lines.findIndex((line) => line.startsWith("#EXT-X-STREAM-INF"));
+  if (streamInf === -1) return null;
+
+  return lines.slice(streamInf + 1).find((line) => line && !line.startsWith("#")) || null;
+}
+
+/**
+ * HLS Watchdog
+ * Restarts live outputs whose playlists stop advancing
+ */
+export class HLSWatchdog extends EventEmitter {
+  private config: Required<WatchdogConfig>;
+  private outputs: Map<string, OutputState>;
+  private timer: NodeJS.Timeout | null;
+  private checking: boolean;
+
+  constructor(config: WatchdogConfig = {}) {
+    super();
+    this.config = {
+      stallThreshold: config.stallThreshold ?? 20000,
+      checkInterval: config.checkInterval ?? 2000,
+      startupGrace: config.startupGrace ?? 30000,
+    };
+    this.outputs = new Map();
+    this.timer = null;
+    this.checking = false;
+  }
+
+  /**
+   * Start watching an output (replaces an existing registration with the same id)
+   */
+  watch(output: WatchedOutput): void {
+    const now = Date.now();
+    this.outputs.set(output.id, {
+      output,
+      active: true,
+      mediaSequence: null,
+      lastSegment: null,
+      lastSegmentMtime: null,
+      lastProgressAt: now,
+      graceUntil: now + this.config.startupGrace,
+      stalled: false,
+      restarts: 0,
+    });
+
+    if (!this.timer) {
+      this.timer = setInterval(() => this.checkAll(), this.config.checkInterval);
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Stop watching an output
+   */
+  unwatch(id: string): void {
+    this.outputs.delete(id);
+    if (this.outputs.size === 0) {
+      this.stop();
+    }
+  }
+
+  isWatching(id: string): boolean {
+    return this.outputs.has(id);
+  }
+
+  /**
+   * Stop all checks
+   */
+  stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Get health information for one output
+   */
+  getHealth(id: string): OutputHealth | null {
+    const state = this.outputs.get(id);
+    if (!state) return null;
+
+    return {
+      id,
+      type: state.output.type,
+      stalled: state.stalled,
+      mediaSequence: state.mediaSequence,
+      lastSegment: state.lastSegment,
+      lastSegmentAge: state.lastSegmentMtime !== null
+        ? Math.floor((Date.now() - state.lastSegmentMtime) / 1000)
+        : null,
+      restarts: state.restarts,
+    };
+  }
+
+  /**
+   * Get health information for all outputs
+   */
+  getAllHealth(): OutputHealth[] {
+    return Array.from(this.outputs.keys()).map((id) => this.getHealth(id)!);
+  }
+
+  private async checkAll(): Promise<void> {
+    // Skip a tick rather than overlap when the disk is slow
+    if (this.checking) return;
+    this.checking = true;
+
+    try {
+      for (const state of Array.from(this.outputs.values())) {
+        await this.checkOutput(state);
+      }
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  private async checkOutput(state: OutputState): Promise<void> {
+    const now = Date.now();
+    const active = state.output.isActive ? state.output.isActive() : true;
+
+    // An output coming back (e.g. after a reconnect) gets the startup grace again
+    if (active && !state.active) {
+      state.lastProgressAt = now;
+      state.graceUntil = now + this.config.startupGrace;
+    }
+    state.active = active;
+    if (!active) return;
+
+    await this.readProgress(state);
+
+    const deadline = Math.max(state.lastProgressAt + this.config.stallThreshold, state.graceUntil);
+    if (now < deadline || !this.outputs.has(state.output.id)) return;
+
+    state.stalled = true;
+    state.restarts++;
+    state.lastProgressAt = now;
+    state.graceUntil = now + this.config.startupGrace;
+
+    const health = this.getHealth(state.output.id)!;
+    console.warn(`🐕 Watchdog: ${state.output.type.toUpperCase()} output ${state.output.id} stalled (last segment age: ${health.lastSegmentAge ?? "n/a"}s), restarting`);
+    this.emit("stalled", health);
+
+    try {
+      state.output.restart();
+    } catch (error) {
+      console.error(`Watchdog failed to restart ${state.output.id}:`, error);
+    }
+  }
+
+  private async readProgress(state: OutputState): Promise<void> {
+    try {
+      let playlistPath = state.output.playlistPath;
+      let playlist = await fs.readFile(playlistPath, "utf8");
+
+      const variant = parseFirstVariant(playlist);
+      if (variant) {
+        playlistPath = path.resolve(path.dirname(playlistPath), variant.split("?")[0]);
+        playlist = await fs.readFile(playlistPath, "utf8");
+      }
+
+      const { mediaSequence, lastSegment } = parsePlaylistProgress(playlist);
+
+      if (lastSegment === null) return;
+
+      const advanced = mediaSequence !== state.mediaSequence || lastSegment !== state.lastSegment;
+      if (advanced) {
+        const segmentPath = path.resolve(path.dirname(playlistPath), lastSegment.split("?")[0]);
+        const stats = await fs.stat(segmentPath).catch(() => null);
+
+        state.mediaSequence = mediaSequence;
+        state.lastSegment = lastSegment;
+        state.lastSegmentMtime = stats ? stats.mtimeMs : Date.now();
+        state.lastProgressAt = Date.now();
+        state.stalled = false;
+      }
+    } catch {
+      // No playlist yet - the stall deadline still applies
+    }
+  }
+}
+
+export default HLSWatchdog;
@@ -9,6 +9,9 @@
  * - Video streaming with HLS support
  * - Image gallery serving
  * - RTMP ingest (OBS streaming)
+ * - WHIP ingest (WebRTC publishing from browsers)
+ * - SRT ingest (contribution over lossy networks)
+ * - On-demand HLS packaging of stored videos
  * - RTSP stream management
  * - Download queue management
  * - React frontend
@@ -16,11 +19,31 @@
 
 import express, { Request, Response, NextFunction } from "express";
 import cors from "cors";
+import crypto from "crypto";
 import path from "path";
 import fs from "fs";
 import { fileURLToPath } from "url";
 import { Worker } from "worker_threads";
 import dotenv from "dotenv";
+import { MotionDetection, RTSPStreamManager, StreamStateChange } from "./rtsp-manager.js";
+import { CameraRegistry, CameraRecord } from "./camera-registry.js";
+import { HLSWatchdog } from "./hls-watchdog.js";
+import { RecordingManager, RecordingSettings, validateRecordingSettings } from "./recording-manager.js";
+import { SNAPSHOT_FORMATS, SnapshotFormat, SnapshotManager, TimelapseSettings, validateTimelapseSettings } from "./snapshot-manager.js";
+import type { RTMPConfig, RTMPStreamInfo } from "./rtmp-server.js";
+import type { RTMPWorkerCommand, RTMPWorkerEvent, RTMPWorkerState } from "./rtmp-worker.js";
+import { ArchiveConfig, readBroadcastRecords } from "./broadcast-archiver.js";
+import { AUTO_PROFILE, loadCustomProfiles } from "./encoding-profiles.js";
+import { Rendition, parseLadder } from "./hls-ladder.js";
+import { getPlaylistPosition, isPlaylistReady } from "./ll-hls.js";
+import { EventClipRecorder, MotionEventLog, MotionSettings, validateMotionSettings } from "./motion-events.js";
+import { PublishDecision, PublishRequest, StreamKeyInput, StreamKeyStore, authorizePublish } from "./stream-keys.js";
+import { RestreamTargetStore } from "./restreamer.js";
+import { WEBHOOK_EVENTS, WebhookManager } from "./webhooks.js";
+import { HlsViewerTracker } from "./stream-stats.js";
+import { WhipIngest } from "./whip-ingest.js";
+import { SrtIngest } from "./srt-ingest.js";
+import { VodPackager } from "./vod-packager.js";
 
 // Load environment variables
 dotenv.config();
@@ -35,10 +58,77 @@ const PORT = process.env.HTTP_PORT || 6969;
 const STORAGE_DIR = process.env.STORAGE_DIR || path.join(__dirname, "..", "BRANDYFICATION");
 const IMAGES_DIR = path.join(STORAGE_DIR, "IMAGES");
 const VIDEOS_DIR = path.join(STORAGE_DIR, "VIDEOS");
-const STREAMS_DIR = path.join(STORAGE_DIR, "streams");
+const STREAMS_DIR = process.env.STREAM_OUTPUT_DIR
+  ? path.resolve(process.env.STREAM_OUTPUT_DIR)
+  : path.join(STORAGE_DIR, "streams");
+const DATA_DIR = path.join(STORAGE_DIR, ".data");
+const RECORDINGS_DIR = path.join(VIDEOS_DIR, "recordings");
+const SNAPSHOTS_DIR = path.join(IMAGES_DIR, "snapshots");
+const THUMBNAILS_DIR = path.join(STORAGE_DIR, "thumbnails");
+const VOD_DIR = path.join(STORAGE_DIR, "vod");
+const BROADCASTS_PATH = path.join(DATA_DIR, "broadcasts.json");
+const MOTION_EVENTS_PATH = path.join(DATA_DIR, "motion-events.jsonl");
+const ENCODING_PROFILES_PATH = process.env.ENCODING_PROFILES_PATH || path.join(DATA_DIR, "encoding-profiles.json");
+
+function envInt(name: string): number | undefined {
+  const value = process.env[name];
+  return value ? parseInt(value, 10) : undefined;
+}
+
+// Streaming configuration
+const RTSP_ENABLED = process.env.RTSP_ENABLED === "true";
+const RTMP_ENABLED = process.env.RTMP_ENABLED === "true";
+const RTMP_PORT = parseInt(process.env.RTMP_PORT || "1935", 10);
+const FFMPEG_PATH = process.env.FFMPEG_PATH || "ffmpeg";
+const FFPROBE_PATH = process.env.FFPROBE_PATH || "ffprobe";
+const RTMP_PUBLISH_BROADCASTS = process.env.RTMP_PUBLISH_BROADCASTS !== "false";
+const RTMP_REQUIRE_SIGNED = process.env.RTMP_REQUIRE_SIGNED === "true";
+const RESTREAM_MAX_RETRIES = parseInt(process.env.RESTREAM_MAX_RETRIES || "10", 10);
+const WHIP_ENABLED = process.env.WHIP_ENABLED === "true";
+const SRT_ENABLED = process.env.SRT_ENABLED === "true";
+// Bearer token of the admin routes (unset = admin routes disabled)
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+// Route groups that manage cameras, credentials and outbound targets: admin
+// token required, no CORS (single admin routes use requireAdminToken themselves)
+const ADMIN_ROUTES = ["/api/cameras", "/api/stream-keys", "/api/restream", "/api/webhooks"];
+// Events the MCP server reports through POST /api/webhooks/events
+const RELAYED_WEBHOOK_EVENTS = ["file.uploaded", "file.deleted"];
+const HLS_LADDER = loadLadder();
+const HLS_LOW_LATENCY = process.env.HLS_LOW_LATENCY === "true";
+const LL_HLS_PART_DURATION = process.env.LL_HLS_PART_DURATION ? parseFloat(process.env.LL_HLS_PART_DURATION) : undefined;
+const VOD_HLS_ENABLED = process.env.VOD_HLS_ENABLED === "true";
+const VOD_HLS_ON_REQUEST = process.env.VOD_HLS_ON_REQUEST !== "false";
+const VOD_HLS_ON_UPLOAD = process.env.VOD_HLS_ON_UPLOAD !== "false";
+const DEFAULT_VOD_LADDER = "1080p,720p,480p,360p";
+
+// Adaptive-bitrate renditions shared by RTSP and RTMP (empty = single rendition)
+function loadLadder(): Rendition[] {
+  try {
+    return parseLadder(process.env.HLS_LADDER);
+  } catch (error) {
+    console.error(`❌ Invalid HLS_LADDER, streaming a single rendition: ${error instanceof Error ? error.message : error}`);
+    return [];
+  }
+}
+
+// Renditions of packaged stored videos (those taller than a video are skipped)
+function loadVodLadder(): Rendition[] {
+  try {
+    return parseLadder(process.env.VOD_HLS_LADDER || DEFAULT_VOD_LADDER);
+  } catch (error) {
+    console.error(`❌ Invalid VOD_HLS_LADDER, using ${DEFAULT_VOD_LADDER}: ${error instanceof Error ? error.message : error}`);
+    return parseLadder(DEFAULT_VOD_LADDER);
+  }
+}
 
 // Video extensions
 const VIDEO_EXTENSIONS = [".mp4", ".webm", ".ogg", ".gif"];
+const VIDEO_CONTENT_TYPES: Record<string, string> = {
+  ".mp4": "video/mp4",
+  ".webm": "video/webm",
+  ".ogg": "video/ogg",
+  ".gif": "image/gif",
+};
 const IMAGE_EXTENSIONS = [".jpg", ".jpeg", ".png", ".gif", ".webp", ".svg", ".ico", ".bmp", ".tiff", ".avif"];
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -157,6 +247,7 @@ const viewingQueue = {
         joinedAt: new Date(),
         expiresAt: new Date(Date.now() + 30 * 60 * 1000), // 30 min session
       });
+      webhookManager.emit("queue.granted", { ticketId, waitedSeconds: 0 });
       return { status: "granted", ticketId, position: 0, waitTime: 0 };
     } else {
       const ticket: WaitingTicket = { ticketId, ip, queuedAt: new Date(), position, estimatedWait };
@@ -199,6 +290,10 @@ const viewingQueue = {
         expiresAt: new Date(Date.now() + 30 * 60 * 1000),
       });
       console.log(`✅ Viewer granted access: ${next.ticketId}`);
+      webhookManager.emit("queue.granted", {
+        ticketId: next.ticketId,
+        waitedSeconds: Math.floor((Date.now() - next.queuedAt.getTime()) / 1000),
+      });
     }
   },
 
@@ -219,6 +314,582 @@ const viewingQueue = {
 // Process queue every 5 seconds
 setInterval(() => viewingQueue.processQueue(), 5000);
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// STREAMING SERVICES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Created by startHttpServer() when enabled in .env
+let rtspManager: RTSPStreamManager | null = null;
+
+// Runtime camera definitions (persisted under DATA_DIR)
+const cameraRegistry = new CameraRegistry(DATA_DIR);
+
+// RTMP publish keys (persisted under DATA_DIR)
+const streamKeyStore = new StreamKeyStore(DATA_DIR);
+
+// Outbound restream targets per RTMP stream key (persisted under DATA_DIR)
+const restreamTargetStore = new RestreamTargetStore(DATA_DIR);
+
+// Webhook endpoints and their delivery log (persisted under DATA_DIR)
+const webhookManager = new WebhookManager(DATA_DIR, {
+  maxAttempts: envInt("WEBHOOK_MAX_ATTEMPTS"),
+  timeout: envInt("WEBHOOK_TIMEOUT"),
+  allowPrivateTargets: process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === "true",
+});
+
+// WebRTC publishers (WHIP), relayed into the RTMP server
+const whipIngest = RTMP_ENABLED && WHIP_ENABLED
+  ? new WhipIngest({
+      ffmpegPath: FFMPEG_PATH,
+      iceServers: (process.env.WHIP_ICE_SERVERS || "").split(",").map((url) => url.trim()).filter(Boolean),
+      icePortRange: parsePortRange(process.env.WHIP_ICE_PORT_RANGE),
+    })
+  : null;
+
+// SRT callers, relayed into the RTMP server
+const srtIngest = RTMP_ENABLED && SRT_ENABLED
+  ? new SrtIngest(
+      {
+        port: envInt("SRT_PORT"),
+        ffmpegPath: FFMPEG_PATH,
+        rtmpPort: RTMP_PORT,
+        latency: envInt("SRT_LATENCY"),
+        passphrase: process.env.SRT_PASSPHRASE || undefined,
+      },
+      (request) => {
+        if (rtmpWorker.streams.some((stream) => stream.streamKey === request.streamName)) {
+          return { allowed: false, publishKey: null, reason: `Stream ${request.streamName} is already live` };
+        }
+        return authorizeRelayedPublish("SRT", request);
+      }
+    )
+  : null;
+
+function parsePortRange(value: string | undefined): [number, number] | undefined {
+  const match = value?.match(/^(\d+)-(\d+)$/);
+  return match ? [parseInt(match[1], 10), parseInt(match[2], 10)] : undefined;
+}
+
+// Cached HLS packages of stored videos (under STORAGE_DIR/vod)
+const vodPackager = VOD_HLS_ENABLED
+  ? new VodPackager({
+      ffmpegPath: FFMPEG_PATH,
+      ffprobePath: FFPROBE_PATH,
+      outputDir: VOD_DIR,
+      renditions: loadVodLadder(),
+      segmentSeconds: envInt("VOD_HLS_SEGMENT_DURATION"),
+    })
+  : null;
+
+// Tickets that recently requested a stream's playlists ("rtsp:<id>" / "rtmp:<key>")
+const hlsViewers = new HlsViewerTracker(envInt("HLS_VIEWER_WINDOW"));
+
+// Restarts RTSP/RTMP outputs whose playlists stop advancing
+const hlsWatchdog = new HLSWatchdog({
+  stallThreshold: envInt("HLS_STALL_THRESHOLD"),
+  checkInterval: envInt("HLS_WATCHDOG_INTERVAL"),
+  startupGrace: envInt("HLS_STARTUP_GRACE"),
+});
+
+function createRtspManager(): RTSPStreamManager {
+  const manager = new RTSPStreamManager({
+    ffmpegPath: FFMPEG_PATH,
+    outputDir: STREAMS_DIR,
+    videoCodec: process.env.STREAM_VIDEO_CODEC,
+    audioCodec: process.env.STREAM_AUDIO_CODEC,
+    preset: process.env.FFMPEG_PRESET,
+    crf: process.env.FFMPEG_CRF,
+    resolution: process.env.STREAM_RESOLUTION,
+    framerate: process.env.STREAM_FRAMERATE,
+    bitrate: process.env.STREAM_BITRATE,
+    audioBitrate: process.env.STREAM_AUDIO_BITRATE,
+    hlsTime: process.env.HLS_TIME,
+    hlsListSize: process.env.HLS_LIST_SIZE,
+    hlsFlags: process.env.HLS_FLAGS,
+    ffprobePath: FFPROBE_PATH,
+    profiles: loadCustomProfiles(ENCODING_PROFILES_PATH),
+    defaultProfile: process.env.STREAM_PROFILE,
+    probeTimeout: envInt("STREAM_PROBE_TIMEOUT"),
+    renditions: HLS_LADDER,
+    lowLatency: HLS_LOW_LATENCY,
+    partDuration: LL_HLS_PART_DURATION,
+    lowLatencyListSize: envInt("LL_HLS_LIST_SIZE"),
+    motionSnapshotsDir: SNAPSHOTS_DIR,
+    reconnectDelay: envInt("RTSP_RECONNECT_DELAY"),
+    maxReconnectDelay: envInt("RTSP_MAX_RECONNECT_DELAY"),
+    reconnectJitter: process.env.RTSP_RECONNECT_JITTER ? parseFloat(process.env.RTSP_RECONNECT_JITTER) : undefined,
+    maxReconnectAttempts: envInt("RTSP_MAX_RECONNECT_ATTEMPTS"),
+    healthyWindow: envInt("RTSP_HEALTHY_WINDOW"),
+    stallTimeout: envInt("RTSP_STALL_TIMEOUT"),
+    debug: process.env.DEBUG_RTSP === "true",
+  });
+
+  manager.on("stateChange", (change: StreamStateChange) => {
+    console.log(`📷 ${change.name} (${change.streamId}): ${change.from ?? "new"} → ${change.to}`);
+
+    const watchId = `rtsp:${change.streamId}`;
+    if (change.to === "connecting" && !hlsWatchdog.isWatching(watchId)) {
+      hlsWatchdog.watch({
+        id: watchId,
+        type: "rtsp",
+        playlistPath: manager.getPlaylistPath(change.streamId),
+        restart: () => manager.restartStream(change.streamId, "HLS output stalled"),
+        isActive: () => {
+          const state = manager.getStreamState(change.streamId);
+          return state === "connecting" || state === "live" || state === "stalled";
+        },
+      });
+    } else if (change.to === "failed" || change.to === "stopped") {
+      hlsWatchdog.unwatch(watchId);
+    }
+
+    if (change.to === "failed") {
+      webhookManager.emit("rtsp.failed", {
+        streamId: change.streamId,
+        name: change.name,
+        reconnectAttempts: change.reconnectAttempts,
+        error: change.error || null,
+      });
+    }
+  });
+
+  manager.on("motion", (detection: MotionDetection) => handleMotion(manager, detection));
+
+  return manager;
+}
+
+// Motion events detected on RTSP streams (append-only log + optional clips)
+const motionEventLog = new MotionEventLog(MOTION_EVENTS_PATH);
+const eventClipRecorder = new EventClipRecorder({
+  ffmpegPath: FFMPEG_PATH,
+  videosDir: VIDEOS_DIR,
+  debug: process.env.DEBUG_RTSP === "true",
+});
+
+function handleMotion(manager: RTSPStreamManager, detection: MotionDetection): void {
+  const settings = cameraRegistry.get(detection.streamId)?.motion;
+  const clipPath = settings?.clip && !eventClipRecorder.isRecording(detection.streamId)
+    ? eventClipRecorder.getClipPath(detection.streamId, detection.at)
+    : null;
+
+  motionEventLog.append({
+    id: `${detection.streamId}-${detection.at.getTime()}`,
+    streamId: detection.streamId,
+    name: detection.name,
+    at: detection.at.toISOString(),
+    streamTime: detection.streamTime,
+    score: detection.score,
+    snapshot: detection.snapshotPath ? path.relative(IMAGES_DIR, detection.snapshotPath).split(path.sep).join("/") : null,
+    clip: clipPath,
+  });
+  console.log(`🏃 Motion detected on ${detection.name} (${detection.streamId}), score ${detection.score.toFixed(2)}`);
+
+  if (clipPath) {
+    eventClipRecorder.record(
+      detection.streamId,
+      manager.getPlaylistPath(detection.streamId),
+      clipPath,
+      settings!,
+      manager.getSegmentDuration()
+    );
+  }
+}
+
+function getRtmpConfig(): RTMPConfig {
+  return {
+    rtmpPort: RTMP_PORT,
+    ffmpegPath: FFMPEG_PATH,
+    ffprobePath: FFPROBE_PATH,
+    mediaRoot: path.resolve(STORAGE_DIR),
+    validateStreamKey: process.env.RTMP_VALIDATE_KEYS === "true",
+    validStreamKeys: (process.env.RTMP_VALID_KEYS || "")
+      .split(",")
+      .map((key) => key.trim())
+      .filter(Boolean),
+    streamKeys: streamKeyStore.getPolicies(),
+    requireSignedUrls: RTMP_REQUIRE_SIGNED,
+    recordBroadcasts: RTMP_PUBLISH_BROADCASTS,
+    renditions: HLS_LADDER,
+    ladderVideo: {
+      codec: process.env.STREAM_VIDEO_CODEC || "libx264",
+      preset: process.env.FFMPEG_PRESET || "veryfast",
+      framerate: process.env.STREAM_FRAMERATE,
+    },
+    lowLatency: HLS_LOW_LATENCY,
+    partDuration: LL_HLS_PART_DURATION,
+    restreamTargets: restreamTargetStore.getAll(),
+    restream: { maxRetries: RESTREAM_MAX_RETRIES },
+  };
+}
+
+function getArchiveConfig(): ArchiveConfig | undefined {
+  if (!RTMP_PUBLISH_BROADCASTS) return undefined;
+
+  return {
+    ffmpegPath: FFMPEG_PATH,
+    ffprobePath: FFPROBE_PATH,
+    videosDir: path.resolve(VIDEOS_DIR),
+    thumbnailsDir: path.resolve(THUMBNAILS_DIR),
+    metadataPath: path.resolve(BROADCASTS_PATH),
+  };
+}
+
+function isCameraRunning(id: string): boolean {
+  const state = rtspManager?.getStreamState(id);
+  return !!state && state !== "failed" && state !== "stopped";
+}
+
+function startCamera(camera: CameraRecord): boolean {
+  if (!rtspManager) return false;
+
+  let profile = camera.profile;
+  if (profile && !rtspManager.hasProfile(profile)) {
+    console.warn(`⚠️ Camera ${camera.id} uses unknown encoding profile "${profile}", using the default`);
+    profile = undefined;
+  }
+  return rtspManager.startStream(camera.id, cameraRegistry.getSourceUrl(camera.id)!, camera.name, profile, camera.motion);
+}
+
+function stopCamera(id: string): void {
+  // Also clears streams left in the failed state
+  if (rtspManager?.getStreamState(id)) {
+    rtspManager.stopStream(id);
+  }
+}
+
+function withCameraStatus(camera: CameraRecord) {
+  return {
+    ...camera,
+    running: isCameraRunning(camera.id),
+    state: rtspManager?.getStreamState(camera.id) || "stopped",
+    playlistUrl: rtspManager ? rtspManager.getPlaylistUrl(camera.id) : null,
+  };
+}
+
+// Scheduled camera archival into VIDEOS/recordings
+const recordingManager = new RecordingManager({
+  ffmpegPath: FFMPEG_PATH,
+  recordingsDir: RECORDINGS_DIR,
+  debug: process.env.DEBUG_RTSP === "true",
+});
+
+// Snapshots and timelapse frames into IMAGES/snapshots
+const snapshotManager = new SnapshotManager({
+  ffmpegPath: FFMPEG_PATH,
+  snapshotsDir: SNAPSHOTS_DIR,
+  videosDir: VIDEOS_DIR,
+  debug: process.env.DEBUG_RTSP === "true",
+});
+
+// Apply a camera's recording and timelapse settings to their managers
+function syncCameraJobs(camera: CameraRecord): void {
+  const sourceUrl = cameraRegistry.getSourceUrl(camera.id)!;
+  recordingManager.configure(camera.id, camera.name, sourceUrl, camera.enabled ? camera.recording || null : null);
+  snapshotManager.configure(camera.id, camera.name, sourceUrl, camera.enabled ? camera.timelapse || null : null);
+}
+
+function parseProfile(profile: unknown): string | null | undefined {
+  if (profile === undefined || profile === null || profile === "") {
+    return profile === "" ? null : (profile as null | undefined);
+  }
+  if (typeof profile !== "string") {
+    throw new Error("Encoding profile must be a string");
+  }
+  if (rtspManager && !rtspManager.hasProfile(profile)) {
+    throw new Error(`Unknown encoding profile "${profile}"`);
+  }
+  return profile;
+}
+
+function parseRecordingSettings(recording: unknown): RecordingSettings | null | undefined {
+  if (recording === undefined || recording === null) {
+    return recording as null | undefined;
+  }
+
+  const settings = recording as RecordingSettings;
+  const error = validateRecordingSettings(settings);
+  if (error) {
+    throw new Error(`Invalid recording settings: ${error}`);
+  }
+  return {
+    enabled: settings.enabled === true,
+    schedule: settings.schedule,
+    segmentDuration: settings.segmentDuration,
+    maxAgeDays: settings.maxAgeDays,
+    maxTotalSizeMB: settings.maxTotalSizeMB,
+  };
+}
+
+function parseTimelapseSettings(timelapse: unknown): TimelapseSettings | null | undefined {
+  if (timelapse === undefined || timelapse === null) {
+    return timelapse as null | undefined;
+  }
+
+  const settings = timelapse as TimelapseSettings;
+  const error = validateTimelapseSettings(settings);
+  if (error) {
+    throw new Error(`Invalid timelapse settings: ${error}`);
+  }
+  return {
+    enabled: settings.enabled === true,
+    intervalSeconds: settings.intervalSeconds,
+    schedule: settings.schedule,
+    maxFrames: settings.maxFrames,
+  };
+}
+
+function parseMotionSettings(motion: unknown): MotionSettings | null | undefined {
+  if (motion === undefined || motion === null) {
+    return motion as null | undefined;
+  }
+
+  const settings = motion as MotionSettings;
+  const error = validateMotionSettings(settings);
+  if (error) {
+    throw new Error(`Invalid motion settings: ${error}`);
+  }
+  return {
+    enabled: settings.enabled === true,
+    threshold: settings.threshold,
+    cooldownSeconds: settings.cooldownSeconds,
+    clip: settings.clip === true,
+    clipSeconds: settings.clipSeconds,
+    preRollSeconds: settings.preRollSeconds,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RTMP WORKER THREAD
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const RTMP_WORKER_PATH = path.join(__dirname, "rtmp-worker.js");
+const RTMP_WORKER_REQUEST_TIMEOUT = 2000;
+const RTMP_WORKER_MAX_RESTART_DELAY = 30000;
+const RTMP_WORKER_STABLE_AFTER = 60000;
+// How long a stopping worker gets to shut down its server before it is terminated
+const RTMP_WORKER_STOP_TIMEOUT = 5000;
+
+const rtmpWorker = {
+  worker: null as Worker | null,
+  state: "stopped" as RTMPWorkerState,
+  streams: [] as RTMPStreamInfo[],
+  // Stream keys between their stream-start and stream-end events
+  liveStreams: new Set<string>(),
+  activeStreams: 0,
+  lastError: null as string | null,
+  restarts: 0,
+  startedAt: 0,
+  stopping: false,
+  requestCounter: 0,
+  pending: new Map<number, (event: RTMPWorkerEvent) => void>(),
+
+  start(): void {
+    if (this.worker) return;
+
+    this.stopping = false;
+    this.state = "starting";
+    this.startedAt = Date.now();
+
+    const worker = new Worker(RTMP_WORKER_PATH);
+    this.worker = worker;
+
+    worker.on("message", (event: RTMPWorkerEvent) => this.handleEvent(event));
+    worker.on("error", (error) => {
+      console.error("❌ RTMP worker error:", error);
+      this.lastError = error.message;
+    });
+    worker.on("exit", (code) => this.handleExit(worker, code));
+
+    this.send({ type: "start", config: getRtmpConfig(), archive: getArchiveConfig() });
+    console.log(`🧵 RTMP worker started (thread ${worker.threadId})`);
+  },
+
+  /**
+   * Stop the RTMP server (FFmpeg jobs, publishers) inside the worker, then
+   * terminate the thread once it reports `stopped` or the timeout passes
+   */
+  async stop(): Promise<void> {
+    this.stopping = true;
+    const worker = this.worker;
+    if (!worker) return;
+
+    await new Promise<void>((resolve) => {
+      const done = () => {
+        clearTimeout(timer);
+        worker.off("message", onMessage);
+        worker.off("exit", done);
+        resolve();
+      };
+      const onMessage = (event: RTMPWorkerEvent) => {
+        if (event.type === "state" && event.state === "stopped") done();
+      };
+      const timer = setTimeout(() => {
+        console.error(`⚠️ RTMP worker did not stop within ${RTMP_WORKER_STOP_TIMEOUT}ms, terminating it`);
+        done();
+      }, RTMP_WORKER_STOP_TIMEOUT);
+
+      worker.on("message", onMessage);
+      worker.once("exit", done);
+      this.send({ type: "stop" });
+    });
+    await worker.terminate();
+  },
+
+  send(command: RTMPWorkerCommand): void {
+    this.worker?.postMessage(command);
+  },
+
+  handleEvent(event: RTMPWorkerEvent): void {
+    switch (event.type) {
+      case "state":
+        this.state = event.state;
+        this.activeStreams = event.activeStreams;
+        this.lastError = event.error || null;
+        break;
+      case "streams":
+        this.streams = event.streams;
+        this.activeStreams = event.streams.length;
+        break;
+      case "stream-start": {
+        const { streamKey } = event;
+        console.log(`🧵 RTMP worker: stream started (${streamKey})`);
+        this.liveStreams.add(streamKey);
+        if (event.publishKey) {
+          streamKeyStore.recordPublish(event.publishKey, streamKey);
+        }
+        webhookManager.emit("rtmp.publish", { streamKey, publishKey: event.publishKey });
+        hlsWatchdog.watch({
+          id: `rtmp:${streamKey}`,
+          type: "rtmp",
+          playlistPath: event.playlistPath,
+          restart: () => this.send({ type: "restart-hls", streamKey }),
+        });
+        break;
+      }
+      case "stream-end":
+        console.log(`🧵 RTMP worker: stream ended (${event.streamKey})`);
+        this.liveStreams.delete(event.streamKey);
+        hlsWatchdog.unwatch(`rtmp:${event.streamKey}`);
+        if (event.publishKey) {
+          streamKeyStore.recordPublishEnd(event.publishKey, event.streamKey);
+        }
+        webhookManager.emit("rtmp.done", {
+          streamKey: event.streamKey,
+          publishKey: event.publishKey,
+          startedAt: event.startTime,
+          duration: Math.floor((Date.now() - new Date(event.startTime).getTime()) / 1000),
+        });
+        break;
+      case "publish-rejected":
+        console.log(`🚫 RTMP publish rejected (${event.streamKey}): ${event.reason}`);
+        if (event.publishKey) {
+          streamKeyStore.recordRejection(event.publishKey, event.streamKey, event.reason);
+        }
+        break;
+      case "restream-status":
+        if (event.status.state === "failed") {
+          console.error(`❌ Restream of ${event.streamKey} to ${event.status.name} gave up: ${event.status.lastError}`);
+        }
+        break;
+      case "broadcast-archived":
+        console.log(`📼 Broadcast available in Videos: ${event.record.filename}`);
+        break;
+    }
+
+    if ("requestId" in event && event.requestId !== undefined) {
+      const resolve = this.pending.get(event.requestId);
+      if (resolve) {
+        this.pending.delete(event.requestId);
+        resolve(event);
+      }
+    }
+  },
+
+  handleExit(worker: Worker, code: number): void {
+    if (this.worker !== worker) return;
+
+    this.worker = null;
+    this.streams.forEach((stream) => hlsWatchdog.unwatch(`rtmp:${stream.streamKey}`));
+    this.streams = [];
+    this.liveStreams.clear();
+    this.activeStreams = 0;
+    this.pending.forEach((resolve) => resolve({ type: "streams", streams: [] }));
+    this.pending.clear();
+
+    if (this.stopping) {
+      this.state = "stopped";
+      console.log("🧵 RTMP worker stopped");
+      return;
+    }
+
+    // Crashed - restart with exponential backoff
+    if (Date.now() - this.startedAt > RTMP_WORKER_STABLE_AFTER) {
+      this.restarts = 0;
+    }
+    const delay = Math.min(1000 * Math.pow(2, this.restarts), RTMP_WORKER_MAX_RESTART_DELAY);
+    this.restarts++;
+    this.state = "restarting";
+    console.error(`💥 RTMP worker exited with code ${code}, restarting in ${delay}ms (restart #${this.restarts})`);
+
+    setTimeout(() => {
+      if (!this.stopping) this.start();
+    }, delay);
+  },
+
+  request(type: "list-streams" | "state"): Promise<RTMPWorkerEvent | null> {
+    if (!this.worker) return Promise.resolve(null);
+
+    const requestId = ++this.requestCounter;
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(requestId);
+        resolve(null);
+      }, RTMP_WORKER_REQUEST_TIMEOUT);
+
+      this.pending.set(requestId, (event) => {
+        clearTimeout(timer);
+        resolve(event);
+      });
+      this.send({ type, requestId });
+    });
+  },
+
+  async listStreams(): Promise<RTMPStreamInfo[]> {
+    const event = await this.request("list-streams");
+    if (event && event.type === "streams") {
+      this.streams = event.streams;
+    }
+    return this.streams;
+  },
+
+  getStatus() {
+    return {
+      enabled: RTMP_ENABLED,
+      threadId: this.worker?.threadId ?? null,
+      status: {
+        state: this.state,
+        activeStreams: this.activeStreams,
+        restarts: this.restarts,
+        error: this.lastError,
+      },
+    };
+  },
+};
+
+/**
+ * Push the current stream key policies to the RTMP worker
+ */
+function syncStreamKeys(): void {
+  rtmpWorker.send({ type: "stream-keys", keys: streamKeyStore.getPolicies() });
+}
+
+/**
+ * Push the current restream targets to the RTMP worker
+ */
+function syncRestreamTargets(): void {
+  rtmpWorker.send({ type: "restream-targets", targets: restreamTargetStore.getAll() });
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // HELPER FUNCTIONS
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -248,6 +919,11 @@ function getVideoFiles(): { filename: string; location: string }[] {
         }
       });
     }
+
+    // Camera recordings (VIDEOS/recordings/<camera>/)
+    recordingManager.listRecordings().forEach((recording) => {
+      videos.push({ filename: recording.relativePath, location: "VIDEOS" });
+    });
   } catch (error) {
     console.error("Error reading video directories:", error);
   }
@@ -255,49 +931,364 @@ function getVideoFiles(): { filename: string; location: string }[] {
   return videos;
 }
 
-function getImageFiles(): string[] {
+// Image paths relative to IMAGES/, including subfolders such as snapshots/<source>/
+function getImageFiles(dir: string = IMAGES_DIR, prefix = ""): string[] {
   try {
-    if (!fs.existsSync(IMAGES_DIR)) {
+    if (!fs.existsSync(dir)) {
       return [];
     }
-    const files = fs.readdirSync(IMAGES_DIR);
-    return files.filter((file) => IMAGE_EXTENSIONS.some((ext) => file.toLowerCase().endsWith(ext)));
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter((entry) => !entry.name.startsWith("."))
+      .flatMap((entry) => {
+        if (entry.isDirectory()) {
+          return getImageFiles(path.join(dir, entry.name), `${prefix}${entry.name}/`);
+        }
+        return IMAGE_EXTENSIONS.some((ext) => entry.name.toLowerCase().endsWith(ext)) ? [`${prefix}${entry.name}`] : [];
+      });
   } catch (error) {
     console.error("Error reading Images directory:", error);
     return [];
   }
 }
 
+function getPublicFiles(): string[] {
+  try {
+    if (!fs.existsSync(STORAGE_DIR)) {
+      return [];
+    }
+    return fs.readdirSync(STORAGE_DIR, { withFileTypes: true })
+      .filter((entry) => entry.isFile())
+      .filter((entry) => !VIDEO_EXTENSIONS.some((ext) => entry.name.toLowerCase().endsWith(ext)))
+      .map((entry) => entry.name);
+  } catch (error) {
+    console.error("Error reading storage directory:", error);
+    return [];
+  }
+}
+
+function isAdminRoute(url: string): boolean {
+  const pathname = url.split("?")[0];
+  return ADMIN_ROUTES.some((route) => pathname === route || pathname.startsWith(`${route}/`));
+}
+
+/**
+ * Let only requests carrying `Authorization: Bearer <ADMIN_TOKEN>` through;
+ * admin routes answer 503 while no token is configured
+ */
+function requireAdminToken(req: Request, res: Response, next: NextFunction): void {
+  if (!ADMIN_TOKEN) {
+    res.status(503).json({ error: "Admin API disabled (set ADMIN_TOKEN)" });
+    return;
+  }
+
+  // Hashing first gives timingSafeEqual buffers of equal length
+  const bearer = req.get("authorization")?.match(/^Bearer\s+(\S+)$/i)?.[1] || "";
+  const expected = crypto.createHash("sha256").update(ADMIN_TOKEN).digest();
+  if (!crypto.timingSafeEqual(crypto.createHash("sha256").update(bearer).digest(), expected)) {
+    res.status(401).json({ error: "Admin token required" });
+    return;
+  }
+  next();
+}
+
+function parseSnapshotFormat(format: unknown): SnapshotFormat {
+  if (format === undefined || format === null || format === "") {
+    return "jpg";
+  }
+  if (format === "jpeg") {
+    return "jpg";
+  }
+  if (!SNAPSHOT_FORMATS.includes(format as SnapshotFormat)) {
+    throw new Error(`Unsupported snapshot format "${format}" (use ${SNAPSHOT_FORMATS.join(", ")})`);
+  }
+  return format as SnapshotFormat;
+}
+
+function parseOptionalDate(value: unknown, field: string): Date | undefined {
+  if (value === undefined || value === null || value === "") {
+    return undefined;
+  }
+  const date = new Date(String(value));
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid ${field} date`);
+  }
+  return date;
+}
+
+async function sendSnapshot(res: Response, source: string, sourceUrl: string, format: SnapshotFormat): Promise<void> {
+  try {
+    const snapshot = await snapshotManager.capture(source, sourceUrl, format);
+    res.status(201).json({ ...snapshot, url: `/images/${snapshot.relativePath}` });
+  } catch (error) {
+    console.error(`Error capturing snapshot from ${source}:`, error instanceof Error ? error.message : error);
+    res.status(502).json({ error: `Failed to capture snapshot: ${error instanceof Error ? error.message : error}` });
+  }
+}
+
+const HLS_FILE_PATTERN = /^[a-zA-Z0-9_-]+(\.\d+)?\.(m3u8|ts|m4s|mp4)$/;
+const HLS_CONTENT_TYPES: Record<string, string> = {
+  ".ts": "video/mp2t",
+  ".m4s": "video/iso.segment",
+  ".mp4": "video/mp4",
+};
+// How long a request for an announced but unwritten part may wait (ms)
+const LL_HLS_PART_WAIT = 6000;
+
+// One watcher per HLS output directory, shared by every request waiting on it
+const hlsDirectoryWatchers = new Map<string, { watcher: fs.FSWatcher; waiters: Set<() => void> }>();
+
+/**
+ * Wait until a condition on the files of an HLS output directory holds or the
+ * timeout expires. The condition is checked again whenever a file in the
+ * directory is renamed into place (LL-HLS files are written to `.tmp` first),
+ * and the wait ends early when the response is closed.
+ */
+function waitForHlsFiles(dir: string, check: () => boolean, timeoutMs: number, res: Response): Promise<boolean> {
+  const holds = () => {
+    try {
+      return check();
+    } catch {
+      return false;
+    }
+  };
+  if (holds()) return Promise.resolve(true);
+
+  let entry = hlsDirectoryWatchers.get(dir);
+  if (!entry) {
+    let watcher: fs.FSWatcher;
+    try {
+      watcher = fs.watch(dir);
+    } catch {
+      return Promise.resolve(false);
+    }
+    const created = { watcher, waiters: new Set<() => void>() };
+    watcher.on("change", (eventType, filename) => {
+      if (typeof filename === "string" && filename.endsWith(".tmp")) return;
+      created.waiters.forEach((waiter) => waiter());
+    });
+    // The directory went away (stream stopped); the waiters run into their timeouts
+    watcher.on("error", () => {
+      watcher.close();
+      if (hlsDirectoryWatchers.get(dir) === created) hlsDirectoryWatchers.delete(dir);
+    });
+    hlsDirectoryWatchers.set(dir, created);
+    entry = created;
+  }
+  const { watcher, waiters } = entry;
+
+  return new Promise((resolve) => {
+    const finish = (ready: boolean) => {
+      clearTimeout(timer);
+      res.off("close", onClose);
+      waiters.delete(onChange);
+      if (waiters.size === 0 && hlsDirectoryWatchers.get(dir)?.watcher === watcher) {
+        watcher.close();
+        hlsDirectoryWatchers.delete(dir);
+      }
+      resolve(ready);
+    };
+    const onChange = () => {
+      if (holds()) finish(true);
+    };
+    const onClose = () => finish(false);
+    const timer = setTimeout(onClose, timeoutMs);
+
+    waiters.add(onChange);
+    res.once("close", onClose);
+    // Files written before the watcher started
+    onChange();
+  });
+}
+
+/**
+ * Check the queue ticket (`?ticket=`) of a media request, answering 403 and
+ * returning null when it is missing or not active
+ */
+function requireViewerTicket(req: Request, res: Response): string | null {
+  const ticketId = typeof req.query.ticket === "string" ? req.query.ticket : "";
+  if (!ticketId) {
+    res.status(403).json({ error: "Access denied", message: "Valid ticket required" });
+    return null;
+  }
+
+  const ticketStatus = viewingQueue.checkTicket(ticketId);
+  if (ticketStatus.status !== "active") {
+    res.status(403).json({
+      error: "Access denied",
+      message: ticketStatus.status === "queued"
+        ? `Please wait in queue. Position: ${(ticketStatus as any).position}`
+        : "Ticket expired or invalid",
+    });
+    return null;
+  }
+  return ticketId;
+}
+
+/**
+ * Append the viewer's ticket to every URI of a playlist (segments, variant
+ * playlists and `URI="..."` attributes) so players keep sending it
+ */
+function addTicketToPlaylist(playlist: string, ticketId: string): string {
+  const withTicket = (uri: string) =>
+    /^[a-z][a-z0-9+.-]*:/i.test(uri)
+      ? uri
+      : `${uri}${uri.includes("?") ? "&" : "?"}ticket=${encodeURIComponent(ticketId)}`;
+
+  return playlist
+    .split("\n")
+    .map((line) => {
+      const trimmed = line.trim();
+      if (!trimmed) return line;
+      if (trimmed.startsWith("#")) {
+        return line.replace(/URI="([^"]*)"/g, (_match, uri: string) => `URI="${withTicket(uri)}"`);
+      }
+      return withTicket(trimmed);
+    })
+    .join("\n");
+}
+
+/**
+ * Serve a playlist or segment of a live HLS output. LL-HLS blocking playlist
+ * reloads (`_HLS_msn`/`_HLS_part`) and requests for not-yet-written parts
+ * (preload hints) are held until they are available.
+ */
+async function serveHls(dir: string, file: string, ticketId: string, req: Request, res: Response) {
+  if (!HLS_FILE_PATTERN.test(file)) {
+    return res.status(404).json({ error: "Not found" });
+  }
+
+  const filePath = path.join(dir, file);
+  let closed = false;
+  res.on("close", () => {
+    closed = true;
+  });
+
+  if (file.endsWith(".m3u8")) {
+    const msn = req.query._HLS_msn !== undefined ? parseInt(String(req.query._HLS_msn), 10) : undefined;
+    const part = req.query._HLS_part !== undefined ? parseInt(String(req.query._HLS_part), 10) : undefined;
+
+    if ((msn !== undefined && !(msn >= 0)) || (part !== undefined && (msn === undefined || !(part >= 0)))) {
+      return res.status(400).json({ error: "Invalid _HLS_msn/_HLS_part" });
+    }
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ error: "Stream not found" });
+    }
+
+    if (msn !== undefined) {
+      const position = getPlaylistPosition(fs.readFileSync(filePath, "utf8"));
+      if (msn > position.nextMsn + 2) {
+        return res.status(400).json({ error: "_HLS_msn is too far in the future" });
+      }
+
+      const ready = await waitForHlsFiles(
+        dir,
+        () => isPlaylistReady(getPlaylistPosition(fs.readFileSync(filePath, "utf8")), msn, part),
+        position.targetDuration * 3 * 1000,
+        res
+      );
+      if (closed) return;
+      if (!ready) {
+        return res.status(503).json({ error: "Requested segment not available yet" });
+      }
+    }
+
+    res.set({ "Content-Type": "application/vnd.apple.mpegurl", "Cache-Control": "no-cache" });
+    return res.send(addTicketToPlaylist(fs.readFileSync(filePath, "utf8"), ticketId));
+  }
+
+  // Parts announced by a preload hint are requested before they exist
+  if (!fs.existsSync(filePath)) {
+    const found = HLS_LOW_LATENCY && (await waitForHlsFiles(dir, () => fs.existsSync(filePath), LL_HLS_PART_WAIT, res));
+    if (closed) return;
+    if (!found) {
+      return res.status(404).json({ error: "Not found" });
+    }
+  }
+
+  res.set("Content-Type", HLS_CONTENT_TYPES[path.extname(file)]);
+  res.sendFile(filePath);
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // MIDDLEWARE
 // ═══════════════════════════════════════════════════════════════════════════════
 
-app.use(cors());
+// Admin routes are called by the MCP server and scripts, never by browsers on other origins
+app.use(cors((req, callback) => callback(null, { origin: isAdminRoute(req.url || "") ? false : "*" })));
 app.use(express.json());
+app.use(ADMIN_ROUTES, requireAdminToken);
 
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, "..", "public")));
 
 // Serve media from BRANDYFICATION subfolders
-app.use("/streams", express.static(STREAMS_DIR));
 app.use("/images", express.static(IMAGES_DIR));
 app.use("/videos-dir", express.static(VIDEOS_DIR));
+app.use("/thumbnails", express.static(THUMBNAILS_DIR));
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // API ROUTES
 // ═══════════════════════════════════════════════════════════════════════════════
 
-// Health check
-app.get("/health", (req: Request, res: Response) => {
-  res.json({ status: "ok", timestamp: new Date().toISOString() });
-});
+// Resolve a video filename from /videos/:filename.
+// Nested paths are only allowed inside VIDEOS (e.g. recordings/<camera>/<file>).
+function resolveVideoPath(filename: string): string | null {
+  if (filename.includes("..") || filename.includes("\\") || filename.startsWith("/")) {
+    return null;
+  }
 
-// List videos
-app.get("/api/videos", (req: Request, res: Response) => {
-  try {
-    const videos = getVideoFiles();
-    const videosWithSize = videos.map((videoInfo) => {
-      try {
+  if (filename.includes("/")) {
+    const videoPath = path.resolve(VIDEOS_DIR, filename);
+    return videoPath.startsWith(path.resolve(VIDEOS_DIR) + path.sep) ? videoPath : null;
+  }
+
+  const rootPath = path.join(STORAGE_DIR, filename);
+  return fs.existsSync(rootPath) ? rootPath : path.join(VIDEOS_DIR, filename);
+}
+
+// Stored videos are packaged under their path relative to STORAGE_DIR
+function getVideoName(videoPath: string): string {
+  return path.relative(path.resolve(STORAGE_DIR), videoPath).split(path.sep).join("/");
+}
+
+// HLS package of a stored video, queued for packaging with `request`
+// (null when packaging is disabled or the file is a GIF)
+function getVodPackage(videoPath: string, request = false) {
+  if (!vodPackager || videoPath.toLowerCase().endsWith(".gif")) return null;
+  const name = getVideoName(videoPath);
+  return request ? vodPackager.request(name, videoPath) : vodPackager.getPackage(name, videoPath);
+}
+
+// Keep packages in step with uploads and deletions reported by the MCP server
+// (a deleted directory is reported once, for all the files it held)
+function updateVodPackage(event: string, relativePath: string, directory = false): void {
+  const videoPath = path.resolve(STORAGE_DIR, relativePath);
+  if (!vodPackager || !videoPath.startsWith(path.resolve(STORAGE_DIR) + path.sep)) return;
+  if (directory) {
+    if (event === "file.deleted") vodPackager.invalidateDirectory(getVideoName(videoPath));
+    return;
+  }
+
+  const isVideo = VIDEO_EXTENSIONS.some((ext) => videoPath.toLowerCase().endsWith(ext));
+  if (!isVideo) return;
+
+  vodPackager.invalidate(getVideoName(videoPath));
+  if (event === "file.uploaded" && VOD_HLS_ON_UPLOAD) {
+    getVodPackage(videoPath, true);
+  }
+}
+
+// Health check
+app.get("/health", (req: Request, res: Response) => {
+  res.json({ status: "ok", timestamp: new Date().toISOString() });
+});
+
+// List videos
+app.get("/api/videos", (req: Request, res: Response) => {
+  try {
+    const videos = getVideoFiles();
+    const videosWithSize = videos.map((videoInfo) => {
+      try {
         const filePath = videoInfo.location === "root"
           ? path.join(STORAGE_DIR, videoInfo.filename)
           : path.join(VIDEOS_DIR, videoInfo.filename);
@@ -307,6 +1298,7 @@ app.get("/api/videos", (req: Request, res: Response) => {
           location: videoInfo.location,
           size: stats.size,
           sizeMB: (stats.size / (1024 * 1024)).toFixed(2),
+          hls: getVodPackage(filePath),
         };
       } catch {
         return {
@@ -318,13 +1310,62 @@ app.get("/api/videos", (req: Request, res: Response) => {
       }
     });
 
-    res.json({ videos: videosWithSize, count: videosWithSize.length });
+    // Attach metadata and thumbnails of published RTMP broadcasts
+    const broadcasts = new Map(readBroadcastRecords(BROADCASTS_PATH).map((record) => [record.filename, record]));
+    const videosWithMetadata = videosWithSize.map((video) => {
+      const broadcast = video.location === "VIDEOS" ? broadcasts.get(video.filename) : undefined;
+      if (!broadcast) return video;
+      return {
+        ...video,
+        broadcast,
+        thumbnailUrl: broadcast.thumbnail ? `/thumbnails/${encodeURIComponent(broadcast.thumbnail)}` : null,
+      };
+    });
+
+    res.json({ videos: videosWithMetadata, count: videosWithMetadata.length });
   } catch (error) {
     console.error("Error fetching videos:", error);
     res.status(500).json({ error: "Failed to fetch videos" });
   }
 });
 
+// HLS package of a stored video: status, (re)package, delete
+app.get("/api/videos/:filename/hls", (req: Request, res: Response) => {
+  const videoPath = resolveVideoPath(req.params.filename);
+  if (!videoPath || !fs.existsSync(videoPath)) {
+    return res.status(404).json({ error: "Video not found" });
+  }
+  res.json({ enabled: vodPackager !== null, package: getVodPackage(videoPath) });
+});
+
+app.post("/api/videos/:filename/hls", requireAdminToken, (req: Request, res: Response) => {
+  const videoPath = resolveVideoPath(req.params.filename);
+  if (!vodPackager) {
+    return res.status(503).json({ error: "HLS packaging is disabled (set VOD_HLS_ENABLED)" });
+  }
+  if (!videoPath || !fs.existsSync(videoPath)) {
+    return res.status(404).json({ error: "Video not found" });
+  }
+  if (videoPath.toLowerCase().endsWith(".gif")) {
+    return res.status(400).json({ error: "GIFs are not packaged" });
+  }
+
+  const vodPackage = vodPackager.request(getVideoName(videoPath), videoPath, true);
+  res.status(vodPackage.status === "ready" ? 200 : 202).json(vodPackage);
+});
+
+app.delete("/api/videos/:filename/hls", requireAdminToken, (req: Request, res: Response) => {
+  const videoPath = resolveVideoPath(req.params.filename);
+  if (!vodPackager || !videoPath) {
+    return res.status(404).json({ error: "Package not found" });
+  }
+
+  if (!vodPackager.invalidate(getVideoName(videoPath))) {
+    return res.status(404).json({ error: "Package not found" });
+  }
+  res.json({ success: true });
+});
+
 // List images
 app.get("/api/images", (req: Request, res: Response) => {
   try {
@@ -356,6 +1397,823 @@ app.get("/api/images", (req: Request, res: Response) => {
   }
 });
 
+// List public (root-level, non-video) files
+app.get("/api/public", (req: Request, res: Response) => {
+  try {
+    const files = getPublicFiles().map((filename) => {
+      try {
+        const stats = fs.statSync(path.join(STORAGE_DIR, filename));
+        return {
+          filename,
+          size: stats.size,
+          sizeKB: (stats.size / 1024).toFixed(2),
+          url: `/files/${encodeURIComponent(filename)}`,
+        };
+      } catch {
+        return {
+          filename,
+          size: 0,
+          sizeKB: "0.00",
+          url: `/files/${encodeURIComponent(filename)}`,
+        };
+      }
+    });
+
+    res.json({ files, count: files.length });
+  } catch (error) {
+    console.error("Error fetching public files:", error);
+    res.status(500).json({ error: "Failed to fetch public files" });
+  }
+});
+
+// Serve a public file
+app.get("/files/:filename", (req: Request, res: Response) => {
+  const { filename } = req.params;
+
+  // Prevent path traversal
+  if (filename.includes("..") || filename.includes("/") || filename.includes("\\")) {
+    return res.status(400).json({ error: "Invalid filename" });
+  }
+
+  if (!getPublicFiles().includes(filename)) {
+    return res.status(404).json({ error: "File not found" });
+  }
+
+  res.sendFile(path.resolve(STORAGE_DIR, filename));
+});
+
+// RTSP stream status
+app.get("/api/streams", (req: Request, res: Response) => {
+  try {
+    const streams = rtspManager
+      ? rtspManager.getStreamStatus().map((stream) => ({
+          ...stream,
+          playlistUrl: rtspManager!.getPlaylistUrl(stream.id),
+          masterUrl: stream.renditions ? rtspManager!.getPlaylistUrl(stream.id) : null,
+          lowLatencyUrl: HLS_LOW_LATENCY ? rtspManager!.getPlaylistUrl(stream.id) : null,
+          lastSegmentAge: hlsWatchdog.getHealth(`rtsp:${stream.id}`)?.lastSegmentAge ?? null,
+          watchdog: hlsWatchdog.getHealth(`rtsp:${stream.id}`),
+          viewers: hlsViewers.count(`rtsp:${stream.id}`),
+        }))
+      : [];
+
+    res.json({ enabled: rtspManager !== null, streams, count: streams.length });
+  } catch (error) {
+    console.error("Error fetching RTSP streams:", error);
+    res.status(500).json({ error: "Failed to fetch streams" });
+  }
+});
+
+// Motion events of an RTSP stream (newest first)
+app.get("/api/streams/:id/events", (req: Request, res: Response) => {
+  const { id } = req.params;
+  if (!/^[a-zA-Z0-9_-]+$/.test(id)) {
+    return res.status(400).json({ error: "Invalid stream id" });
+  }
+
+  let query: { since?: Date; until?: Date; limit?: number };
+  try {
+    const limit = req.query.limit === undefined ? undefined : parseInt(String(req.query.limit), 10);
+    if (limit !== undefined && !(limit > 0 && limit <= 1000)) {
+      throw new Error("limit must be between 1 and 1000");
+    }
+    query = {
+      since: parseOptionalDate(req.query.since, "since"),
+      until: parseOptionalDate(req.query.until, "until"),
+      limit,
+    };
+  } catch (error) {
+    return res.status(400).json({ error: error instanceof Error ? error.message : "Invalid query" });
+  }
+
+  try {
+    const events = motionEventLog.query(id, query).map((event) => ({
+      ...event,
+      snapshotUrl: event.snapshot ? `/images/${event.snapshot}` : null,
+      clipUrl: event.clip && eventClipRecorder.isClipReady(event.clip) ? `/videos/${encodeURIComponent(event.clip)}` : null,
+    }));
+    res.json({ streamId: id, events, count: events.length });
+  } catch (error) {
+    console.error("Error fetching motion events:", error);
+    res.status(500).json({ error: "Failed to fetch events" });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CAMERA MANAGEMENT
+// ═══════════════════════════════════════════════════════════════════════════════
+
+app.get("/api/cameras", (req: Request, res: Response) => {
+  const cameras = cameraRegistry.list().map(withCameraStatus);
+  res.json({ rtspEnabled: rtspManager !== null, cameras, count: cameras.length });
+});
+
+app.get("/api/cameras/:id", (req: Request, res: Response) => {
+  const camera = cameraRegistry.get(req.params.id);
+  if (!camera) {
+    return res.status(404).json({ error: "Camera not found" });
+  }
+  res.json(withCameraStatus(camera));
+});
+
+app.post("/api/cameras", (req: Request, res: Response) => {
+  try {
+    const { id, name, url, enabled, profile, recording, timelapse, motion } = req.body || {};
+    const camera = cameraRegistry.add({
+      id,
+      name,
+      url,
+      enabled,
+      profile: parseProfile(profile),
+      recording: parseRecordingSettings(recording),
+      timelapse: parseTimelapseSettings(timelapse),
+      motion: parseMotionSettings(motion),
+    });
+    console.log(`📷 Camera added: ${camera.name} (${camera.id})`);
+    syncCameraJobs(camera);
+
+    if (camera.enabled) {
+      startCamera(camera);
+    }
+    res.status(201).json(withCameraStatus(camera));
+  } catch (error) {
+    res.status(400).json({ error: error instanceof Error ? error.message : "Invalid camera" });
+  }
+});
+
+app.patch("/api/cameras/:id", (req: Request, res: Response) => {
+  const { id } = req.params;
+  if (!cameraRegistry.get(id)) {
+    return res.status(404).json({ error: "Camera not found" });
+  }
+
+  try {
+    const { name, url, enabled, profile, recording, timelapse, motion } = req.body || {};
+    const wasRunning = isCameraRunning(id);
+    const camera = cameraRegistry.update(id, {
+      name,
+      url,
+      enabled,
+      profile: parseProfile(profile),
+      recording: parseRecordingSettings(recording),
+      timelapse: parseTimelapseSettings(timelapse),
+      motion: parseMotionSettings(motion),
+    });
+    console.log(`📷 Camera updated: ${camera.name} (${camera.id})`);
+    syncCameraJobs(camera);
+
+    // Restart so FFmpeg picks up the new source/name/profile
+    stopCamera(id);
+    if (camera.enabled && (wasRunning || enabled === true)) {
+      startCamera(camera);
+    }
+    res.json(withCameraStatus(camera));
+  } catch (error) {
+    res.status(400).json({ error: error instanceof Error ? error.message : "Invalid camera" });
+  }
+});
+
+app.post("/api/cameras/:id/:action(enable|disable|start|stop)", (req: Request, res: Response) => {
+  const { id, action } = req.params;
+  let camera = cameraRegistry.get(id);
+  if (!camera) {
+    return res.status(404).json({ error: "Camera not found" });
+  }
+
+  if (action === "enable" || action === "disable") {
+    camera = cameraRegistry.update(id, { enabled: action === "enable" });
+    syncCameraJobs(camera);
+    if (action === "disable") {
+      stopCamera(id);
+    }
+    console.log(`📷 Camera ${action}d: ${id}`);
+    return res.json(withCameraStatus(camera));
+  }
+
+  if (!rtspManager) {
+    return res.status(409).json({ error: "RTSP streaming is disabled (set RTSP_ENABLED=true)" });
+  }
+
+  if (action === "start") {
+    if (!camera.enabled) {
+      return res.status(409).json({ error: "Camera is disabled" });
+    }
+    if (!isCameraRunning(id)) {
+      startCamera(camera);
+    }
+  } else {
+    stopCamera(id);
+  }
+
+  res.json(withCameraStatus(camera));
+});
+
+app.delete("/api/cameras/:id", (req: Request, res: Response) => {
+  const { id } = req.params;
+  stopCamera(id);
+  recordingManager.remove(id);
+  snapshotManager.remove(id);
+  if (!cameraRegistry.remove(id)) {
+    return res.status(404).json({ error: "Camera not found" });
+  }
+
+  console.log(`📷 Camera deleted: ${id}`);
+  res.json({ deleted: id });
+});
+
+// Encoding profiles available to cameras
+app.get("/api/encoding-profiles", (req: Request, res: Response) => {
+  if (!rtspManager) {
+    return res.json({ enabled: false, defaultProfile: null, profiles: [] });
+  }
+  res.json({
+    enabled: true,
+    defaultProfile: rtspManager.getDefaultProfile(),
+    profiles: [
+      ...rtspManager.getProfiles(),
+      { name: AUTO_PROFILE, description: "Probe the source and stream-copy it when browsers can play it" },
+    ],
+  });
+});
+
+// Camera recordings
+app.get("/api/recordings", (req: Request, res: Response) => {
+  try {
+    const camera = typeof req.query.camera === "string" ? req.query.camera : undefined;
+    if (camera !== undefined && !/^[a-zA-Z0-9_-]+$/.test(camera)) {
+      return res.status(400).json({ error: "Invalid camera id" });
+    }
+
+    const recordings = recordingManager.listRecordings(camera).map((recording) => ({
+      ...recording,
+      sizeMB: (recording.size / (1024 * 1024)).toFixed(2),
+      url: `/videos/${encodeURIComponent(recording.relativePath)}`,
+    }));
+
+    res.json({ recordings, count: recordings.length, status: recordingManager.getStatus() });
+  } catch (error) {
+    console.error("Error fetching recordings:", error);
+    res.status(500).json({ error: "Failed to fetch recordings" });
+  }
+});
+
+// RTMP active streams
+app.get("/api/rtmp/streams", async (req: Request, res: Response) => {
+  try {
+    // The stored key a stream was published with lets anyone publish with it
+    const streams = (await rtmpWorker.listStreams()).map(({ publishKey, ...stream }) => ({
+      ...stream,
+      lastSegmentAge: hlsWatchdog.getHealth(`rtmp:${stream.streamKey}`)?.lastSegmentAge ?? null,
+      watchdog: hlsWatchdog.getHealth(`rtmp:${stream.streamKey}`),
+      viewers: hlsViewers.count(`rtmp:${stream.streamKey}`),
+      lowLatencyUrl: stream.lowLatency ? stream.playlistUrl : null,
+      ingest: getIngestProtocol(stream.streamKey),
+    }));
+
+    res.json({ enabled: RTMP_ENABLED, streams, count: streams.length });
+  } catch (error) {
+    console.error("Error fetching RTMP streams:", error);
+    res.status(500).json({ error: "Failed to fetch RTMP streams" });
+  }
+});
+
+// How a stream reached the RTMP server (WHIP and SRT are relayed into it)
+function getIngestProtocol(streamKey: string): "rtmp" | "whip" | "srt" {
+  if (whipIngest?.listSessions().some((session) => session.streamName === streamKey)) return "whip";
+  if (srtIngest?.listSessions().some((session) => session.streamName === streamKey)) return "srt";
+  return "rtmp";
+}
+
+// RTMP worker thread status
+app.get("/api/rtmp/worker-status", async (req: Request, res: Response) => {
+  try {
+    await rtmpWorker.request("state");
+    res.json(rtmpWorker.getStatus());
+  } catch (error) {
+    console.error("Error fetching RTMP worker status:", error);
+    res.status(500).json({ error: "Failed to fetch worker status" });
+  }
+});
+
+// Checks a WHIP/SRT publish before it is relayed, as the RTMP server would
+function authorizeRelayedPublish(source: string, request: PublishRequest): PublishDecision {
+  const rtmpConfig = getRtmpConfig();
+  const decision = authorizePublish(request, {
+    keys: rtmpConfig.streamKeys || [],
+    validateStreamKey: !!rtmpConfig.validateStreamKey,
+    staticKeys: rtmpConfig.validStreamKeys || [],
+    requireSigned: !!rtmpConfig.requireSignedUrls,
+    activeCount: getActivePublishes,
+  });
+  if (!decision.allowed) {
+    console.log(`🚫 Rejected ${source} publish of ${request.streamName}: ${decision.reason}`);
+    if (decision.publishKey) {
+      streamKeyStore.recordRejection(decision.publishKey, request.streamName, decision.reason);
+    }
+  }
+  return decision;
+}
+
+// WHIP ingest: publish over WebRTC into the RTMP pipeline
+app.post("/whip/:streamName", express.text({ type: "application/sdp" }), async (req: Request, res: Response) => {
+  const { streamName } = req.params;
+  if (!whipIngest) {
+    return res.status(503).json({ error: "WHIP ingest is disabled (set RTMP_ENABLED and WHIP_ENABLED)" });
+  }
+  if (!req.is("application/sdp") || typeof req.body !== "string" || !req.body) {
+    return res.status(415).json({ error: "Expected an SDP offer (Content-Type: application/sdp)" });
+  }
+  if (!/^[a-zA-Z0-9_-]+$/.test(streamName)) {
+    return res.status(400).json({ error: "Invalid stream name" });
+  }
+  if (rtmpWorker.streams.some((stream) => stream.streamKey === streamName)) {
+    return res.status(409).json({ error: `Stream ${streamName} is already live` });
+  }
+
+  // Same credentials as an RTMP publish URL; WHIP clients send the key as a bearer token
+  const bearer = req.get("authorization")?.match(/^Bearer\s+(\S+)$/i)?.[1];
+  const key = bearer || (typeof req.query.key === "string" ? req.query.key : undefined);
+  const sign = typeof req.query.sign === "string" ? req.query.sign : undefined;
+  const decision = authorizeRelayedPublish("WHIP", { streamName, key, sign });
+  if (!decision.allowed) {
+    return res.status(403).json({ error: decision.reason });
+  }
+
+  // The RTMP server authorizes the relayed publish again with the same parameters
+  const query = new URLSearchParams();
+  if (key) query.set("key", key);
+  if (sign) query.set("sign", sign);
+  const publishUrl = `rtmp://127.0.0.1:${RTMP_PORT}/live/${streamName}${query.size ? `?${query}` : ""}`;
+
+  try {
+    const { id, answer } = await whipIngest.createSession(streamName, req.body, publishUrl);
+    res.status(201).set({
+      "Content-Type": "application/sdp",
+      Location: `/whip/sessions/${id}`,
+      "Access-Control-Expose-Headers": "Location",
+    });
+    res.send(answer);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    const invalid = message.startsWith("Invalid SDP offer");
+    if (!invalid) console.error(`Error creating WHIP session for ${streamName}:`, message);
+    res.status(invalid ? 400 : 500).json({ error: message });
+  }
+});
+
+// Candidates are gathered before answering; trickle ICE and ICE restarts are not supported
+app.patch("/whip/sessions/:id", (req: Request, res: Response) => {
+  res.status(405).set("Allow", "DELETE").json({ error: "Trickle ICE is not supported" });
+});
+
+app.delete("/whip/sessions/:id", (req: Request, res: Response) => {
+  if (!whipIngest?.stopSession(req.params.id)) {
+    return res.status(404).json({ error: "Session not found" });
+  }
+  res.json({ success: true });
+});
+
+app.get("/api/whip/sessions", (req: Request, res: Response) => {
+  const sessions = whipIngest?.listSessions() || [];
+  res.json({ enabled: whipIngest !== null, sessions, count: sessions.length });
+});
+
+// SRT ingest sessions
+app.get("/api/srt/sessions", (req: Request, res: Response) => {
+  const sessions = srtIngest?.listSessions() || [];
+  res.json({ enabled: srtIngest !== null, sessions, count: sessions.length });
+});
+
+app.delete("/api/srt/sessions/:id", requireAdminToken, (req: Request, res: Response) => {
+  if (!srtIngest?.stopSession(req.params.id)) {
+    return res.status(404).json({ error: "Session not found" });
+  }
+  res.json({ success: true });
+});
+
+// RTMP stream keys
+function getActivePublishes(key: string): number {
+  return rtmpWorker.streams.filter((stream) => stream.publishKey === key).length;
+}
+
+function parseStreamKeyInput(body: any): StreamKeyInput {
+  const { key, label, enabled, maxConcurrent, signedOnly, expiresAt, expiresIn } = body || {};
+  if (expiresIn !== undefined && expiresIn !== null && !(Number(expiresIn) > 0)) {
+    throw new Error("expiresIn must be a positive number of seconds");
+  }
+  return {
+    key,
+    label,
+    enabled,
+    maxConcurrent,
+    signedOnly,
+    expiresAt: expiresIn ? new Date(Date.now() + Number(expiresIn) * 1000).toISOString() : expiresAt,
+  };
+}
+
+app.get("/api/stream-keys", async (req: Request, res: Response) => {
+  if (RTMP_ENABLED) {
+    await rtmpWorker.listStreams();
+  }
+  const keys = streamKeyStore.list().map((key) => ({ ...key, active: getActivePublishes(key.key) }));
+  res.json({ keys, count: keys.length, requireSigned: RTMP_REQUIRE_SIGNED });
+});
+
+app.post("/api/stream-keys", (req: Request, res: Response) => {
+  try {
+    const key = streamKeyStore.create(parseStreamKeyInput(req.body));
+    console.log(`🔑 Stream key created: ${key.label}`);
+    syncStreamKeys();
+    res.status(201).json({
+      ...key,
+      server: `rtmp://${req.hostname}:${RTMP_PORT}/live`,
+      publishUrl: `rtmp://${req.hostname}:${RTMP_PORT}/live/${key.key}`,
+    });
+  } catch (error) {
+    res.status(400).json({ error: error instanceof Error ? error.message : "Invalid stream key" });
+  }
+});
+
+app.get("/api/stream-keys/:key", async (req: Request, res: Response) => {
+  const key = streamKeyStore.get(req.params.key);
+  if (!key) {
+    return res.status(404).json({ error: "Stream key not found" });
+  }
+  if (RTMP_ENABLED) {
+    await rtmpWorker.listStreams();
+  }
+  res.json({ ...key, active: getActivePublishes(key.key), history: streamKeyStore.getHistory(key.key) });
+});
+
+app.patch("/api/stream-keys/:key", (req: Request, res: Response) => {
+  if (!streamKeyStore.get(req.params.key)) {
+    return res.status(404).json({ error: "Stream key not found" });
+  }
+
+  try {
+    const { key: _ignored, ...changes } = parseStreamKeyInput(req.body);
+    const key = streamKeyStore.update(req.params.key, changes);
+    console.log(`🔑 Stream key updated: ${key.label}`);
+    syncStreamKeys();
+    res.json({ ...key, active: getActivePublishes(key.key) });
+  } catch (error) {
+    res.status(400).json({ error: error instanceof Error ? error.message : "Invalid stream key" });
+  }
+});
+
+app.delete("/api/stream-keys/:key", (req: Request, res: Response) => {
+  if (!streamKeyStore.remove(req.params.key)) {
+    return res.status(404).json({ error: "Stream key not found" });
+  }
+  console.log(`🔑 Stream key deleted: ${req.params.key}`);
+  syncStreamKeys();
+  res.json({ deleted: req.params.key });
+});
+
+// Signed, expiring publish URL for a key
+app.post("/api/stream-keys/:key/sign", (req: Request, res: Response) => {
+  const key = streamKeyStore.get(req.params.key);
+  if (!key) {
+    return res.status(404).json({ error: "Stream key not found" });
+  }
+
+  const { streamName = key.key, expiresIn = 3600 } = req.body || {};
+  if (typeof streamName !== "string" || !/^[a-zA-Z0-9_-]{1,128}$/.test(streamName)) {
+    return res.status(400).json({ error: "Invalid stream name" });
+  }
+  if (!(Number(expiresIn) > 0)) {
+    return res.status(400).json({ error: "expiresIn must be a positive number of seconds" });
+  }
+
+  const expiresAt = new Date(Date.now() + Number(expiresIn) * 1000);
+  const sign = streamKeyStore.sign(key.key, streamName, expiresAt);
+  // OBS takes everything after the app as the "stream key"
+  const streamKey = streamName === key.key ? `${streamName}?sign=${sign}` : `${streamName}?key=${key.key}&sign=${sign}`;
+  const server = `rtmp://${req.hostname}:${RTMP_PORT}/live`;
+
+  res.json({
+    key: key.key,
+    streamName,
+    expiresAt: new Date(Math.floor(expiresAt.getTime() / 1000) * 1000).toISOString(),
+    sign,
+    server,
+    streamKey,
+    url: `${server}/${streamKey}`,
+  });
+});
+
+// RTMP restream targets
+app.get("/api/restream/targets", (req: Request, res: Response) => {
+  res.json({ targets: restreamTargetStore.listAll() });
+});
+
+async function getRestreamInfo(streamKey: string) {
+  const stream = RTMP_ENABLED
+    ? (await rtmpWorker.listStreams()).find((active) => active.streamKey === streamKey)
+    : undefined;
+  return {
+    streamKey,
+    live: !!stream,
+    targets: restreamTargetStore.list(streamKey).map((target) => ({
+      ...target,
+      status: stream?.restreams.find((status) => status.targetId === target.id) || null,
+    })),
+  };
+}
+
+app.get("/api/rtmp/streams/:streamKey/restream", requireAdminToken, async (req: Request, res: Response) => {
+  res.json(await getRestreamInfo(req.params.streamKey));
+});
+
+app.post("/api/rtmp/streams/:streamKey/restream", requireAdminToken, (req: Request, res: Response) => {
+  if (!/^[a-zA-Z0-9_-]{1,128}$/.test(req.params.streamKey)) {
+    return res.status(400).json({ error: "Invalid stream key" });
+  }
+
+  try {
+    const { name, url, enabled } = req.body || {};
+    const target = restreamTargetStore.add(req.params.streamKey, { name, url, enabled });
+    console.log(`📤 Restream target added for ${req.params.streamKey}: ${target.name}`);
+    syncRestreamTargets();
+    res.status(201).json(target);
+  } catch (error) {
+    res.status(400).json({ error: error instanceof Error ? error.message : "Invalid restream target" });
+  }
+});
+
+app.patch("/api/rtmp/streams/:streamKey/restream/:targetId", requireAdminToken, (req: Request, res: Response) => {
+  const { streamKey, targetId } = req.params;
+  if (!restreamTargetStore.list(streamKey).some((target) => target.id === targetId)) {
+    return res.status(404).json({ error: "Restream target not found" });
+  }
+
+  try {
+    const { name, url, enabled } = req.body || {};
+    const target = restreamTargetStore.update(streamKey, targetId, { name, url, enabled });
+    syncRestreamTargets();
+    res.json(target);
+  } catch (error) {
+    res.status(400).json({ error: error instanceof Error ? error.message : "Invalid restream target" });
+  }
+});
+
+app.delete("/api/rtmp/streams/:streamKey/restream/:targetId", requireAdminToken, (req: Request, res: Response) => {
+  const { streamKey, targetId } = req.params;
+  if (!restreamTargetStore.remove(streamKey, targetId)) {
+    return res.status(404).json({ error: "Restream target not found" });
+  }
+  console.log(`📤 Restream target removed from ${streamKey}: ${targetId}`);
+  syncRestreamTargets();
+  res.json({ deleted: targetId });
+});
+
+// Start/stop one relay of a live stream (does not change the target's enabled flag)
+app.post("/api/rtmp/streams/:streamKey/restream/:targetId/:action(start|stop)", requireAdminToken, async (req: Request, res: Response) => {
+  const { streamKey, targetId, action } = req.params;
+  if (!restreamTargetStore.list(streamKey).some((target) => target.id === targetId)) {
+    return res.status(404).json({ error: "Restream target not found" });
+  }
+
+  const streams = RTMP_ENABLED ? await rtmpWorker.listStreams() : [];
+  if (!streams.some((stream) => stream.streamKey === streamKey)) {
+    return res.status(409).json({ error: `Stream "${streamKey}" is not live` });
+  }
+
+  rtmpWorker.send({ type: "restream-control", streamKey, targetId, action: action as "start" | "stop" });
+  res.json(await getRestreamInfo(streamKey));
+});
+
+// Webhooks
+function parseWebhookInput(body: any) {
+  const { url, events, enabled, description } = body || {};
+  return { url, events, enabled, description };
+}
+
+app.get("/api/webhooks", (req: Request, res: Response) => {
+  const webhooks = webhookManager.list();
+  res.json({ webhooks, count: webhooks.length, events: WEBHOOK_EVENTS });
+});
+
+app.post("/api/webhooks", (req: Request, res: Response) => {
+  try {
+    const webhook = webhookManager.create(parseWebhookInput(req.body));
+    console.log(`🪝 Webhook added: ${webhook.url}`);
+    res.status(201).json(webhook);
+  } catch (error) {
+    res.status(400).json({ error: error instanceof Error ? error.message : "Invalid webhook" });
+  }
+});
+
+// Delivery log (?webhook=&event=&state=&limit=)
+app.get("/api/webhooks/deliveries", (req: Request, res: Response) => {
+  const { webhook, event, state, limit } = req.query;
+  if (state !== undefined && !["pending", "delivered", "failed"].includes(String(state))) {
+    return res.status(400).json({ error: "state must be pending, delivered or failed" });
+  }
+
+  const deliveries = webhookManager.getDeliveries({
+    webhookId: webhook ? String(webhook) : undefined,
+    event: event ? String(event) : undefined,
+    state: state as "pending" | "delivered" | "failed" | undefined,
+    limit: Math.min(parseInt(String(limit || "50"), 10) || 50, 500),
+  });
+  res.json({ deliveries, count: deliveries.length });
+});
+
+// Events reported by the MCP server (file uploads and deletions)
+app.post("/api/webhooks/events", (req: Request, res: Response) => {
+  const { event, data } = req.body || {};
+  if (!RELAYED_WEBHOOK_EVENTS.includes(event)) {
+    return res.status(400).json({ error: `event must be one of ${RELAYED_WEBHOOK_EVENTS.join(", ")}` });
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return res.status(400).json({ error: "data must be an object" });
+  }
+
+  webhookManager.emit(event, data);
+  if (typeof data.path === "string") {
+    updateVodPackage(event, data.path, data.directory === true);
+  }
+  res.status(202).json({ accepted: event });
+});
+
+app.get("/api/webhooks/:id", (req: Request, res: Response) => {
+  const webhook = webhookManager.get(req.params.id);
+  if (!webhook) {
+    return res.status(404).json({ error: "Webhook not found" });
+  }
+  res.json({ ...webhook, deliveries: webhookManager.getDeliveries({ webhookId: webhook.id, limit: 20 }) });
+});
+
+app.patch("/api/webhooks/:id", (req: Request, res: Response) => {
+  if (!webhookManager.get(req.params.id)) {
+    return res.status(404).json({ error: "Webhook not found" });
+  }
+
+  try {
+    res.json(webhookManager.update(req.params.id, { ...parseWebhookInput(req.body), rotateSecret: req.body?.rotateSecret === true }));
+  } catch (error) {
+    res.status(400).json({ error: error instanceof Error ? error.message : "Invalid webhook" });
+  }
+});
+
+app.delete("/api/webhooks/:id", (req: Request, res: Response) => {
+  if (!webhookManager.remove(req.params.id)) {
+    return res.status(404).json({ error: "Webhook not found" });
+  }
+  console.log(`🪝 Webhook deleted: ${req.params.id}`);
+  res.json({ deleted: req.params.id });
+});
+
+app.post("/api/webhooks/:id/test", (req: Request, res: Response) => {
+  const delivery = webhookManager.test(req.params.id);
+  if (!delivery) {
+    return res.status(404).json({ error: "Webhook not found" });
+  }
+  res.status(202).json(delivery);
+});
+
+// Grab a frame straight from a camera's RTSP source (no running stream needed)
+app.post("/api/cameras/:id/snapshot", async (req: Request, res: Response) => {
+  const camera = cameraRegistry.get(req.params.id);
+  if (!camera) {
+    return res.status(404).json({ error: "Camera not found" });
+  }
+
+  let format: SnapshotFormat;
+  try {
+    format = parseSnapshotFormat(req.body?.format);
+  } catch (error) {
+    return res.status(400).json({ error: error instanceof Error ? error.message : "Invalid format" });
+  }
+
+  await sendSnapshot(res, camera.id, cameraRegistry.getSourceUrl(camera.id)!, format);
+});
+
+// Grab a frame from an active RTMP broadcast (read back from the local ingest server)
+app.post("/api/rtmp/streams/:streamKey/snapshot", requireAdminToken, async (req: Request, res: Response) => {
+  const { streamKey } = req.params;
+
+  let format: SnapshotFormat;
+  try {
+    format = parseSnapshotFormat(req.body?.format);
+  } catch (error) {
+    return res.status(400).json({ error: error instanceof Error ? error.message : "Invalid format" });
+  }
+
+  try {
+    const streams = await rtmpWorker.listStreams();
+    if (!streams.some((stream) => stream.streamKey === streamKey)) {
+      return res.status(404).json({ error: "RTMP stream is not live" });
+    }
+  } catch (error) {
+    console.error("Error fetching RTMP streams:", error);
+    return res.status(500).json({ error: "Failed to fetch RTMP streams" });
+  }
+
+  const source = `rtmp_${streamKey.replace(/[^a-zA-Z0-9_-]/g, "_")}`;
+  await sendSnapshot(res, source, `rtmp://127.0.0.1:${RTMP_PORT}/live/${streamKey}`, format);
+});
+
+// Snapshots and timelapse frames
+app.get("/api/snapshots", (req: Request, res: Response) => {
+  try {
+    const source = typeof req.query.source === "string" ? req.query.source : undefined;
+    if (source !== undefined && !/^[a-zA-Z0-9_-]+$/.test(source)) {
+      return res.status(400).json({ error: "Invalid source" });
+    }
+
+    const snapshots = snapshotManager.listSnapshots(source).map((snapshot) => ({
+      ...snapshot,
+      url: `/images/${snapshot.relativePath}`,
+    }));
+    res.json({ snapshots, count: snapshots.length, timelapse: snapshotManager.getStatus() });
+  } catch (error) {
+    console.error("Error fetching snapshots:", error);
+    res.status(500).json({ error: "Failed to fetch snapshots" });
+  }
+});
+
+// Assemble a camera's timelapse frames into an MP4 in VIDEOS/
+app.post("/api/cameras/:id/timelapse/assemble", async (req: Request, res: Response) => {
+  const { id } = req.params;
+  if (!cameraRegistry.get(id)) {
+    return res.status(404).json({ error: "Camera not found" });
+  }
+
+  let options: { fps?: number; from?: Date; to?: Date };
+  try {
+    const { fps, from, to } = req.body || {};
+    options = {
+      fps: fps === undefined || fps === null ? undefined : Number(fps),
+      from: parseOptionalDate(from, "from"),
+      to: parseOptionalDate(to, "to"),
+    };
+  } catch (error) {
+    return res.status(400).json({ error: error instanceof Error ? error.message : "Invalid options" });
+  }
+
+  try {
+    const video = await snapshotManager.assembleTimelapse(id, options);
+    res.status(201).json({ ...video, url: `/videos/${encodeURIComponent(video.filename)}` });
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    const invalid = message.startsWith("No timelapse frames") || message.startsWith("fps must");
+    if (!invalid) console.error(`Error assembling timelapse for ${id}:`, message);
+    res.status(invalid ? 400 : 500).json({ error: message });
+  }
+});
+
+// Live HLS output of RTSP cameras and RTMP broadcasts (queue ticket required)
+app.get("/hls/rtsp/:id/:file", (req: Request, res: Response) => {
+  const { id, file } = req.params;
+  if (!rtspManager || rtspManager.getStreamState(id) === null) {
+    return res.status(404).json({ error: "Not found" });
+  }
+
+  const ticketId = requireViewerTicket(req, res);
+  if (!ticketId) return;
+  if (file.endsWith(".m3u8")) hlsViewers.hit(`rtsp:${id}`, ticketId);
+
+  serveHls(rtspManager.getOutputDir(id), file, ticketId, req, res).catch((error) => {
+    console.error("Error serving HLS:", error);
+    if (!res.headersSent) res.status(500).json({ error: "Failed to serve stream" });
+  });
+});
+
+app.get("/hls/rtmp/:streamKey/:file", (req: Request, res: Response) => {
+  const { streamKey, file } = req.params;
+  // Files left in live/<streamKey>/ after a broadcast ended are not served
+  if (!/^[a-zA-Z0-9_-]+$/.test(streamKey) || !rtmpWorker.liveStreams.has(streamKey)) {
+    return res.status(404).json({ error: "Not found" });
+  }
+
+  const ticketId = requireViewerTicket(req, res);
+  if (!ticketId) return;
+  if (file.endsWith(".m3u8")) hlsViewers.hit(`rtmp:${streamKey}`, ticketId);
+
+  const dir = path.join(path.resolve(STORAGE_DIR), "live", streamKey);
+  serveHls(dir, file, ticketId, req, res).catch((error) => {
+    console.error("Error serving HLS:", error);
+    if (!res.headersSent) res.status(500).json({ error: "Failed to serve stream" });
+  });
+});
+
+app.get("/hls/vod/:id/:file", (req: Request, res: Response) => {
+  const dir = vodPackager?.getPackageDir(req.params.id);
+  if (!dir) {
+    return res.status(404).json({ error: "Not found" });
+  }
+
+  const ticketId = requireViewerTicket(req, res);
+  if (!ticketId) return;
+
+  serveHls(dir, req.params.file, ticketId, req, res).catch((error) => {
+    console.error("Error serving HLS:", error);
+    if (!res.headersSent) res.status(500).json({ error: "Failed to serve video" });
+  });
+});
+
 // Queue endpoints
 app.post("/api/queue/join", (req: Request, res: Response) => {
   try {
@@ -405,37 +2263,21 @@ app.get("/api/download-status", (req: Request, res: Response) => {
 app.get("/videos/:filename", (req: Request, res: Response) => {
   const { filename } = req.params;
 
-  // Check ticket
-  const ticketId = req.query.ticket as string;
-  if (!ticketId) {
-    return res.status(403).json({ error: "Access denied", message: "Valid ticket required" });
-  }
-
-  const ticketStatus = viewingQueue.checkTicket(ticketId);
-  if (ticketStatus.status !== "active") {
-    return res.status(403).json({
-      error: "Access denied",
-      message: ticketStatus.status === "queued"
-        ? `Please wait in queue. Position: ${(ticketStatus as any).position}`
-        : "Ticket expired or invalid",
-    });
-  }
+  if (!requireViewerTicket(req, res)) return;
 
   // Prevent path traversal
-  if (filename.includes("..") || filename.includes("/") || filename.includes("\\")) {
+  const videoPath = resolveVideoPath(filename);
+  if (!videoPath) {
     return res.status(400).json({ error: "Invalid filename" });
   }
 
-  // Find video file
-  let videoPath = path.join(STORAGE_DIR, filename);
-  if (!fs.existsSync(videoPath)) {
-    videoPath = path.join(VIDEOS_DIR, filename);
-  }
-  
   if (!fs.existsSync(videoPath)) {
     return res.status(404).json({ error: "Video not found" });
   }
 
+  // Package the video as HLS on first playback; the player switches once it is ready
+  if (VOD_HLS_ON_REQUEST) getVodPackage(videoPath, true);
+
   // Generate session ID
   const sessionId = `${req.ip}-${filename}-${Date.now()}`;
   const clientIp = req.ip || req.socket.remoteAddress || "unknown";
@@ -455,6 +2297,7 @@ app.get("/videos/:filename", (req: Request, res: Response) => {
   const stat = fs.statSync(videoPath);
   const fileSize = stat.size;
   const range = req.headers.range;
+  const contentType = VIDEO_CONTENT_TYPES[path.extname(videoPath).toLowerCase()] || "application/octet-stream";
 
   // Cleanup on finish
   const cleanupDownload = () => {
@@ -479,7 +2322,7 @@ app.get("/videos/:filename", (req: Request, res: Response) => {
       "Content-Range": `bytes ${start}-${end}/${fileSize}`,
       "Accept-Ranges": "bytes",
       "Content-Length": chunksize,
-      "Content-Type": "video/mp4",
+      "Content-Type": contentType,
     };
     res.writeHead(206, head);
     file.pipe(res);
@@ -487,7 +2330,7 @@ app.get("/videos/:filename", (req: Request, res: Response) => {
     // Full file
     const head = {
       "Content-Length": fileSize,
-      "Content-Type": "video/mp4",
+      "Content-Type": contentType,
       "Cache-Control": "public, max-age=3600",
     };
     res.writeHead(200, head);
@@ -517,17 +2360,48 @@ app.use((err: Error, req: Request, res: Response, next: NextFunction) => {
 
 export function startHttpServer(): void {
   // Ensure directories exist
-  [STORAGE_DIR, IMAGES_DIR, VIDEOS_DIR, STREAMS_DIR].forEach((dir) => {
+  [STORAGE_DIR, IMAGES_DIR, VIDEOS_DIR, STREAMS_DIR, THUMBNAILS_DIR].forEach((dir) => {
     if (!fs.existsSync(dir)) {
       fs.mkdirSync(dir, { recursive: true });
     }
   });
 
+  cameraRegistry.load();
+  streamKeyStore.load();
+  restreamTargetStore.load();
+  webhookManager.load();
+  const imported = cameraRegistry.seedFromEnv(RTSPStreamManager.parseStreamsFromEnv());
+  if (imported > 0) {
+    console.log(`📷 Imported ${imported} camera(s) from RTSP_STREAM_n variables`);
+  }
+
+  if (RTSP_ENABLED && !rtspManager) {
+    rtspManager = createRtspManager();
+    cameraRegistry.list()
+      .filter((camera) => camera.enabled)
+      .forEach((camera) => startCamera(camera));
+  }
+
+  cameraRegistry.list().forEach((camera) => syncCameraJobs(camera));
+  recordingManager.start();
+  snapshotManager.start();
+  vodPackager?.load();
+
+  if (RTMP_ENABLED) {
+    rtmpWorker.start();
+  }
+  srtIngest?.start().catch((error) => {
+    console.error(`❌ Failed to start SRT listener: ${error instanceof Error ? error.message : error}`);
+  });
+
   app.listen(PORT, () => {
     console.log(`🌸 BRANDYFICATION HTTP Server running on http://localhost:${PORT}`);
     console.log(`📁 Storage: ${STORAGE_DIR}`);
     console.log(`  ├── IMAGES: ${IMAGES_DIR}`);
-    console.log(`  └── VIDEOS: ${VIDEOS_DIR}`);
+    console.log(`  ├── VIDEOS: ${VIDEOS_DIR}`);
+    console.log(`  └── streams: ${STREAMS_DIR}`);
+    console.log(`📡 RTSP: ${rtspManager ? "enabled" : "disabled"} | RTMP: ${RTMP_ENABLED ? "enabled (worker thread)" : "disabled"} | WHIP: ${whipIngest ? "enabled" : "disabled"} | SRT: ${srtIngest ? "enabled" : "disabled"}`);
+    console.log(`📦 VOD HLS packaging: ${vodPackager ? `enabled (${[VOD_HLS_ON_REQUEST && "on request", VOD_HLS_ON_UPLOAD && "on upload"].filter(Boolean).join(", ") || "manual"})` : "disabled"}`);
     
     const videos = getVideoFiles();
     console.log(`📺 Available videos (${videos.length}):`);
@@ -538,14 +2412,25 @@ export function startHttpServer(): void {
 }
 
 // Graceful shutdown
+async function stopStreamingServices(): Promise<void> {
+  hlsWatchdog.stop();
+  recordingManager.stop();
+  snapshotManager.stop();
+  vodPackager?.stop();
+  rtspManager?.stopAllStreams();
+  whipIngest?.stopAll();
+  srtIngest?.stop();
+  await rtmpWorker.stop();
+}
+
 process.on("SIGINT", () => {
   console.log("\n🛑 Shutting down HTTP server...");
-  process.exit(0);
+  stopStreamingServices().finally(() => process.exit(0));
 });
 
 process.on("SIGTERM", () => {
   console.log("\n🛑 Received SIGTERM...");
-  process.exit(0);
+  stopStreamingServices().finally(() => process.exit(0));
 });
 
 // Start server if run directly
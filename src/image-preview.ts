@@ -0,0 +1,75 @@
+/**
+ * Image Preview
+ *
+ * Renders stored images for MCP clients: downscaled to fit a bounding box
+ * (never upscaled) and converted to a format clients can display. JPEGs stay
+ * JPEG, everything else becomes PNG; animated images are reduced to their
+ * first frame. FFmpeg does the decoding, so formats it cannot read (SVG, HEIC,
+ * PSD, ...) are rejected.
+ *
+ * @module image-preview
+ */
+
+import ffmpeg from "fluent-ffmpeg";
+import { PassThrough } from "stream";
+
+export interface PreviewOptions {
+  maxWidth?: number;
+  maxHeight?: number;
+  /** Encode as JPEG instead of PNG */
+  jpeg?: boolean;
+}
+
+export interface ImagePreview {
+  data: Buffer;
+  mimeType: string;
+}
+
+/** Image types MCP clients can display as they are */
+export const VIEWABLE_IMAGE_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"];
+
+/**
+ * Decode an image, scale it down to fit `maxWidth` x `maxHeight` and encode
+ * it as PNG (or JPEG)
+ */
+export function renderPreview(filePath: string, options: PreviewOptions = {}, timeoutMs = 30000): Promise<ImagePreview> {
+  for (const limit of [options.maxWidth, options.maxHeight]) {
+    if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+      return Promise.reject(new Error("maxWidth and maxHeight must be positive integers"));
+    }
+  }
+
+  const width = options.maxWidth ? `min(iw\\,${options.maxWidth})` : "iw";
+  const height = options.maxHeight ? `min(ih\\,${options.maxHeight})` : "ih";
+
+  return new Promise((resolve, reject) => {
+    const output = new PassThrough();
+    const chunks: Buffer[] = [];
+    output.on("data", (chunk: Buffer) => chunks.push(chunk));
+
+    const command = ffmpeg(filePath)
+      .outputOptions(
+        "-frames:v", "1",
+        "-vf", `scale=w=${width}:h=${height}:force_original_aspect_ratio=decrease`,
+        ...(options.jpeg ? ["-c:v", "mjpeg", "-q:v", "3", "-pix_fmt", "yuvj420p"] : ["-c:v", "png"]),
+        "-f", "image2pipe"
+      )
+      .output(output)
+      .on("end", () => {
+        clearTimeout(timer);
+        const data = Buffer.concat(chunks);
+        if (data.length === 0) {
+          reject(new Error("The image could not be decoded"));
+          return;
+        }
+        resolve({ data, mimeType: options.jpeg ? "image/jpeg" : "image/png" });
+      })
+      .on("error", (err) => {
+        clearTimeout(timer);
+        reject(new Error(`The image could not be decoded: ${err.message.trim().split("\n").pop()}`));
+      });
+
+    const timer = setTimeout(() => command.kill("SIGKILL"), timeoutMs);
+    command.run();
+  });
+}
@@ -10,6 +10,10 @@ import {
 } from "@modelcontextprotocol/sdk/types.js";
 import * as fs from "fs/promises";
 import * as path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import ffmpeg from "fluent-ffmpeg";
+import { UploadSession, UploadSessionStore } from "./upload-sessions.js";
+import { VIEWABLE_IMAGE_TYPES, renderPreview } from "./image-preview.js";
 
 // Configuration
 const STORAGE_DIR = process.env.STORAGE_DIR || "./BRANDYFICATION";
@@ -25,6 +29,32 @@ const IMAGE_EXTENSIONS = [
 
 const VIDEO_EXTENSIONS = [".mp4", ".gif"];
 
+// Chunked uploads are assembled here before being moved into place
+const uploadSessions = new UploadSessionStore(path.join(STORAGE_DIR, ".uploads"), {
+  maxChunkSize: process.env.UPLOAD_MAX_CHUNK_SIZE ? parseInt(process.env.UPLOAD_MAX_CHUNK_SIZE, 10) : undefined,
+  ttl: process.env.UPLOAD_SESSION_TTL ? parseInt(process.env.UPLOAD_SESSION_TTL, 10) : undefined,
+});
+const UPLOAD_CLEANUP_INTERVAL = 60 * 60 * 1000;
+
+// Most bytes one download_file call or resource read returns; larger files are paged
+const DOWNLOAD_MAX_CHUNK_SIZE = process.env.DOWNLOAD_MAX_CHUNK_SIZE
+  ? parseInt(process.env.DOWNLOAD_MAX_CHUNK_SIZE, 10)
+  : 1024 * 1024;
+
+// Resources listed per resources/list page
+const RESOURCE_PAGE_SIZE = 500;
+
+// view_image renders images with FFmpeg; larger images are scaled to fit this box
+if (process.env.FFMPEG_PATH) {
+  (ffmpeg as any).setFfmpegPath(process.env.FFMPEG_PATH);
+}
+const VIEW_IMAGE_MAX_DIMENSION = 1568;
+
+// HTTP server API (live streaming tools are proxied to the running HTTP server)
+const HTTP_API_URL = process.env.HTTP_API_URL || `http://localhost:${process.env.HTTP_PORT || 6969}`;
+// Sent as bearer token; the HTTP server's admin routes (cameras, stream keys, webhooks) require it
+const HTTP_API_TOKEN = process.env.ADMIN_TOKEN;
+
 // Ensure storage directories exist
 async function ensureStorageDir(): Promise<void> {
   await fs.mkdir(STORAGE_DIR, { recursive: true });
@@ -44,11 +74,362 @@ function getTargetFolder(filename: string): string {
   return STORAGE_DIR;
 }
 
-// Helper to get safe file path (prevent directory traversal)
+// Directory of a tool's folder argument (undefined: auto-detect)
+function getFolderPath(folder?: string): string | undefined {
+  if (folder === "IMAGES") return IMAGES_DIR;
+  if (folder === "VIDEOS") return VIDEOS_DIR;
+  if (folder === "root") return STORAGE_DIR;
+  return undefined;
+}
+
+// Whether a path is inside the storage directory and not hidden (dot files and
+// folders such as .uploads and .data hold server state)
+function isStoragePath(filePath: string): boolean {
+  const relativePath = path.relative(path.resolve(STORAGE_DIR), path.resolve(filePath));
+  return relativePath !== "" && !path.isAbsolute(relativePath)
+    && relativePath.split(path.sep).every((segment) => !segment.startsWith("."));
+}
+
+// Helper to get safe file path (prevent directory traversal). Names may be
+// relative paths into subfolders ("snapshots/cam1/frame.jpg"), but never leave
+// their folder; without a folder they are relative to the folder the
+// extension routes to.
 function getSafePath(filename: string, folder?: string): string {
-  const safeName = path.basename(filename);
-  const targetFolder = folder || getTargetFolder(filename);
-  return path.join(targetFolder, safeName);
+  const relativePath = String(filename ?? "").replace(/\\/g, "/");
+  const filePath = path.resolve(folder || getTargetFolder(relativePath), relativePath);
+  const invalid = !relativePath || relativePath.includes("\0") || path.isAbsolute(relativePath)
+    || relativePath.split("/").includes("..");
+  if (invalid || !isStoragePath(filePath)) {
+    throw new Error(`Invalid path "${filename}": use a path relative to the folder, inside BRANDYFICATION`);
+  }
+  return filePath;
+}
+
+// Folder of a storage path, as shown in tool results: IMAGES, VIDEOS, root or
+// a subfolder such as IMAGES/snapshots/cam1
+function getFolderName(folder: string): string {
+  const relativePath = path.relative(path.resolve(STORAGE_DIR), path.resolve(folder));
+  return relativePath ? relativePath.split(path.sep).join("/") : "root";
+}
+
+// Storage path as shown in tool results (BRANDYFICATION/IMAGES/...)
+function getDisplayPath(filePath: string): string {
+  const relativePath = path.relative(path.resolve(STORAGE_DIR), path.resolve(filePath));
+  return ["BRANDYFICATION", ...relativePath.split(path.sep).filter(Boolean)].join("/");
+}
+
+// Describe an upload session for the chunked upload tools
+function uploadSessionResult(session: UploadSession) {
+  const info = {
+    uploadId: session.id,
+    filename: session.filename,
+    folder: getFolderName(path.dirname(getSafePath(session.filename))),
+    offset: session.received,
+    size: session.size,
+    maxChunkSize: uploadSessions.maxChunkSize,
+    expiresAt: session.expiresAt,
+  };
+  return {
+    content: [{ type: "text", text: JSON.stringify(info, null, 2) }],
+  };
+}
+
+// A page of a file read by download_file or a resource read
+interface FileRange {
+  data: Buffer;
+  size: number;
+  offset: number;
+  /** Where the next page starts, or null at the end of the file */
+  nextOffset: number | null;
+}
+
+// Read at most `length` bytes (capped at DOWNLOAD_MAX_CHUNK_SIZE) from `offset`.
+// Text pages end on a character boundary so each one decodes on its own.
+async function readFileRange(filePath: string, offset = 0, length?: number, text = false): Promise<FileRange> {
+  if (!(Number.isInteger(offset) && offset >= 0)) {
+    throw new Error("offset must be a non-negative integer");
+  }
+  if (length !== undefined && !(Number.isInteger(length) && length > 0)) {
+    throw new Error("length must be a positive integer");
+  }
+
+  const handle = await fs.open(filePath, "r");
+  try {
+    const { size } = await handle.stat();
+    if (offset > size) {
+      throw new Error(`offset ${offset} is past the end of the file (${size} bytes)`);
+    }
+
+    const wanted = Math.min(length ?? DOWNLOAD_MAX_CHUNK_SIZE, DOWNLOAD_MAX_CHUNK_SIZE, size - offset);
+    const buffer = Buffer.alloc(wanted);
+    const { bytesRead } = await handle.read(buffer, 0, wanted, offset);
+    let data = buffer.subarray(0, bytesRead);
+    if (text && offset + data.length < size) {
+      data = data.subarray(0, completeUtf8Length(data));
+    }
+
+    const end = offset + data.length;
+    return { data, size, offset, nextOffset: end < size ? end : null };
+  } finally {
+    await handle.close();
+  }
+}
+
+// Length of a buffer without a trailing partial UTF-8 sequence
+function completeUtf8Length(data: Buffer): number {
+  for (let back = 1; back <= Math.min(4, data.length); back++) {
+    const byte = data[data.length - back];
+    if ((byte & 0xc0) === 0x80) continue;
+    const needed = byte >= 0xf0 ? 4 : byte >= 0xe0 ? 3 : byte >= 0xc0 ? 2 : 1;
+    // A page too short for a single character is returned as is
+    return needed > back && back < data.length ? data.length - back : data.length;
+  }
+  return data.length;
+}
+
+// Content block for a page of a file: text for text, an image block for a whole
+// displayable image, otherwise an embedded resource (URI of the page, as accepted
+// by ReadResource)
+function fileRangeContent(filePath: string, range: FileRange, encoding: "base64" | "utf8") {
+  if (encoding === "utf8") {
+    return { type: "text" as const, text: range.data.toString("utf8") };
+  }
+
+  const mimeType = getMimeType(filePath);
+  const whole = range.offset === 0 && range.nextOffset === null;
+  if (whole && VIEWABLE_IMAGE_TYPES.includes(mimeType)) {
+    return { type: "image" as const, data: range.data.toString("base64"), mimeType };
+  }
+
+  const uri = pathToFileURL(filePath).href;
+  return {
+    type: "resource" as const,
+    resource: {
+      uri: whole ? uri : `${uri}?offset=${range.offset}&length=${range.data.length}`,
+      mimeType,
+      blob: range.data.toString("base64"),
+    },
+  };
+}
+
+// Call the BRANDYFICATION HTTP server API
+async function callHttpApi(method: string, apiPath: string, body?: unknown): Promise<{ ok: boolean; status: number; data: any }> {
+  const headers: Record<string, string> = {};
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+  if (HTTP_API_TOKEN) headers.Authorization = `Bearer ${HTTP_API_TOKEN}`;
+  const response = await fetch(`${HTTP_API_URL}${apiPath}`, {
+    method,
+    headers,
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+  const data = await response.json().catch(() => ({}));
+  return { ok: response.ok, status: response.status, data };
+}
+
+// Turn an HTTP API call into a tool result
+async function httpApiToolResult(method: string, apiPath: string, body?: unknown) {
+  try {
+    const { ok, data } = await callHttpApi(method, apiPath, body);
+    if (!ok) {
+      return {
+        content: [{ type: "text", text: `Error: ${data.error || "Request failed"}` }],
+        isError: true,
+      };
+    }
+    return {
+      content: [{ type: "text", text: JSON.stringify(data, null, 2) }],
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: Could not reach the BRANDYFICATION HTTP server at ${HTTP_API_URL}` }],
+      isError: true,
+    };
+  }
+}
+
+// Report an upload or deletion to the HTTP server's webhooks (best effort,
+// the HTTP server may not be running). A deleted directory is reported once,
+// with the number of files it held.
+function notifyWebhooks(
+  event: "file.uploaded" | "file.deleted",
+  filePath: string,
+  size?: number,
+  directory?: { files: number }
+): void {
+  const relativePath = path.relative(STORAGE_DIR, filePath).split(path.sep).join("/");
+  callHttpApi("POST", "/api/webhooks/events", {
+    event,
+    data: {
+      filename: path.basename(filePath),
+      path: relativePath,
+      size,
+      ...(directory && { directory: true, files: directory.files }),
+      source: "mcp",
+    },
+  }).catch(() => {});
+}
+
+// What move_file, rename_file and copy_file do when the destination exists
+type OverwritePolicy = "fail" | "replace" | "suffix";
+
+// A move or copy, as passed to move_file/copy_file and in their batch variants
+interface TransferOperation {
+  filename: string;
+  folder?: "IMAGES" | "VIDEOS" | "root";
+  destination?: string;
+  destinationFolder?: "IMAGES" | "VIDEOS" | "root";
+  overwrite?: OverwritePolicy;
+}
+
+// A rename, as passed to rename_file and rename_files
+interface RenameOperation {
+  filename: string;
+  folder?: "IMAGES" | "VIDEOS" | "root";
+  newName: string;
+  overwrite?: OverwritePolicy;
+}
+
+// Result of one move, rename or copy
+interface TransferResult {
+  from: string;
+  to: string;
+}
+
+// Make sure a file may be stored where it is going, by the same rules
+// getTargetFolder() routes uploads by: images in IMAGES, videos in VIDEOS
+// (GIFs in either) and other files outside both
+function checkTargetFolder(filePath: string): void {
+  const [top] = path.relative(path.resolve(STORAGE_DIR), filePath).split(path.sep);
+  const folder = top === "IMAGES" ? IMAGES_DIR : top === "VIDEOS" ? VIDEOS_DIR : STORAGE_DIR;
+  const ext = path.extname(filePath).toLowerCase();
+  const allowed = folder === IMAGES_DIR
+    ? IMAGE_EXTENSIONS.includes(ext)
+    : folder === VIDEOS_DIR
+      ? VIDEO_EXTENSIONS.includes(ext)
+      : getTargetFolder(filePath) === STORAGE_DIR;
+
+  if (!allowed) {
+    const name = path.basename(filePath);
+    throw new Error(`"${name}" cannot be stored in ${getFolderName(folder)}, it belongs in ${getFolderName(getTargetFolder(name))}`);
+  }
+}
+
+// Where a move or copy goes: the destination path (relative to its folder,
+// auto-detected from the extension like getSafePath), or into it keeping the
+// file's name when it ends with "/" or is an existing directory
+async function getDestinationPath(sourcePath: string, destination = "", destinationFolder?: string): Promise<string> {
+  const name = path.basename(sourcePath);
+  const target = destination.replace(/\\/g, "/");
+  const folder = getFolderPath(destinationFolder) || getTargetFolder(path.extname(target) ? target : name);
+  if (!target || target.endsWith("/")) {
+    return getSafePath(`${target}${name}`, folder);
+  }
+
+  const destinationPath = getSafePath(target, folder);
+  const stats = await fs.stat(destinationPath).catch(() => null);
+  return stats?.isDirectory() ? path.join(destinationPath, name) : destinationPath;
+}
+
+// First free "name-1.ext", "name-2.ext", ... next to a path
+async function getFreePath(filePath: string): Promise<string> {
+  const ext = path.extname(filePath);
+  const base = filePath.slice(0, filePath.length - ext.length);
+  for (let n = 1; ; n++) {
+    const candidate = `${base}-${n}${ext}`;
+    if (!(await fs.stat(candidate).catch(() => null))) return candidate;
+  }
+}
+
+// Move or copy a stored file, applying the overwrite policy
+async function transferFile(mode: "move" | "copy", sourcePath: string, destinationPath: string, overwrite: OverwritePolicy = "fail"): Promise<TransferResult> {
+  if (!["fail", "replace", "suffix"].includes(overwrite)) {
+    throw new Error(`Unknown overwrite policy "${overwrite}" (use fail, replace or suffix)`);
+  }
+
+  const source = await fs.stat(sourcePath).catch(() => null);
+  if (!source?.isFile()) {
+    throw new Error(source ? `${getDisplayPath(sourcePath)} is not a file` : `File ${getDisplayPath(sourcePath)} not found`);
+  }
+  if (path.resolve(destinationPath) === path.resolve(sourcePath)) {
+    throw new Error(`${getDisplayPath(sourcePath)} is already there`);
+  }
+  checkTargetFolder(destinationPath);
+
+  let targetPath = destinationPath;
+  const existing = await fs.stat(destinationPath).catch(() => null);
+  if (existing) {
+    if (existing.isDirectory() || overwrite === "fail") {
+      throw new Error(`${getDisplayPath(destinationPath)} already exists`);
+    }
+    if (overwrite === "suffix") {
+      targetPath = await getFreePath(destinationPath);
+    }
+  }
+
+  await fs.mkdir(path.dirname(targetPath), { recursive: true });
+  if (mode === "copy") {
+    await fs.copyFile(sourcePath, targetPath);
+  } else {
+    try {
+      await fs.rename(sourcePath, targetPath);
+    } catch (error) {
+      // Storage folders on different devices: copy, then remove the original
+      if ((error as NodeJS.ErrnoException).code !== "EXDEV") throw error;
+      await fs.copyFile(sourcePath, targetPath);
+      await fs.unlink(sourcePath);
+    }
+    notifyWebhooks("file.deleted", sourcePath);
+  }
+  notifyWebhooks("file.uploaded", targetPath, source.size);
+
+  return { from: getDisplayPath(sourcePath), to: getDisplayPath(targetPath) };
+}
+
+// Run a move_file/copy_file operation
+async function runTransfer(mode: "move" | "copy", operation: TransferOperation): Promise<TransferResult> {
+  const sourcePath = getSafePath(operation.filename, getFolderPath(operation.folder));
+  const destinationPath = await getDestinationPath(sourcePath, operation.destination, operation.destinationFolder);
+  return transferFile(mode, sourcePath, destinationPath, operation.overwrite);
+}
+
+// Run a rename_file operation: a new name in the same directory
+async function runRename(operation: RenameOperation): Promise<TransferResult> {
+  const sourcePath = getSafePath(operation.filename, getFolderPath(operation.folder));
+  const newName = String(operation.newName ?? "");
+  if (!newName || /[\\/]/.test(newName)) {
+    throw new Error(`Invalid new name "${newName}": give a file name without folders (use move_file to move)`);
+  }
+  return transferFile("move", sourcePath, getSafePath(newName, path.dirname(sourcePath)), operation.overwrite);
+}
+
+// Run a batch of operations one after the other; a failed operation does not
+// stop the rest
+async function runBatch<T>(operations: T[], run: (operation: T) => Promise<TransferResult>) {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return {
+      content: [{ type: "text", text: "Error: operations must be a non-empty list" }],
+      isError: true,
+    };
+  }
+
+  const results: ({ ok: true } & TransferResult | { ok: false; filename: unknown; error: string })[] = [];
+  for (const operation of operations) {
+    try {
+      results.push({ ok: true, ...(await run(operation)) });
+    } catch (error) {
+      const filename = (operation as { filename?: unknown })?.filename;
+      results.push({ ok: false, filename, error: error instanceof Error ? error.message : String(error) });
+    }
+  }
+
+  const failed = results.filter((result) => !result.ok).length;
+  return {
+    content: [{
+      type: "text",
+      text: JSON.stringify({ succeeded: results.length - failed, failed, results }, null, 2),
+    }],
+    isError: failed > 0,
+  };
 }
 
 // Create the MCP server
@@ -65,19 +446,71 @@ const server = new Server(
   }
 );
 
+// Input schemas shared by the move/copy/rename tools and their batch variants
+const OVERWRITE_SCHEMA = {
+  type: "string",
+  enum: ["fail", "replace", "suffix"],
+  description: "If the destination exists: fail (default), replace it, or add a numeric suffix (name-1.png)",
+};
+const TRANSFER_SCHEMA = {
+  type: "object",
+  properties: {
+    filename: {
+      type: "string",
+      description: "Name or path of the file, relative to its folder",
+    },
+    folder: {
+      type: "string",
+      enum: ["IMAGES", "VIDEOS", "root"],
+      description: "Folder containing the file (auto-detected if not specified)",
+    },
+    destination: {
+      type: "string",
+      description: "New path, relative to destinationFolder. Ending in \"/\" or naming an existing directory keeps the file's name (default: the file's name)",
+    },
+    destinationFolder: {
+      type: "string",
+      enum: ["IMAGES", "VIDEOS", "root"],
+      description: "Folder to put the file in (auto-detected from the extension if not specified)",
+    },
+    overwrite: OVERWRITE_SCHEMA,
+  },
+  required: ["filename"],
+};
+const RENAME_SCHEMA = {
+  type: "object",
+  properties: {
+    filename: {
+      type: "string",
+      description: "Name or path of the file, relative to its folder",
+    },
+    folder: {
+      type: "string",
+      enum: ["IMAGES", "VIDEOS", "root"],
+      description: "Folder containing the file (auto-detected if not specified)",
+    },
+    newName: {
+      type: "string",
+      description: "New file name (without folders)",
+    },
+    overwrite: OVERWRITE_SCHEMA,
+  },
+  required: ["filename", "newName"],
+};
+
 // List available tools
 server.setRequestHandler(ListToolsRequestSchema, async () => {
   return {
     tools: [
       {
         name: "upload_image",
-        description: "Upload an image file to BRANDYFICATION/IMAGES. Supports: PNG, JPG, JPEG, GIF, BMP, WEBP, SVG, ICO, TIFF, AVIF, HEIC, RAW, PSD, AI, EPS, PCX, TGA, EXR, HDR",
+        description: "Upload an image file to BRANDYFICATION/IMAGES. Supports: PNG, JPG, JPEG, GIF, BMP, WEBP, SVG, ICO, TIFF, AVIF, HEIC, RAW, PSD, AI, EPS, PCX, TGA, EXR, HDR (send large files in chunks with begin_upload)",
         inputSchema: {
           type: "object",
           properties: {
             filename: {
               type: "string",
-              description: "Name of the image file (with extension)",
+              description: "Name of the image file (with extension), or a path into a subfolder of IMAGES (e.g. albums/party/cover.png)",
             },
             content: {
               type: "string",
@@ -89,13 +522,13 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: "upload_video",
-        description: "Upload a video file to BRANDYFICATION/VIDEOS. Supports: MP4, GIF",
+        description: "Upload a video file to BRANDYFICATION/VIDEOS. Supports: MP4, GIF (send large files in chunks with begin_upload)",
         inputSchema: {
           type: "object",
           properties: {
             filename: {
               type: "string",
-              description: "Name of the video file (with extension)",
+              description: "Name of the video file (with extension), or a path into a subfolder of VIDEOS",
             },
             content: {
               type: "string",
@@ -107,13 +540,18 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: "upload_file",
-        description: "Upload a file to BRANDYFICATION. Auto-routes to IMAGES or VIDEOS subfolder based on extension.",
+        description: "Upload a file to BRANDYFICATION. Auto-routes to IMAGES or VIDEOS subfolder based on extension (send large files in chunks with begin_upload).",
         inputSchema: {
           type: "object",
           properties: {
             filename: {
               type: "string",
-              description: "Name of the file to upload",
+              description: "Name of the file to upload, or a path into a subfolder (relative to the folder)",
+            },
+            folder: {
+              type: "string",
+              enum: ["IMAGES", "VIDEOS", "root"],
+              description: "Folder to upload to (auto-detected from the extension if not specified)",
             },
             content: {
               type: "string",
@@ -128,15 +566,90 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           required: ["filename", "content"],
         },
       },
+      {
+        name: "begin_upload",
+        description: "Start a chunked upload for files too large for a single upload call (auto-routes to IMAGES or VIDEOS by extension). Send the bytes with upload_chunk, then commit_upload. Pass uploadId to resume an interrupted upload: the result holds the offset to continue from.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            filename: {
+              type: "string",
+              description: "Name of the file to upload, or a path into a subfolder of the folder it routes to",
+            },
+            size: {
+              type: "number",
+              description: "Total file size in bytes (optional, enforced when given)",
+            },
+            uploadId: {
+              type: "string",
+              description: "Existing upload session to resume instead of starting a new one",
+            },
+          },
+        },
+      },
+      {
+        name: "upload_chunk",
+        description: "Write a chunk of a chunked upload at an offset. The offset must not be past the bytes received so far; an earlier offset discards everything received from there on (to retry a chunk).",
+        inputSchema: {
+          type: "object",
+          properties: {
+            uploadId: {
+              type: "string",
+              description: "Upload session from begin_upload",
+            },
+            offset: {
+              type: "number",
+              description: "Byte offset of the chunk in the file",
+            },
+            content: {
+              type: "string",
+              description: "Base64 encoded chunk (at most maxChunkSize bytes once decoded)",
+            },
+          },
+          required: ["uploadId", "offset", "content"],
+        },
+      },
+      {
+        name: "commit_upload",
+        description: "Finish a chunked upload: checks the SHA-256 of the received bytes and moves the file into its folder, replacing an existing file of the same name",
+        inputSchema: {
+          type: "object",
+          properties: {
+            uploadId: {
+              type: "string",
+              description: "Upload session from begin_upload",
+            },
+            sha256: {
+              type: "string",
+              description: "Hex SHA-256 of the whole file",
+            },
+          },
+          required: ["uploadId", "sha256"],
+        },
+      },
+      {
+        name: "abort_upload",
+        description: "Cancel a chunked upload and discard the bytes received",
+        inputSchema: {
+          type: "object",
+          properties: {
+            uploadId: {
+              type: "string",
+              description: "Upload session from begin_upload",
+            },
+          },
+          required: ["uploadId"],
+        },
+      },
       {
         name: "download_file",
-        description: "Download/read a file from BRANDYFICATION storage",
+        description: "Download/read a file from BRANDYFICATION storage. Text comes back as text, images (PNG, JPEG, GIF, WEBP) as image content and other binaries as embedded resources. Large files are returned in pages: the second content block reports the total size and the nextOffset to pass as offset for the next page (null at the end).",
         inputSchema: {
           type: "object",
           properties: {
             filename: {
               type: "string",
-              description: "Name of the file to download",
+              description: "Name of the file to download, or its path relative to the folder (e.g. snapshots/cam1/frame.jpg)",
             },
             folder: {
               type: "string",
@@ -146,7 +659,42 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             encoding: {
               type: "string",
               enum: ["base64", "utf8"],
-              description: "Encoding for the response (default: base64 for images/videos)",
+              description: "Encoding for the response (default: utf8 for text files, base64 otherwise)",
+            },
+            offset: {
+              type: "number",
+              description: "Byte offset to start reading at (default: 0)",
+            },
+            length: {
+              type: "number",
+              description: `Bytes to read (default and maximum: ${DOWNLOAD_MAX_CHUNK_SIZE})`,
+            },
+          },
+          required: ["filename"],
+        },
+      },
+      {
+        name: "view_image",
+        description: `Show an image from BRANDYFICATION storage as image content, optionally scaled down to fit maxWidth x maxHeight. Images in other formats than PNG, JPEG, GIF and WEBP, or larger than ${DOWNLOAD_MAX_CHUNK_SIZE} bytes, are converted (and fit into ${VIEW_IMAGE_MAX_DIMENSION} px unless limits are given).`,
+        inputSchema: {
+          type: "object",
+          properties: {
+            filename: {
+              type: "string",
+              description: "Name of the image file, or its path relative to the folder",
+            },
+            folder: {
+              type: "string",
+              enum: ["IMAGES", "VIDEOS", "root"],
+              description: "Folder containing the image (auto-detected if not specified)",
+            },
+            maxWidth: {
+              type: "number",
+              description: "Scale down to at most this width in pixels",
+            },
+            maxHeight: {
+              type: "number",
+              description: "Scale down to at most this height in pixels",
             },
           },
           required: ["filename"],
@@ -154,7 +702,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: "list_files",
-        description: "List all files in BRANDYFICATION storage (all folders)",
+        description: "List files and subfolders in BRANDYFICATION storage (all folders). Subfolders are listed as entries of type \"directory\"; pass recursive or depth to list their contents too.",
         inputSchema: {
           type: "object",
           properties: {
@@ -163,6 +711,18 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               enum: ["IMAGES", "VIDEOS", "root", "all"],
               description: "Which folder to list (default: all)",
             },
+            path: {
+              type: "string",
+              description: "Subfolder to list, relative to the folder (relative to BRANDYFICATION with \"all\")",
+            },
+            recursive: {
+              type: "boolean",
+              description: "Include the contents of subfolders (default: false)",
+            },
+            depth: {
+              type: "number",
+              description: "Levels of subfolders to descend into (implies recursive; default: no limit when recursive)",
+            },
           },
         },
       },
@@ -190,7 +750,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           properties: {
             filename: {
               type: "string",
-              description: "Name of the file to delete",
+              description: "Name of the file to delete, or its path relative to the folder",
             },
             folder: {
               type: "string",
@@ -201,6 +761,66 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           required: ["filename"],
         },
       },
+      {
+        name: "move_file",
+        description: "Move a file to another folder or subfolder of BRANDYFICATION (images stay in IMAGES, videos in VIDEOS, other files outside both)",
+        inputSchema: TRANSFER_SCHEMA,
+      },
+      {
+        name: "rename_file",
+        description: "Rename a file in its folder. The new extension must still belong in that folder.",
+        inputSchema: RENAME_SCHEMA,
+      },
+      {
+        name: "copy_file",
+        description: "Copy a file to another name, folder or subfolder of BRANDYFICATION (images stay in IMAGES, videos in VIDEOS, other files outside both)",
+        inputSchema: TRANSFER_SCHEMA,
+      },
+      {
+        name: "move_files",
+        description: "Move several files, one after the other. A failed move does not stop the rest; the result lists the outcome of each.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            operations: {
+              type: "array",
+              items: TRANSFER_SCHEMA,
+              description: "Moves, each taking the move_file arguments",
+            },
+          },
+          required: ["operations"],
+        },
+      },
+      {
+        name: "rename_files",
+        description: "Rename several files, one after the other. A failed rename does not stop the rest; the result lists the outcome of each.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            operations: {
+              type: "array",
+              items: RENAME_SCHEMA,
+              description: "Renames, each taking the rename_file arguments",
+            },
+          },
+          required: ["operations"],
+        },
+      },
+      {
+        name: "copy_files",
+        description: "Copy several files, one after the other. A failed copy does not stop the rest; the result lists the outcome of each.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            operations: {
+              type: "array",
+              items: TRANSFER_SCHEMA,
+              description: "Copies, each taking the copy_file arguments",
+            },
+          },
+          required: ["operations"],
+        },
+      },
       {
         name: "get_file_info",
         description: "Get information about a file (size, MIME type, modified date, etc.)",
@@ -209,7 +829,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           properties: {
             filename: {
               type: "string",
-              description: "Name of the file to get info for",
+              description: "Name of the file to get info for, or its path relative to the folder",
             },
             folder: {
               type: "string",
@@ -222,166 +842,936 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: "create_directory",
-        description: "Create a subdirectory in BRANDYFICATION",
+        description: "Create a subdirectory in BRANDYFICATION (parent folders are created as needed)",
         inputSchema: {
           type: "object",
           properties: {
             dirname: {
               type: "string",
-              description: "Name of the directory to create",
+              description: "Path of the directory to create, relative to BRANDYFICATION (e.g. IMAGES/albums/party)",
             },
           },
           required: ["dirname"],
         },
       },
-    ],
-  };
-});
-
-// Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
-
-  await ensureStorageDir();
+      {
+        name: "delete_directory",
+        description: "Delete a subdirectory of BRANDYFICATION. IMAGES and VIDEOS themselves cannot be deleted.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            dirname: {
+              type: "string",
+              description: "Path of the directory to delete, relative to BRANDYFICATION",
+            },
+            recursive: {
+              type: "boolean",
+              description: "Also delete everything in the directory (default: false, only empty directories are deleted)",
+            },
+          },
+          required: ["dirname"],
+        },
+      },
+      {
+        name: "list_cameras",
+        description: "List registered RTSP cameras and whether they are streaming (credentials are masked)",
+        inputSchema: {
+          type: "object",
+          properties: {},
+        },
+      },
+      {
+        name: "add_camera",
+        description: "Register a new RTSP camera. Enabled cameras start streaming immediately when RTSP is enabled.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            name: {
+              type: "string",
+              description: "Display name of the camera",
+            },
+            url: {
+              type: "string",
+              description: "RTSP source URL (credentials are stored separately and never returned)",
+            },
+            id: {
+              type: "string",
+              description: "Camera id (letters, numbers, '-' and '_'; generated from the name if omitted)",
+            },
+            enabled: {
+              type: "boolean",
+              description: "Whether the camera is enabled (default: true)",
+            },
+            profile: {
+              type: "string",
+              description: "Encoding profile: transcode, passthrough, copy, copy-noaudio, no-audio, auto (probe the source) or a custom profile (default: STREAM_PROFILE)",
+            },
+          },
+          required: ["name", "url"],
+        },
+      },
+      {
+        name: "update_camera",
+        description: "Edit a registered camera. A URL with masked credentials (***:***@) keeps the stored credentials.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            id: {
+              type: "string",
+              description: "Camera id",
+            },
+            name: {
+              type: "string",
+              description: "New display name",
+            },
+            url: {
+              type: "string",
+              description: "New RTSP source URL",
+            },
+            profile: {
+              type: "string",
+              description: "Encoding profile: transcode, passthrough, copy, copy-noaudio, no-audio, auto (probe the source) or a custom profile; empty string resets to the default",
+            },
+            recording: {
+              type: "object",
+              description: "Recording into VIDEOS/recordings/<camera>/ (null disables)",
+              properties: {
+                enabled: { type: "boolean" },
+                schedule: {
+                  type: "array",
+                  items: { type: "string" },
+                  description: "Cron expressions during which to record, e.g. \"* 8-17 * * 1-5\" (empty = always)",
+                },
+                segmentDuration: { type: "number", description: "Seconds per MP4 chunk (default: 3600)" },
+                maxAgeDays: { type: "number", description: "Delete recordings older than this" },
+                maxTotalSizeMB: { type: "number", description: "Delete oldest recordings above this total size" },
+              },
+            },
+            timelapse: {
+              type: "object",
+              description: "Timelapse frames into IMAGES/snapshots/<camera>/timelapse/ (null disables)",
+              properties: {
+                enabled: { type: "boolean" },
+                intervalSeconds: { type: "number", description: "Seconds between frames" },
+                schedule: {
+                  type: "array",
+                  items: { type: "string" },
+                  description: "Cron expressions during which to capture (empty = always)",
+                },
+                maxFrames: { type: "number", description: "Delete the oldest frames above this count" },
+              },
+            },
+            motion: {
+              type: "object",
+              description: "Scene-change motion detection while the camera streams (null disables)",
+              properties: {
+                enabled: { type: "boolean" },
+                threshold: { type: "number", description: "Scene score between 0 and 1 that counts as motion (default: 0.3)" },
+                cooldownSeconds: { type: "number", description: "Minimum seconds between events (default: 10)" },
+                clip: { type: "boolean", description: "Record a clip around each event into VIDEOS/events/<camera>/" },
+                clipSeconds: { type: "number", description: "Seconds recorded after the event (default: 10)" },
+                preRollSeconds: { type: "number", description: "Seconds recorded before the event (default: 4)" },
+              },
+            },
+          },
+          required: ["id"],
+        },
+      },
+      {
+        name: "set_camera_enabled",
+        description: "Enable or disable a camera (disabling stops its stream)",
+        inputSchema: {
+          type: "object",
+          properties: {
+            id: {
+              type: "string",
+              description: "Camera id",
+            },
+            enabled: {
+              type: "boolean",
+              description: "true to enable, false to disable",
+            },
+          },
+          required: ["id", "enabled"],
+        },
+      },
+      {
+        name: "start_camera",
+        description: "Start streaming a registered camera to HLS",
+        inputSchema: {
+          type: "object",
+          properties: {
+            id: {
+              type: "string",
+              description: "Camera id",
+            },
+          },
+          required: ["id"],
+        },
+      },
+      {
+        name: "stop_camera",
+        description: "Stop streaming a registered camera",
+        inputSchema: {
+          type: "object",
+          properties: {
+            id: {
+              type: "string",
+              description: "Camera id",
+            },
+          },
+          required: ["id"],
+        },
+      },
+      {
+        name: "delete_camera",
+        description: "Stop and remove a camera from the registry",
+        inputSchema: {
+          type: "object",
+          properties: {
+            id: {
+              type: "string",
+              description: "Camera id",
+            },
+          },
+          required: ["id"],
+        },
+      },
+      {
+        name: "capture_snapshot",
+        description: "Capture a still frame from a camera's RTSP source or an active RTMP stream into BRANDYFICATION/IMAGES/snapshots/",
+        inputSchema: {
+          type: "object",
+          properties: {
+            camera: {
+              type: "string",
+              description: "Camera id to capture from",
+            },
+            streamKey: {
+              type: "string",
+              description: "Stream key of a live RTMP broadcast to capture from (instead of a camera)",
+            },
+            format: {
+              type: "string",
+              enum: ["jpg", "webp"],
+              description: "Image format (default: jpg)",
+            },
+          },
+        },
+      },
+      {
+        name: "assemble_timelapse",
+        description: "Assemble a camera's timelapse frames into an MP4 in BRANDYFICATION/VIDEOS/",
+        inputSchema: {
+          type: "object",
+          properties: {
+            id: {
+              type: "string",
+              description: "Camera id",
+            },
+            fps: {
+              type: "number",
+              description: "Frames per second of the video (default: 24)",
+            },
+            from: {
+              type: "string",
+              description: "Only use frames captured at or after this ISO date",
+            },
+            to: {
+              type: "string",
+              description: "Only use frames captured at or before this ISO date",
+            },
+          },
+          required: ["id"],
+        },
+      },
+      {
+        name: "list_stream_keys",
+        description: "List RTMP stream keys with their labels, limits, usage counts and active publishes",
+        inputSchema: {
+          type: "object",
+          properties: {},
+        },
+      },
+      {
+        name: "create_stream_key",
+        description: "Create an RTMP stream key (e.g. a one-off key for a guest) and return its publish URL",
+        inputSchema: {
+          type: "object",
+          properties: {
+            key: {
+              type: "string",
+              description: "The key itself (default: random)",
+            },
+            label: {
+              type: "string",
+              description: "Human-readable label, e.g. the guest's name",
+            },
+            enabled: {
+              type: "boolean",
+              description: "Whether the key may publish",
+            },
+            maxConcurrent: {
+              type: "number",
+              description: "Maximum simultaneous publishes with this key (default: 1)",
+            },
+            signedOnly: {
+              type: "boolean",
+              description: "Only accept publishes with a signed URL from sign_publish_url",
+            },
+            expiresIn: {
+              type: "number",
+              description: "Seconds until the key expires",
+            },
+          },
+        },
+      },
+      {
+        name: "update_stream_key",
+        description: "Change an RTMP stream key's label, state or limits; disabling a key disconnects its streams",
+        inputSchema: {
+          type: "object",
+          properties: {
+            key: {
+              type: "string",
+              description: "Stream key",
+            },
+            label: {
+              type: "string",
+              description: "Human-readable label, e.g. the guest's name",
+            },
+            enabled: {
+              type: "boolean",
+              description: "Whether the key may publish",
+            },
+            maxConcurrent: {
+              type: "number",
+              description: "Maximum simultaneous publishes with this key (default: 1)",
+            },
+            signedOnly: {
+              type: "boolean",
+              description: "Only accept publishes with a signed URL from sign_publish_url",
+            },
+            expiresIn: {
+              type: "number",
+              description: "Seconds until the key expires",
+            },
+          },
+          required: ["key"],
+        },
+      },
+      {
+        name: "delete_stream_key",
+        description: "Delete an RTMP stream key and disconnect its streams",
+        inputSchema: {
+          type: "object",
+          properties: {
+            key: {
+              type: "string",
+              description: "Stream key",
+            },
+          },
+          required: ["key"],
+        },
+      },
+      {
+        name: "sign_publish_url",
+        description: "Create a signed RTMP publish URL for a stream key that expires after a given time",
+        inputSchema: {
+          type: "object",
+          properties: {
+            key: {
+              type: "string",
+              description: "Stream key",
+            },
+            streamName: {
+              type: "string",
+              description: "Stream name to publish as (default: the key)",
+            },
+            expiresIn: {
+              type: "number",
+              description: "Seconds the URL stays valid (default: 3600)",
+            },
+          },
+          required: ["key"],
+        },
+      },
+      {
+        name: "list_restream_targets",
+        description: "List the outbound restream targets of an RTMP stream key with each relay's live status (destination keys are masked)",
+        inputSchema: {
+          type: "object",
+          properties: {
+            streamKey: {
+              type: "string",
+              description: "RTMP stream key (omit to list the targets of every stream)",
+            },
+          },
+        },
+      },
+      {
+        name: "add_restream_target",
+        description: "Relay an RTMP stream key to an outbound RTMP/RTMPS destination whenever it is live",
+        inputSchema: {
+          type: "object",
+          properties: {
+            streamKey: {
+              type: "string",
+              description: "RTMP stream key to relay",
+            },
+            url: {
+              type: "string",
+              description: "Destination URL including its stream key, e.g. rtmp://a.rtmp.youtube.com/live2/<key>",
+            },
+            name: {
+              type: "string",
+              description: "Display name, e.g. YouTube",
+            },
+            enabled: {
+              type: "boolean",
+              description: "Start automatically when the stream goes live (default: true)",
+            },
+          },
+          required: ["streamKey", "url"],
+        },
+      },
+      {
+        name: "update_restream_target",
+        description: "Edit a restream target. A masked URL (…/***) keeps the stored URL.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            streamKey: {
+              type: "string",
+              description: "RTMP stream key",
+            },
+            targetId: {
+              type: "string",
+              description: "Restream target id",
+            },
+            url: {
+              type: "string",
+              description: "New destination URL",
+            },
+            name: {
+              type: "string",
+              description: "New display name",
+            },
+            enabled: {
+              type: "boolean",
+              description: "Start automatically when the stream goes live",
+            },
+          },
+          required: ["streamKey", "targetId"],
+        },
+      },
+      {
+        name: "remove_restream_target",
+        description: "Remove a restream target (stops its relay)",
+        inputSchema: {
+          type: "object",
+          properties: {
+            streamKey: {
+              type: "string",
+              description: "RTMP stream key",
+            },
+            targetId: {
+              type: "string",
+              description: "Restream target id",
+            },
+          },
+          required: ["streamKey", "targetId"],
+        },
+      },
+      {
+        name: "control_restream",
+        description: "Start or stop one relay of a live RTMP stream without changing its target",
+        inputSchema: {
+          type: "object",
+          properties: {
+            streamKey: {
+              type: "string",
+              description: "RTMP stream key",
+            },
+            targetId: {
+              type: "string",
+              description: "Restream target id",
+            },
+            action: {
+              type: "string",
+              enum: ["start", "stop"],
+              description: "start also retries a relay that gave up",
+            },
+          },
+          required: ["streamKey", "targetId", "action"],
+        },
+      },
+      {
+        name: "list_webhooks",
+        description: "List webhook endpoints and their event filters",
+        inputSchema: {
+          type: "object",
+          properties: {},
+        },
+      },
+      {
+        name: "create_webhook",
+        description: "Register a webhook endpoint; returns the secret used to sign its payloads (shown only once)",
+        inputSchema: {
+          type: "object",
+          properties: {
+            url: {
+              type: "string",
+              description: "http:// or https:// URL receiving the POSTed events",
+            },
+            events: {
+              type: "array",
+              items: { type: "string" },
+              description: "Events to send: rtmp.publish, rtmp.done, rtsp.failed, file.uploaded, file.deleted, queue.granted or * (default: *)",
+            },
+            enabled: {
+              type: "boolean",
+              description: "Whether events are delivered",
+            },
+            description: {
+              type: "string",
+              description: "Free-form note",
+            },
+          },
+          required: ["url"],
+        },
+      },
+      {
+        name: "update_webhook",
+        description: "Edit a webhook endpoint",
+        inputSchema: {
+          type: "object",
+          properties: {
+            id: {
+              type: "string",
+              description: "Webhook id",
+            },
+            url: {
+              type: "string",
+              description: "http:// or https:// URL receiving the POSTed events",
+            },
+            events: {
+              type: "array",
+              items: { type: "string" },
+              description: "Events to send: rtmp.publish, rtmp.done, rtsp.failed, file.uploaded, file.deleted, queue.granted or * (default: *)",
+            },
+            enabled: {
+              type: "boolean",
+              description: "Whether events are delivered",
+            },
+            description: {
+              type: "string",
+              description: "Free-form note",
+            },
+            rotateSecret: {
+              type: "boolean",
+              description: "Issue a new signing secret (returned once)",
+            },
+          },
+          required: ["id"],
+        },
+      },
+      {
+        name: "delete_webhook",
+        description: "Delete a webhook endpoint and cancel its pending retries",
+        inputSchema: {
+          type: "object",
+          properties: {
+            id: {
+              type: "string",
+              description: "Webhook id",
+            },
+          },
+          required: ["id"],
+        },
+      },
+      {
+        name: "list_webhook_deliveries",
+        description: "Show the webhook delivery log (newest first) with every attempt's HTTP status or error",
+        inputSchema: {
+          type: "object",
+          properties: {
+            webhook: {
+              type: "string",
+              description: "Only deliveries to this webhook id",
+            },
+            event: {
+              type: "string",
+              description: "Only deliveries of this event",
+            },
+            state: {
+              type: "string",
+              enum: ["pending", "delivered", "failed"],
+              description: "Only deliveries in this state",
+            },
+            limit: {
+              type: "number",
+              description: "Maximum number of deliveries (default: 50)",
+            },
+          },
+        },
+      },
+    ],
+  };
+});
+
+// Handle tool calls
+server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  const { name, arguments: args } = request.params;
+
+  await ensureStorageDir();
+
+  switch (name) {
+    case "upload_image": {
+      const { filename, content } = args as {
+        filename: string;
+        content: string;
+      };
+
+      const ext = path.extname(filename).toLowerCase();
+      if (!IMAGE_EXTENSIONS.includes(ext)) {
+        return {
+          content: [{ type: "text", text: `Error: "${ext}" is not a supported image format. Supported: ${IMAGE_EXTENSIONS.join(", ")}` }],
+          isError: true,
+        };
+      }
+
+      try {
+        const filePath = getSafePath(filename, IMAGES_DIR);
+        const buffer = Buffer.from(content, "base64");
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, buffer);
+        notifyWebhooks("file.uploaded", filePath, buffer.length);
+
+        return {
+          content: [{ type: "text", text: `Image "${filename}" uploaded to ${getDisplayPath(path.dirname(filePath))}/` }],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error instanceof Error ? error.message : error}` }],
+          isError: true,
+        };
+      }
+    }
+
+    case "upload_video": {
+      const { filename, content } = args as {
+        filename: string;
+        content: string;
+      };
+
+      const ext = path.extname(filename).toLowerCase();
+      if (!VIDEO_EXTENSIONS.includes(ext)) {
+        return {
+          content: [{ type: "text", text: `Error: "${ext}" is not a supported video format. Supported: ${VIDEO_EXTENSIONS.join(", ")}` }],
+          isError: true,
+        };
+      }
+
+      try {
+        const filePath = getSafePath(filename, VIDEOS_DIR);
+        const buffer = Buffer.from(content, "base64");
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, buffer);
+        notifyWebhooks("file.uploaded", filePath, buffer.length);
+
+        return {
+          content: [{ type: "text", text: `Video "${filename}" uploaded to ${getDisplayPath(path.dirname(filePath))}/` }],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error instanceof Error ? error.message : error}` }],
+          isError: true,
+        };
+      }
+    }
+
+    case "upload_file": {
+      const { filename, content, encoding = "utf8", folder } = args as {
+        filename: string;
+        content: string;
+        encoding?: "base64" | "utf8";
+        folder?: "IMAGES" | "VIDEOS" | "root";
+      };
+
+      try {
+        const filePath = getSafePath(filename, getFolderPath(folder));
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+        if (encoding === "base64") {
+          const buffer = Buffer.from(content, "base64");
+          await fs.writeFile(filePath, buffer);
+          notifyWebhooks("file.uploaded", filePath, buffer.length);
+        } else {
+          await fs.writeFile(filePath, content, "utf8");
+          notifyWebhooks("file.uploaded", filePath, Buffer.byteLength(content, "utf8"));
+        }
+
+        return {
+          content: [{ type: "text", text: `File "${filename}" uploaded to ${getDisplayPath(path.dirname(filePath))}/` }],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error instanceof Error ? error.message : error}` }],
+          isError: true,
+        };
+      }
+    }
 
-  switch (name) {
-    case "upload_image": {
-      const { filename, content } = args as {
-        filename: string;
-        content: string;
-      };
+    case "begin_upload": {
+      const { filename, size, uploadId } = args as { filename?: string; size?: number; uploadId?: string };
 
-      const ext = path.extname(filename).toLowerCase();
-      if (!IMAGE_EXTENSIONS.includes(ext)) {
+      try {
+        if (uploadId) {
+          const session = await uploadSessions.get(uploadId);
+          if (!session) {
+            return {
+              content: [{ type: "text", text: `Error: Upload session "${uploadId}" not found (it may have expired)` }],
+              isError: true,
+            };
+          }
+          return uploadSessionResult(session);
+        }
+        if (!filename) {
+          return {
+            content: [{ type: "text", text: "Error: filename is required to start an upload" }],
+            isError: true,
+          };
+        }
+        getSafePath(filename);
+        return uploadSessionResult(await uploadSessions.begin(filename.replace(/\\/g, "/"), size));
+      } catch (error) {
         return {
-          content: [{ type: "text", text: `Error: "${ext}" is not a supported image format. Supported: ${IMAGE_EXTENSIONS.join(", ")}` }],
+          content: [{ type: "text", text: `Error: ${error instanceof Error ? error.message : error}` }],
           isError: true,
         };
       }
+    }
 
-      const filePath = getSafePath(filename, IMAGES_DIR);
-      const buffer = Buffer.from(content, "base64");
-      await fs.writeFile(filePath, buffer);
+    case "upload_chunk": {
+      const { uploadId, offset, content } = args as { uploadId: string; offset: number; content: string };
 
-      return {
-        content: [{ type: "text", text: `Image "${filename}" uploaded to BRANDYFICATION/IMAGES/` }],
-      };
+      try {
+        const session = await uploadSessions.writeChunk(uploadId, offset, Buffer.from(content || "", "base64"));
+        return uploadSessionResult(session);
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error instanceof Error ? error.message : error}` }],
+          isError: true,
+        };
+      }
     }
 
-    case "upload_video": {
-      const { filename, content } = args as {
-        filename: string;
-        content: string;
-      };
+    case "commit_upload": {
+      const { uploadId, sha256 } = args as { uploadId: string; sha256: string };
+
+      try {
+        const session = await uploadSessions.get(uploadId);
+        if (!session) {
+          throw new Error(`Upload session "${uploadId}" not found (it may have expired)`);
+        }
+        const upload = await uploadSessions.commit(uploadId, sha256, getSafePath(session.filename));
+        notifyWebhooks("file.uploaded", upload.path, upload.size);
 
-      const ext = path.extname(filename).toLowerCase();
-      if (!VIDEO_EXTENSIONS.includes(ext)) {
         return {
-          content: [{ type: "text", text: `Error: "${ext}" is not a supported video format. Supported: ${VIDEO_EXTENSIONS.join(", ")}` }],
+          content: [{
+            type: "text",
+            text: `File "${session.filename}" uploaded to ${getDisplayPath(path.dirname(upload.path))}/ (${formatBytes(upload.size)}, sha256 ${upload.sha256})`,
+          }],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error instanceof Error ? error.message : error}` }],
           isError: true,
         };
       }
+    }
 
-      const filePath = getSafePath(filename, VIDEOS_DIR);
-      const buffer = Buffer.from(content, "base64");
-      await fs.writeFile(filePath, buffer);
+    case "abort_upload": {
+      const { uploadId } = args as { uploadId: string };
 
+      if (!(await uploadSessions.abort(uploadId))) {
+        return {
+          content: [{ type: "text", text: `Error: Upload session "${uploadId}" not found` }],
+          isError: true,
+        };
+      }
       return {
-        content: [{ type: "text", text: `Video "${filename}" uploaded to BRANDYFICATION/VIDEOS/` }],
+        content: [{ type: "text", text: `Upload "${uploadId}" aborted` }],
       };
     }
 
-    case "upload_file": {
-      const { filename, content, encoding = "utf8" } = args as {
+    case "download_file": {
+      const { filename, folder, encoding, offset, length } = args as {
         filename: string;
-        content: string;
+        folder?: "IMAGES" | "VIDEOS" | "root";
         encoding?: "base64" | "utf8";
+        offset?: number;
+        length?: number;
       };
 
-      const filePath = getSafePath(filename);
-      const targetFolder = getTargetFolder(filename);
-      const folderName = targetFolder === IMAGES_DIR ? "IMAGES" : targetFolder === VIDEOS_DIR ? "VIDEOS" : "root";
-      
-      if (encoding === "base64") {
-        const buffer = Buffer.from(content, "base64");
-        await fs.writeFile(filePath, buffer);
-      } else {
-        await fs.writeFile(filePath, content, "utf8");
+      let filePath: string;
+      try {
+        filePath = getSafePath(filename, getFolderPath(folder));
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error instanceof Error ? error.message : error}` }],
+          isError: true,
+        };
+      }
+
+      // Determine default encoding based on file type
+      const finalEncoding = encoding || (isTextMimeType(getMimeType(filePath)) ? "utf8" : "base64");
+
+      let range: FileRange;
+      try {
+        range = await readFileRange(filePath, offset, length, finalEncoding === "utf8");
+      } catch (error) {
+        const code = (error as NodeJS.ErrnoException).code;
+        return {
+          content: [{
+            type: "text",
+            text: code === "ENOENT" || code === "EISDIR"
+              ? `Error: File "${filename}" not found`
+              : `Error: ${error instanceof Error ? error.message : error}`,
+          }],
+          isError: true,
+        };
       }
 
+      const page = {
+        filename,
+        encoding: finalEncoding,
+        size: range.size,
+        offset: range.offset,
+        length: range.data.length,
+        nextOffset: range.nextOffset,
+      };
       return {
-        content: [{ type: "text", text: `File "${filename}" uploaded to BRANDYFICATION/${folderName}/` }],
+        content: [fileRangeContent(filePath, range, finalEncoding), { type: "text", text: JSON.stringify(page, null, 2) }],
       };
     }
 
-    case "download_file": {
-      const { filename, folder, encoding } = args as {
+    case "view_image": {
+      const { filename, folder, maxWidth, maxHeight } = args as {
         filename: string;
         folder?: "IMAGES" | "VIDEOS" | "root";
-        encoding?: "base64" | "utf8";
+        maxWidth?: number;
+        maxHeight?: number;
       };
 
       let filePath: string;
-      if (folder === "IMAGES") {
-        filePath = path.join(IMAGES_DIR, path.basename(filename));
-      } else if (folder === "VIDEOS") {
-        filePath = path.join(VIDEOS_DIR, path.basename(filename));
-      } else if (folder === "root") {
-        filePath = path.join(STORAGE_DIR, path.basename(filename));
-      } else {
-        // Auto-detect based on extension
-        filePath = getSafePath(filename);
+      try {
+        filePath = getSafePath(filename, getFolderPath(folder));
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error instanceof Error ? error.message : error}` }],
+          isError: true,
+        };
       }
 
-      // Determine default encoding based on file type
-      const ext = path.extname(filename).toLowerCase();
-      const isBinary = IMAGE_EXTENSIONS.includes(ext) || VIDEO_EXTENSIONS.includes(ext);
-      const finalEncoding = encoding || (isBinary ? "base64" : "utf8");
+      const mimeType = getMimeType(filePath);
+      if (!mimeType.startsWith("image/")) {
+        return {
+          content: [{ type: "text", text: `Error: "${filename}" is not an image` }],
+          isError: true,
+        };
+      }
 
       try {
-        const content = await fs.readFile(filePath);
-        const responseContent = finalEncoding === "base64"
-          ? content.toString("base64")
-          : content.toString("utf8");
+        const { size } = await fs.stat(filePath);
+        const scaled = maxWidth !== undefined || maxHeight !== undefined;
+        if (!scaled && size <= DOWNLOAD_MAX_CHUNK_SIZE && VIEWABLE_IMAGE_TYPES.includes(mimeType)) {
+          const data = await fs.readFile(filePath);
+          return {
+            content: [{ type: "image", data: data.toString("base64"), mimeType }],
+          };
+        }
 
+        const preview = await renderPreview(filePath, {
+          maxWidth: scaled ? maxWidth : VIEW_IMAGE_MAX_DIMENSION,
+          maxHeight: scaled ? maxHeight : VIEW_IMAGE_MAX_DIMENSION,
+          jpeg: mimeType === "image/jpeg",
+        });
+        if (preview.data.length > DOWNLOAD_MAX_CHUNK_SIZE) {
+          return {
+            content: [{ type: "text", text: `Error: The rendered image is ${formatBytes(preview.data.length)}, pass a smaller maxWidth/maxHeight` }],
+            isError: true,
+          };
+        }
         return {
-          content: [{ type: "text", text: responseContent }],
+          content: [{ type: "image", data: preview.data.toString("base64"), mimeType: preview.mimeType }],
         };
       } catch (error) {
+        const notFound = (error as NodeJS.ErrnoException).code === "ENOENT";
         return {
-          content: [{ type: "text", text: `Error: File "${filename}" not found` }],
+          content: [{ type: "text", text: notFound ? `Error: File "${filename}" not found` : `Error: ${error instanceof Error ? error.message : error}` }],
           isError: true,
         };
       }
     }
 
     case "list_files": {
-      const { folder = "all" } = args as { folder?: "IMAGES" | "VIDEOS" | "root" | "all" };
+      const { folder = "all", path: subfolder, recursive = false, depth } = args as {
+        folder?: "IMAGES" | "VIDEOS" | "root" | "all";
+        path?: string;
+        recursive?: boolean;
+        depth?: number;
+      };
+
+      if (depth !== undefined && !(Number.isInteger(depth) && depth >= 0)) {
+        return {
+          content: [{ type: "text", text: "Error: depth must be a non-negative integer" }],
+          isError: true,
+        };
+      }
+      // Levels of subfolders to descend into (depth implies recursive)
+      const maxDepth = depth ?? (recursive ? Infinity : 0);
+
+      if (subfolder) {
+        try {
+          const dirPath = getSafePath(subfolder, getFolderPath(folder) || STORAGE_DIR);
+          const files = await listEntries(dirPath, maxDepth);
+          return {
+            content: [{ type: "text", text: JSON.stringify([{ folder: getDisplayPath(dirPath), files }], null, 2) }],
+          };
+        } catch (error) {
+          const notFound = ["ENOENT", "ENOTDIR"].includes((error as NodeJS.ErrnoException).code || "");
+          return {
+            content: [{ type: "text", text: notFound ? `Error: Folder "${subfolder}" not found` : `Error: ${error instanceof Error ? error.message : error}` }],
+            isError: true,
+          };
+        }
+      }
 
       try {
-        const result: { folder: string; files: { name: string; type: string }[] }[] = [];
+        const result: { folder: string; files: StorageEntry[] }[] = [];
 
         if (folder === "all" || folder === "root") {
-          const rootFiles = await fs.readdir(STORAGE_DIR, { withFileTypes: true });
+          // With "all", IMAGES and VIDEOS get sections of their own
+          const exclude = folder === "all" ? ["IMAGES", "VIDEOS"] : [];
           result.push({
             folder: "BRANDYFICATION",
-            files: rootFiles.filter(f => f.isFile()).map(f => ({ name: f.name, type: "file" })),
+            files: await listEntries(STORAGE_DIR, maxDepth, exclude),
           });
         }
 
         if (folder === "all" || folder === "IMAGES") {
-          const imageFiles = await fs.readdir(IMAGES_DIR, { withFileTypes: true });
           result.push({
             folder: "BRANDYFICATION/IMAGES",
-            files: imageFiles.filter(f => f.isFile()).map(f => ({ name: f.name, type: getMimeType(f.name) })),
+            files: await listEntries(IMAGES_DIR, maxDepth),
           });
         }
 
         if (folder === "all" || folder === "VIDEOS") {
-          const videoFiles = await fs.readdir(VIDEOS_DIR, { withFileTypes: true });
           result.push({
             folder: "BRANDYFICATION/VIDEOS",
-            files: videoFiles.filter(f => f.isFile()).map(f => ({ name: f.name, type: getMimeType(f.name) })),
+            files: await listEntries(VIDEOS_DIR, maxDepth),
           });
         }
 
@@ -397,11 +1787,12 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
     case "list_images": {
       try {
-        const files = await fs.readdir(IMAGES_DIR, { withFileTypes: true });
-        const imageList = files.filter(f => f.isFile()).map(f => ({
-          name: f.name,
-          mimeType: getMimeType(f.name),
-          path: `BRANDYFICATION/IMAGES/${f.name}`,
+        // Includes snapshots and timelapse frames in IMAGES/snapshots/<source>/
+        const files = await listFilesRecursive(IMAGES_DIR);
+        const imageList = files.map(name => ({
+          name,
+          mimeType: getMimeType(name),
+          path: `BRANDYFICATION/IMAGES/${name}`,
         }));
 
         return {
@@ -416,11 +1807,12 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
     case "list_videos": {
       try {
-        const files = await fs.readdir(VIDEOS_DIR, { withFileTypes: true });
-        const videoList = files.filter(f => f.isFile()).map(f => ({
-          name: f.name,
-          mimeType: getMimeType(f.name),
-          path: `BRANDYFICATION/VIDEOS/${f.name}`,
+        // Includes camera recordings in VIDEOS/recordings/<camera>/
+        const files = await listFilesRecursive(VIDEOS_DIR);
+        const videoList = files.map(name => ({
+          name,
+          mimeType: getMimeType(name),
+          path: `BRANDYFICATION/VIDEOS/${name}`,
         }));
 
         return {
@@ -437,47 +1829,97 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       const { filename, folder } = args as { filename: string; folder?: "IMAGES" | "VIDEOS" | "root" };
       
       let filePath: string;
-      if (folder === "IMAGES") {
-        filePath = path.join(IMAGES_DIR, path.basename(filename));
-      } else if (folder === "VIDEOS") {
-        filePath = path.join(VIDEOS_DIR, path.basename(filename));
-      } else if (folder === "root") {
-        filePath = path.join(STORAGE_DIR, path.basename(filename));
-      } else {
-        filePath = getSafePath(filename);
+      try {
+        filePath = getSafePath(filename, getFolderPath(folder));
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error instanceof Error ? error.message : error}` }],
+          isError: true,
+        };
       }
 
       try {
         await fs.unlink(filePath);
+        notifyWebhooks("file.deleted", filePath);
         return {
           content: [{ type: "text", text: `File "${filename}" deleted successfully` }],
         };
+      } catch (error) {
+        const isDirectory = (error as NodeJS.ErrnoException).code === "EISDIR";
+        return {
+          content: [{
+            type: "text",
+            text: isDirectory
+              ? `Error: "${filename}" is a directory, use delete_directory`
+              : `Error: Could not delete "${filename}". File may not exist.`,
+          }],
+          isError: true,
+        };
+      }
+    }
+
+    case "move_file":
+    case "copy_file": {
+      const operation = args as unknown as TransferOperation;
+
+      try {
+        const result = await runTransfer(name === "move_file" ? "move" : "copy", operation);
+        return {
+          content: [{ type: "text", text: `File ${result.from} ${name === "move_file" ? "moved" : "copied"} to ${result.to}` }],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error instanceof Error ? error.message : error}` }],
+          isError: true,
+        };
+      }
+    }
+
+    case "rename_file": {
+      const operation = args as unknown as RenameOperation;
+
+      try {
+        const result = await runRename(operation);
+        return {
+          content: [{ type: "text", text: `File ${result.from} renamed to ${result.to}` }],
+        };
       } catch (error) {
         return {
-          content: [{ type: "text", text: `Error: Could not delete "${filename}". File may not exist.` }],
+          content: [{ type: "text", text: `Error: ${error instanceof Error ? error.message : error}` }],
           isError: true,
         };
       }
     }
 
+    case "move_files":
+    case "copy_files": {
+      const { operations } = args as { operations: TransferOperation[] };
+      return runBatch(operations, (operation) => runTransfer(name === "move_files" ? "move" : "copy", operation));
+    }
+
+    case "rename_files": {
+      const { operations } = args as { operations: RenameOperation[] };
+      return runBatch(operations, runRename);
+    }
+
     case "get_file_info": {
       const { filename, folder } = args as { filename: string; folder?: "IMAGES" | "VIDEOS" | "root" };
       
       let filePath: string;
-      if (folder === "IMAGES") {
-        filePath = path.join(IMAGES_DIR, path.basename(filename));
-      } else if (folder === "VIDEOS") {
-        filePath = path.join(VIDEOS_DIR, path.basename(filename));
-      } else if (folder === "root") {
-        filePath = path.join(STORAGE_DIR, path.basename(filename));
-      } else {
-        filePath = getSafePath(filename);
+      try {
+        filePath = getSafePath(filename, getFolderPath(folder));
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error instanceof Error ? error.message : error}` }],
+          isError: true,
+        };
       }
 
       try {
         const stats = await fs.stat(filePath);
         const info = {
           name: filename,
+          path: getDisplayPath(filePath),
           size: stats.size,
           sizeHuman: formatBytes(stats.size),
           mimeType: getMimeType(filename),
@@ -499,12 +1941,21 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
     case "create_directory": {
       const { dirname } = args as { dirname: string };
-      const dirPath = path.join(STORAGE_DIR, path.basename(dirname));
+
+      let dirPath: string;
+      try {
+        dirPath = getSafePath(dirname, STORAGE_DIR);
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error instanceof Error ? error.message : error}` }],
+          isError: true,
+        };
+      }
 
       try {
         await fs.mkdir(dirPath, { recursive: true });
         return {
-          content: [{ type: "text", text: `Directory "${dirname}" created successfully in BRANDYFICATION/` }],
+          content: [{ type: "text", text: `Directory "${dirname}" created successfully as ${getDisplayPath(dirPath)}/` }],
         };
       } catch (error) {
         return {
@@ -514,6 +1965,269 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
     }
 
+    case "delete_directory": {
+      const { dirname, recursive = false } = args as { dirname: string; recursive?: boolean };
+
+      let dirPath: string;
+      try {
+        dirPath = getSafePath(dirname, STORAGE_DIR);
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: ${error instanceof Error ? error.message : error}` }],
+          isError: true,
+        };
+      }
+      if (dirPath === path.resolve(IMAGES_DIR) || dirPath === path.resolve(VIDEOS_DIR)) {
+        return {
+          content: [{ type: "text", text: `Error: "${dirname}" is a top-level storage folder and cannot be deleted` }],
+          isError: true,
+        };
+      }
+
+      try {
+        const stats = await fs.stat(dirPath);
+        if (!stats.isDirectory()) {
+          return {
+            content: [{ type: "text", text: `Error: "${dirname}" is not a directory, use delete_file` }],
+            isError: true,
+          };
+        }
+
+        if (!recursive) {
+          await fs.rmdir(dirPath);
+          return {
+            content: [{ type: "text", text: `Directory "${dirname}" deleted successfully` }],
+          };
+        }
+
+        // One event for the whole directory; the HTTP server drops what it
+        // derived from the files under it
+        const files = await listFilesRecursive(dirPath);
+        await fs.rm(dirPath, { recursive: true });
+        notifyWebhooks("file.deleted", dirPath, undefined, { files: files.length });
+        return {
+          content: [{ type: "text", text: `Directory "${dirname}" deleted successfully with ${files.length} file(s)` }],
+        };
+      } catch (error) {
+        const code = (error as NodeJS.ErrnoException).code;
+        return {
+          content: [{
+            type: "text",
+            text: code === "ENOTEMPTY" || code === "EEXIST"
+              ? `Error: Directory "${dirname}" is not empty (pass recursive: true to delete its contents)`
+              : `Error: Could not delete directory "${dirname}". It may not exist.`,
+          }],
+          isError: true,
+        };
+      }
+    }
+
+    case "list_cameras": {
+      return httpApiToolResult("GET", "/api/cameras");
+    }
+
+    case "add_camera": {
+      const { name: cameraName, url, id, enabled, profile } = args as {
+        name: string;
+        url: string;
+        id?: string;
+        enabled?: boolean;
+        profile?: string;
+      };
+      return httpApiToolResult("POST", "/api/cameras", { name: cameraName, url, id, enabled, profile });
+    }
+
+    case "update_camera": {
+      const { id, name: cameraName, url, profile, recording, timelapse, motion } = args as {
+        id: string;
+        name?: string;
+        url?: string;
+        profile?: string;
+        recording?: Record<string, unknown> | null;
+        timelapse?: Record<string, unknown> | null;
+        motion?: Record<string, unknown> | null;
+      };
+      return httpApiToolResult("PATCH", `/api/cameras/${encodeURIComponent(id)}`, {
+        name: cameraName,
+        url,
+        profile,
+        recording,
+        timelapse,
+        motion,
+      });
+    }
+
+    case "set_camera_enabled": {
+      const { id, enabled } = args as { id: string; enabled: boolean };
+      return httpApiToolResult("POST", `/api/cameras/${encodeURIComponent(id)}/${enabled ? "enable" : "disable"}`);
+    }
+
+    case "start_camera":
+    case "stop_camera": {
+      const { id } = args as { id: string };
+      const action = name === "start_camera" ? "start" : "stop";
+      return httpApiToolResult("POST", `/api/cameras/${encodeURIComponent(id)}/${action}`);
+    }
+
+    case "delete_camera": {
+      const { id } = args as { id: string };
+      return httpApiToolResult("DELETE", `/api/cameras/${encodeURIComponent(id)}`);
+    }
+
+    case "capture_snapshot": {
+      const { camera, streamKey, format } = args as { camera?: string; streamKey?: string; format?: string };
+      if (!camera === !streamKey) {
+        return {
+          content: [{ type: "text", text: "Provide either camera or streamKey" }],
+          isError: true,
+        };
+      }
+      const apiPath = camera
+        ? `/api/cameras/${encodeURIComponent(camera)}/snapshot`
+        : `/api/rtmp/streams/${encodeURIComponent(streamKey!)}/snapshot`;
+      return httpApiToolResult("POST", apiPath, { format });
+    }
+
+    case "assemble_timelapse": {
+      const { id, fps, from, to } = args as { id: string; fps?: number; from?: string; to?: string };
+      return httpApiToolResult("POST", `/api/cameras/${encodeURIComponent(id)}/timelapse/assemble`, { fps, from, to });
+    }
+
+    case "list_stream_keys": {
+      return httpApiToolResult("GET", "/api/stream-keys");
+    }
+
+    case "create_stream_key":
+    case "update_stream_key": {
+      const { key, label, enabled, maxConcurrent, signedOnly, expiresIn } = args as {
+        key?: string;
+        label?: string;
+        enabled?: boolean;
+        maxConcurrent?: number;
+        signedOnly?: boolean;
+        expiresIn?: number;
+      };
+      const body = { label, enabled, maxConcurrent, signedOnly, expiresIn };
+      return name === "create_stream_key"
+        ? httpApiToolResult("POST", "/api/stream-keys", { key, ...body })
+        : httpApiToolResult("PATCH", `/api/stream-keys/${encodeURIComponent(key!)}`, body);
+    }
+
+    case "delete_stream_key": {
+      const { key } = args as { key: string };
+      return httpApiToolResult("DELETE", `/api/stream-keys/${encodeURIComponent(key)}`);
+    }
+
+    case "sign_publish_url": {
+      const { key, streamName, expiresIn } = args as { key: string; streamName?: string; expiresIn?: number };
+      return httpApiToolResult("POST", `/api/stream-keys/${encodeURIComponent(key)}/sign`, { streamName, expiresIn });
+    }
+
+    case "list_restream_targets": {
+      const { streamKey } = args as { streamKey?: string };
+      return streamKey
+        ? httpApiToolResult("GET", `/api/rtmp/streams/${encodeURIComponent(streamKey)}/restream`)
+        : httpApiToolResult("GET", "/api/restream/targets");
+    }
+
+    case "add_restream_target": {
+      const { streamKey, url, name: targetName, enabled } = args as {
+        streamKey: string;
+        url: string;
+        name?: string;
+        enabled?: boolean;
+      };
+      return httpApiToolResult("POST", `/api/rtmp/streams/${encodeURIComponent(streamKey)}/restream`, {
+        url,
+        name: targetName,
+        enabled,
+      });
+    }
+
+    case "update_restream_target": {
+      const { streamKey, targetId, url, name: targetName, enabled } = args as {
+        streamKey: string;
+        targetId: string;
+        url?: string;
+        name?: string;
+        enabled?: boolean;
+      };
+      return httpApiToolResult(
+        "PATCH",
+        `/api/rtmp/streams/${encodeURIComponent(streamKey)}/restream/${encodeURIComponent(targetId)}`,
+        { url, name: targetName, enabled }
+      );
+    }
+
+    case "remove_restream_target": {
+      const { streamKey, targetId } = args as { streamKey: string; targetId: string };
+      return httpApiToolResult(
+        "DELETE",
+        `/api/rtmp/streams/${encodeURIComponent(streamKey)}/restream/${encodeURIComponent(targetId)}`
+      );
+    }
+
+    case "control_restream": {
+      const { streamKey, targetId, action } = args as { streamKey: string; targetId: string; action: string };
+      if (action !== "start" && action !== "stop") {
+        return {
+          content: [{ type: "text", text: "action must be start or stop" }],
+          isError: true,
+        };
+      }
+      return httpApiToolResult(
+        "POST",
+        `/api/rtmp/streams/${encodeURIComponent(streamKey)}/restream/${encodeURIComponent(targetId)}/${action}`
+      );
+    }
+
+    case "list_webhooks": {
+      return httpApiToolResult("GET", "/api/webhooks");
+    }
+
+    case "create_webhook": {
+      const { url, events, enabled, description } = args as {
+        url: string;
+        events?: string[];
+        enabled?: boolean;
+        description?: string;
+      };
+      return httpApiToolResult("POST", "/api/webhooks", { url, events, enabled, description });
+    }
+
+    case "update_webhook": {
+      const { id, url, events, enabled, description, rotateSecret } = args as {
+        id: string;
+        url?: string;
+        events?: string[];
+        enabled?: boolean;
+        description?: string;
+        rotateSecret?: boolean;
+      };
+      return httpApiToolResult("PATCH", `/api/webhooks/${encodeURIComponent(id)}`, {
+        url,
+        events,
+        enabled,
+        description,
+        rotateSecret,
+      });
+    }
+
+    case "delete_webhook": {
+      const { id } = args as { id: string };
+      return httpApiToolResult("DELETE", `/api/webhooks/${encodeURIComponent(id)}`);
+    }
+
+    case "list_webhook_deliveries": {
+      const { webhook, event, state, limit } = args as { webhook?: string; event?: string; state?: string; limit?: number };
+      const query = new URLSearchParams();
+      if (webhook) query.set("webhook", webhook);
+      if (event) query.set("event", event);
+      if (state) query.set("state", state);
+      if (limit) query.set("limit", String(limit));
+      return httpApiToolResult("GET", `/api/webhooks/deliveries?${query}`);
+    }
+
     default:
       return {
         content: [{ type: "text", text: `Unknown tool: ${name}` }],
@@ -523,74 +2237,126 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 });
 
 
-// List resources (files as resources) - includes all folders
-server.setRequestHandler(ListResourcesRequestSchema, async () => {
+// List resources (files as resources) - every file in every folder, named by
+// its path (IMAGES/snapshots/cam1/frame.jpg) and paged with a cursor
+server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
   await ensureStorageDir();
 
-  try {
-    const resources: { uri: string; name: string; mimeType: string }[] = [];
-
-    // Root files
-    const rootFiles = await fs.readdir(STORAGE_DIR, { withFileTypes: true });
-    for (const f of rootFiles.filter(f => f.isFile())) {
-      resources.push({
-        uri: `file://${path.resolve(STORAGE_DIR, f.name)}`,
-        name: f.name,
-        mimeType: getMimeType(f.name),
-      });
-    }
-
-    // Image files
-    const imageFiles = await fs.readdir(IMAGES_DIR, { withFileTypes: true });
-    for (const f of imageFiles.filter(f => f.isFile())) {
-      resources.push({
-        uri: `file://${path.resolve(IMAGES_DIR, f.name)}`,
-        name: `IMAGES/${f.name}`,
-        mimeType: getMimeType(f.name),
-      });
-    }
+  const cursor = request.params?.cursor;
+  const start = cursor ? Number(cursor) : 0;
+  if (!(Number.isInteger(start) && start >= 0)) {
+    throw new Error(`Invalid cursor: ${cursor}`);
+  }
 
-    // Video files
-    const videoFiles = await fs.readdir(VIDEOS_DIR, { withFileTypes: true });
-    for (const f of videoFiles.filter(f => f.isFile())) {
-      resources.push({
-        uri: `file://${path.resolve(VIDEOS_DIR, f.name)}`,
-        name: `VIDEOS/${f.name}`,
-        mimeType: getMimeType(f.name),
-      });
-    }
+  try {
+    const files = (await listFilesRecursive(STORAGE_DIR)).sort();
+    const resources = files.slice(start, start + RESOURCE_PAGE_SIZE).map((name) => ({
+      uri: pathToFileURL(path.resolve(STORAGE_DIR, name)).href,
+      name,
+      mimeType: getMimeType(name),
+    }));
+    const next = start + RESOURCE_PAGE_SIZE;
 
-    return { resources };
+    return { resources, nextCursor: next < files.length ? String(next) : undefined };
   } catch {
     return { resources: [] };
   }
 });
 
-// Read resource
+// Read resource. Large files are paged: append `?offset=<bytes>&length=<bytes>`
+// to the URI; `_meta` reports the total size and the URI of the next page.
 server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
   const uri = request.params.uri;
-  const filePath = uri.replace("file://", "");
 
   try {
-    const content = await fs.readFile(filePath);
+    const url = new URL(uri);
+    const filePath = fileURLToPath(url);
+    if (!isStoragePath(filePath)) {
+      throw new Error("Outside of storage");
+    }
+
     const mimeType = getMimeType(filePath);
-    const isText = mimeType.startsWith("text/") || mimeType === "application/json";
+    const isText = isTextMimeType(mimeType);
+    const offset = url.searchParams.has("offset") ? Number(url.searchParams.get("offset")) : undefined;
+    const length = url.searchParams.has("length") ? Number(url.searchParams.get("length")) : undefined;
+    const range = await readFileRange(filePath, offset, length, isText);
+
+    const resourceUri = pathToFileURL(filePath).href;
+    const nextUri = range.nextOffset !== null
+      ? `${resourceUri}?offset=${range.nextOffset}${length !== undefined ? `&length=${length}` : ""}`
+      : null;
 
     return {
       contents: [
         {
           uri,
           mimeType,
-          text: isText ? content.toString("utf8") : undefined,
-          blob: !isText ? content.toString("base64") : undefined,
+          text: isText ? range.data.toString("utf8") : undefined,
+          blob: !isText ? range.data.toString("base64") : undefined,
+          _meta: {
+            size: range.size,
+            offset: range.offset,
+            length: range.data.length,
+            nextOffset: range.nextOffset,
+            nextUri,
+          },
         },
       ],
     };
   } catch (error) {
-    throw new Error(`Could not read resource: ${uri}`);
+    const message = error instanceof Error ? error.message : "";
+    const invalidRange = message.startsWith("offset") || message.startsWith("length");
+    throw new Error(`Could not read resource: ${uri}${invalidRange ? ` (${message})` : ""}`);
   }
 });
 
+// Helper function to list files in a folder and its subfolders (relative paths)
+async function listFilesRecursive(dir: string, prefix = ""): Promise<string[]> {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files: string[] = [];
+
+  for (const entry of entries) {
+    if (entry.name.startsWith(".")) continue;
+    const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...await listFilesRecursive(path.join(dir, entry.name), relativePath));
+    } else if (entry.isFile()) {
+      files.push(relativePath);
+    }
+  }
+
+  return files;
+}
+
+// An entry of a list_files listing; names are relative to the listed folder
+interface StorageEntry {
+  name: string;
+  /** MIME type of a file, or "directory" */
+  type: string;
+}
+
+// Helper function to list a folder's files and subfolders, descending `depth`
+// levels into the subfolders (hidden entries are skipped)
+async function listEntries(dir: string, depth: number, exclude: string[] = [], prefix = ""): Promise<StorageEntry[]> {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const result: StorageEntry[] = [];
+
+  for (const entry of entries) {
+    if (entry.name.startsWith(".") || exclude.includes(entry.name)) continue;
+    const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      result.push({ name: relativePath, type: "directory" });
+      if (depth > 0) {
+        result.push(...await listEntries(path.join(dir, entry.name), depth - 1, [], relativePath));
+      }
+    } else if (entry.isFile()) {
+      result.push({ name: relativePath, type: getMimeType(entry.name) });
+    }
+  }
+
+  return result;
+}
+
 // Helper function to format bytes
 function formatBytes(bytes: number): string {
   if (bytes === 0) return "0 Bytes";
@@ -600,6 +2366,11 @@ function formatBytes(bytes: number): string {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
 }
 
+// Text files are returned as text, everything else base64 encoded
+function isTextMimeType(mimeType: string): boolean {
+  return mimeType.startsWith("text/") || mimeType === "application/json" || mimeType === "application/xml";
+}
+
 // Helper function to get MIME type - comprehensive image and video support
 function getMimeType(filename: string): string {
   const ext = path.extname(filename).toLowerCase();
@@ -612,6 +2383,10 @@ function getMimeType(filename: string): string {
     ".json": "application/json",
     ".xml": "application/xml",
     ".md": "text/markdown",
+    ".csv": "text/csv",
+    ".log": "text/plain",
+    ".yaml": "text/yaml",
+    ".yml": "text/yaml",
     ".pdf": "application/pdf",
     
     // Images - comprehensive support
@@ -657,6 +2432,10 @@ function getMimeType(filename: string): string {
 // Start the server
 async function main(): Promise<void> {
   await ensureStorageDir();
+
+  // Remove upload sessions nobody resumed
+  await uploadSessions.cleanup();
+  setInterval(() => uploadSessions.cleanup().catch(() => {}), UPLOAD_CLEANUP_INTERVAL).unref();
   
   const transport = new StdioServerTransport();
   await server.connect(transport);
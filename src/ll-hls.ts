@@ -0,0 +1,540 @@
+/**
+ * Low-Latency HLS Packager
+ *
+ * Packages a fragmented MP4 stream (FFmpeg `-f mp4 -movflags
+ * frag_keyframe+empty_moov+default_base_moof -frag_duration ...` piped to
+ * stdout) into an LL-HLS output: CMAF init segment, partial segments of
+ * roughly `partDuration` seconds, full segments starting on keyframes, and a
+ * media playlist with `EXT-X-PART`, `EXT-X-PRELOAD-HINT` and
+ * `EXT-X-SERVER-CONTROL:CAN-BLOCK-RELOAD=YES`.
+ *
+ * All files are written next to the playlist (`<base>.m3u8`, `<base>_init<n>.mp4`,
+ * `<base>_<msn>.m4s`, `<base>_<msn>.<part>.m4s`), so they can be served
+ * statically; blocking playlist reloads (`_HLS_msn`/`_HLS_part`) are answered
+ * by the HTTP server with {@link isPlaylistReady}.
+ *
+ * @module ll-hls
+ */
+
+import { EventEmitter } from "events";
+import fs from "fs";
+import path from "path";
+import { Writable } from "stream";
+
+export interface LLHLSConfig {
+  outputDir: string;
+  /** File name prefix; the playlist is `<baseName>.m3u8` */
+  baseName: string;
+  /** Target segment duration (s); segments start on the first keyframe after it */
+  segmentDuration: number;
+  /** Target partial segment duration (s) */
+  partDuration: number;
+  /** Complete segments kept in the playlist */
+  listSize: number;
+}
+
+export interface PlaylistPosition {
+  /** Media sequence number of the segment currently being written */
+  nextMsn: number;
+  /** Parts already published for that segment */
+  parts: number;
+  targetDuration: number;
+}
+
+interface TrackInfo {
+  timescale: number;
+  handler: string;
+  defaultSampleDuration: number;
+  defaultSampleFlags: number;
+}
+
+interface Part {
+  uri: string;
+  duration: number;
+  independent: boolean;
+  data: Buffer;
+}
+
+interface Segment {
+  msn: number;
+  uri: string;
+  initUri: string;
+  discontinuity: boolean;
+  duration: number;
+  parts: Part[];
+}
+
+/** Complete segments whose parts are still listed (LL-HLS wants the last few target durations) */
+const PART_SEGMENTS = 2;
+/** Segments kept on disk after leaving the playlist, for players still fetching them */
+const DELETE_GRACE_SEGMENTS = 2;
+const SAMPLE_IS_NON_SYNC = 0x00010000;
+
+// ─── ISO BMFF helpers ──────────────────────────────────────────────────────────
+
+function* childBoxes(buffer: Buffer, start = 0, end = buffer.length): Generator<{ type: string; start: number; end: number }> {
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    let header = 8;
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header || offset + size > end) return;
+
+    yield { type: buffer.toString("latin1", offset + 4, offset + 8), start: offset + header, end: offset + size };
+    offset += size;
+  }
+}
+
+function findBox(buffer: Buffer, type: string, start: number, end: number): { start: number; end: number } | null {
+  for (const box of childBoxes(buffer, start, end)) {
+    if (box.type === type) return box;
+  }
+  return null;
+}
+
+/**
+ * Read track timescales, handlers and `trex` defaults from a `moov` box payload
+ */
+function parseMoov(buffer: Buffer, start: number, end: number): Map<number, TrackInfo> {
+  const tracks = new Map<number, TrackInfo>();
+  const trex = new Map<number, { duration: number; flags: number }>();
+
+  for (const box of childBoxes(buffer, start, end)) {
+    if (box.type === "trak") {
+      const tkhd = findBox(buffer, "tkhd", box.start, box.end);
+      const mdia = findBox(buffer, "mdia", box.start, box.end);
+      const mdhd = mdia && findBox(buffer, "mdhd", mdia.start, mdia.end);
+      const hdlr = mdia && findBox(buffer, "hdlr", mdia.start, mdia.end);
+      if (!tkhd || !mdhd || !hdlr) continue;
+
+      const trackId = buffer.readUInt32BE(tkhd.start + (buffer[tkhd.start] === 1 ? 20 : 12));
+      const timescale = buffer.readUInt32BE(mdhd.start + (buffer[mdhd.start] === 1 ? 20 : 12));
+      tracks.set(trackId, {
+        timescale,
+        handler: buffer.toString("latin1", hdlr.start + 8, hdlr.start + 12),
+        defaultSampleDuration: 0,
+        defaultSampleFlags: 0,
+      });
+    } else if (box.type === "mvex") {
+      for (const child of childBoxes(buffer, box.start, box.end)) {
+        if (child.type !== "trex") continue;
+        trex.set(buffer.readUInt32BE(child.start + 4), {
+          duration: buffer.readUInt32BE(child.start + 12),
+          flags: buffer.readUInt32BE(child.start + 20),
+        });
+      }
+    }
+  }
+
+  for (const [trackId, defaults] of trex.entries()) {
+    const track = tracks.get(trackId);
+    if (track) {
+      track.defaultSampleDuration = defaults.duration;
+      track.defaultSampleFlags = defaults.flags;
+    }
+  }
+  return tracks;
+}
+
+/**
+ * Duration (s) and keyframe start of the reference track in a `moof` box payload
+ */
+function parseMoof(
+  buffer: Buffer,
+  start: number,
+  end: number,
+  tracks: Map<number, TrackInfo>,
+  referenceTrack: number
+): { duration: number; independent: boolean } | null {
+  for (const traf of childBoxes(buffer, start, end)) {
+    if (traf.type !== "traf") continue;
+
+    const tfhd = findBox(buffer, "tfhd", traf.start, traf.end);
+    if (!tfhd) continue;
+    const trackId = buffer.readUInt32BE(tfhd.start + 4);
+    const track = tracks.get(trackId);
+    if (trackId !== referenceTrack || !track) continue;
+
+    const tfhdFlags = buffer.readUInt32BE(tfhd.start) & 0xffffff;
+    let offset = tfhd.start + 8;
+    if (tfhdFlags & 0x1) offset += 8; // base_data_offset
+    if (tfhdFlags & 0x2) offset += 4; // sample_description_index
+    let defaultDuration = track.defaultSampleDuration;
+    let defaultFlags = track.defaultSampleFlags;
+    if (tfhdFlags & 0x8) {
+      defaultDuration = buffer.readUInt32BE(offset);
+      offset += 4;
+    }
+    if (tfhdFlags & 0x10) offset += 4; // default_sample_size
+    if (tfhdFlags & 0x20) defaultFlags = buffer.readUInt32BE(offset);
+
+    let ticks = 0;
+    let firstFlags: number | null = null;
+
+    for (const trun of childBoxes(buffer, traf.start, traf.end)) {
+      if (trun.type !== "trun") continue;
+
+      const trunFlags = buffer.readUInt32BE(trun.start) & 0xffffff;
+      const sampleCount = buffer.readUInt32BE(trun.start + 4);
+      let cursor = trun.start + 8;
+      if (trunFlags & 0x1) cursor += 4; // data_offset
+      let trunFirstFlags: number | null = null;
+      if (trunFlags & 0x4) {
+        trunFirstFlags = buffer.readUInt32BE(cursor);
+        cursor += 4;
+      }
+
+      for (let sample = 0; sample < sampleCount; sample++) {
+        let duration = defaultDuration;
+        let flags = defaultFlags;
+        if (trunFlags & 0x100) {
+          duration = buffer.readUInt32BE(cursor);
+          cursor += 4;
+        }
+        if (trunFlags & 0x200) cursor += 4; // sample_size
+        if (trunFlags & 0x400) {
+          flags = buffer.readUInt32BE(cursor);
+          cursor += 4;
+        }
+        if (trunFlags & 0x800) cursor += 4; // composition_time_offset
+
+        if (firstFlags === null) {
+          firstFlags = sample === 0 && trunFirstFlags !== null ? trunFirstFlags : flags;
+        }
+        ticks += duration;
+      }
+    }
+
+    return {
+      duration: ticks / track.timescale,
+      independent: firstFlags !== null && (firstFlags & SAMPLE_IS_NON_SYNC) === 0,
+    };
+  }
+  return null;
+}
+
+// ─── Playlist helpers (used by the HTTP server) ────────────────────────────────
+
+/**
+ * Find where an LL-HLS media playlist currently stands
+ */
+export function getPlaylistPosition(playlist: string): PlaylistPosition {
+  const lines = playlist.split(/\r?\n/).map((line) => line.trim());
+  const sequenceLine = lines.find((line) => line.startsWith("#EXT-X-MEDIA-SEQUENCE:"));
+  const targetLine = lines.find((line) => line.startsWith("#EXT-X-TARGETDURATION:"));
+
+  let nextMsn = sequenceLine ? parseInt(sequenceLine.split(":")[1], 10) : 0;
+  let parts = 0;
+  for (const line of lines) {
+    if (line.startsWith("#EXT-X-PART:")) {
+      parts++;
+    } else if (line && !line.startsWith("#")) {
+      // A segment URI closes the segment whose parts were listed above it
+      nextMsn++;
+      parts = 0;
+    }
+  }
+
+  return { nextMsn, parts, targetDuration: targetLine ? parseInt(targetLine.split(":")[1], 10) : 2 };
+}
+
+/**
+ * Whether a playlist satisfies a blocking reload request
+ * (`_HLS_msn` and optional `_HLS_part`)
+ */
+export function isPlaylistReady(position: PlaylistPosition, msn: number, part?: number): boolean {
+  if (msn < position.nextMsn) return true;
+  return msn === position.nextMsn && part !== undefined && part < position.parts;
+}
+
+// ─── Packager ──────────────────────────────────────────────────────────────────
+
+/**
+ * LL-HLS Packager
+ * Turns a fragmented MP4 byte stream into LL-HLS segments, parts and playlist
+ */
+export class LLHLSPackager extends EventEmitter {
+  private config: LLHLSConfig;
+  private pending: Buffer;
+  private ftyp: Buffer | null;
+  private tracks: Map<number, TrackInfo>;
+  private referenceTrack: number;
+  private moof: Buffer | null;
+  private initIndex: number;
+  private initUri: string | null;
+  private nextMsn: number;
+  private segments: Segment[];
+  private current: Segment | null;
+  private discontinuityPending: boolean;
+  private discontinuitySequence: number;
+  private activeInput: Writable | null;
+  private closed: boolean;
+
+  constructor(config: LLHLSConfig) {
+    super();
+    this.config = config;
+    this.pending = Buffer.alloc(0);
+    this.ftyp = null;
+    this.tracks = new Map();
+    this.referenceTrack = 0;
+    this.moof = null;
+    this.initIndex = 0;
+    this.initUri = null;
+    this.nextMsn = 0;
+    this.segments = [];
+    this.current = null;
+    this.discontinuityPending = false;
+    this.discontinuitySequence = 0;
+    this.activeInput = null;
+    this.closed = false;
+
+    fs.mkdirSync(this.config.outputDir, { recursive: true });
+  }
+
+  /**
+   * Create the sink for a new FFmpeg process. Every new input starts with a
+   * fresh init segment and is marked as a discontinuity in the playlist.
+   */
+  createInput(): Writable {
+    this.pending = Buffer.alloc(0);
+    this.moof = null;
+    if (this.current) {
+      this.closeSegment();
+    }
+    this.discontinuityPending = this.initUri !== null;
+
+    const input = new Writable({
+      write: (chunk: Buffer, _encoding, callback) => {
+        if (input === this.activeInput) {
+          this.push(chunk);
+        }
+        callback();
+      },
+      final: (callback) => {
+        // FFmpeg exited: publish what it wrote of the last segment
+        if (input === this.activeInput && !this.closed && this.current) {
+          this.closeSegment();
+        }
+        callback();
+      },
+    });
+    this.activeInput = input;
+    return input;
+  }
+
+  /**
+   * Stop accepting input (files are left for the caller to clean up)
+   */
+  close(): void {
+    this.closed = true;
+    this.activeInput = null;
+  }
+
+  private push(chunk: Buffer): void {
+    if (this.closed) return;
+    this.pending = this.pending.length > 0 ? Buffer.concat([this.pending, chunk]) : chunk;
+
+    while (this.pending.length >= 8) {
+      let size = this.pending.readUInt32BE(0);
+      if (size === 1) {
+        if (this.pending.length < 16) return;
+        size = Number(this.pending.readBigUInt64BE(8));
+      }
+      if (size < 8) {
+        // Not an ISO BMFF stream (or a box we can't delimit): drop what we have
+        this.emit("error", new Error("Invalid MP4 box in LL-HLS input"));
+        this.pending = Buffer.alloc(0);
+        return;
+      }
+      if (this.pending.length < size) return;
+
+      const box = this.pending.subarray(0, size);
+      this.pending = this.pending.subarray(size);
+      this.handleBox(box.toString("latin1", 4, 8), box);
+    }
+  }
+
+  private handleBox(type: string, box: Buffer): void {
+    switch (type) {
+      case "ftyp":
+        this.ftyp = Buffer.from(box);
+        break;
+      case "moov":
+        this.writeInit(box);
+        break;
+      case "moof":
+        this.moof = Buffer.from(box);
+        break;
+      case "mdat":
+        if (this.moof) {
+          this.handleFragment(this.moof, box);
+          this.moof = null;
+        }
+        break;
+      default:
+        // styp, sidx, mfra, free, ...: not needed for CMAF parts
+        break;
+    }
+  }
+
+  private writeInit(moov: Buffer): void {
+    this.tracks = parseMoov(moov, 8, moov.length);
+    const video = Array.from(this.tracks.entries()).find(([, track]) => track.handler === "vide");
+    this.referenceTrack = video ? video[0] : Array.from(this.tracks.keys())[0] || 0;
+
+    this.initUri = `${this.config.baseName}_init${this.initIndex++}.mp4`;
+    this.writeFile(this.initUri, Buffer.concat([this.ftyp || Buffer.alloc(0), moov]));
+  }
+
+  private handleFragment(moof: Buffer, mdat: Buffer): void {
+    const info = parseMoof(moof, 8, moof.length, this.tracks, this.referenceTrack);
+    if (!info || !this.initUri) return;
+
+    const current = this.current;
+    if (current && info.independent && current.duration >= this.config.segmentDuration * 0.9) {
+      this.closeSegment();
+    }
+
+    if (!this.current) {
+      // Segments must start with a keyframe
+      if (!info.independent) return;
+      const msn = this.nextMsn++;
+      this.current = {
+        msn,
+        uri: `${this.config.baseName}_${msn}.m4s`,
+        initUri: this.initUri,
+        discontinuity: this.discontinuityPending,
+        duration: 0,
+        parts: [],
+      };
+      this.discontinuityPending = false;
+    }
+
+    const segment = this.current;
+    const part: Part = {
+      uri: `${this.config.baseName}_${segment.msn}.${segment.parts.length}.m4s`,
+      duration: info.duration,
+      independent: info.independent,
+      data: Buffer.concat([moof, mdat]),
+    };
+    this.writeFile(part.uri, part.data);
+    segment.parts.push(part);
+    segment.duration += part.duration;
+
+    this.writePlaylist();
+    this.emit("part", segment.msn, segment.parts.length - 1);
+  }
+
+  private closeSegment(): void {
+    const segment = this.current!;
+    this.current = null;
+    if (segment.parts.length === 0) return;
+
+    this.writeFile(segment.uri, Buffer.concat(segment.parts.map((part) => part.data)));
+    this.segments.push(segment);
+
+    // The segment that just slid out of the playlist takes its discontinuity with it
+    const leaving = this.segments[this.segments.length - this.config.listSize - 1];
+    if (leaving?.discontinuity) {
+      this.discontinuitySequence++;
+    }
+
+    // Part payloads are only needed until the segment file exists
+    for (const part of segment.parts) {
+      part.data = Buffer.alloc(0);
+    }
+
+    while (this.segments.length > this.config.listSize + DELETE_GRACE_SEGMENTS) {
+      this.deleteSegment(this.segments.shift()!);
+    }
+    this.writePlaylist();
+    this.emit("segment", segment.msn);
+  }
+
+  private deleteSegment(segment: Segment): void {
+    for (const part of segment.parts) {
+      this.removeFile(part.uri);
+    }
+    this.removeFile(segment.uri);
+
+    // Init segments of older discontinuities are no longer referenced
+    if (!this.segments.some((other) => other.initUri === segment.initUri) && this.current?.initUri !== segment.initUri) {
+      this.removeFile(segment.initUri);
+    }
+  }
+
+  private writePlaylist(): void {
+    const listed = this.segments.slice(-this.config.listSize);
+    const first = listed[0] || this.current;
+    if (!first) return;
+
+    // Rounded segment durations must not exceed the target duration
+    const targetDuration = Math.max(
+      Math.ceil(this.config.segmentDuration),
+      ...listed.map((segment) => Math.round(segment.duration))
+    );
+    const partTarget = this.config.partDuration.toFixed(3);
+    const lines = [
+      "#EXTM3U",
+      "#EXT-X-VERSION:6",
+      `#EXT-X-TARGETDURATION:${targetDuration}`,
+      `#EXT-X-SERVER-CONTROL:CAN-BLOCK-RELOAD=YES,PART-HOLD-BACK=${(this.config.partDuration * 3).toFixed(3)}`,
+      `#EXT-X-PART-INF:PART-TARGET=${partTarget}`,
+      `#EXT-X-MEDIA-SEQUENCE:${first.msn}`,
+    ];
+    if (this.discontinuitySequence > 0) {
+      lines.push(`#EXT-X-DISCONTINUITY-SEQUENCE:${this.discontinuitySequence}`);
+    }
+
+    const withParts = new Set(listed.slice(-PART_SEGMENTS).map((segment) => segment.msn));
+    const all = this.current ? [...listed, this.current] : listed;
+
+    all.forEach((segment, index) => {
+      if (segment.discontinuity) {
+        lines.push("#EXT-X-DISCONTINUITY");
+      }
+      if (index === 0 || segment.discontinuity) {
+        lines.push(`#EXT-X-MAP:URI="${segment.initUri}"`);
+      }
+
+      if (segment === this.current || withParts.has(segment.msn)) {
+        for (const part of segment.parts) {
+          const independent = part.independent ? ",INDEPENDENT=YES" : "";
+          lines.push(`#EXT-X-PART:DURATION=${part.duration.toFixed(3)},URI="${part.uri}"${independent}`);
+        }
+      }
+      if (segment !== this.current) {
+        lines.push(`#EXTINF:${segment.duration.toFixed(3)},`, segment.uri);
+      }
+    });
+
+    const hintMsn = this.current ? this.current.msn : this.nextMsn;
+    const hintPart = this.current ? this.current.parts.length : 0;
+    lines.push(`#EXT-X-PRELOAD-HINT:TYPE=PART,URI="${this.config.baseName}_${hintMsn}.${hintPart}.m4s"`);
+
+    this.writeFile(`${this.config.baseName}.m3u8`, Buffer.from(lines.join("\n") + "\n"));
+  }
+
+  private writeFile(name: string, data: Buffer): void {
+    // Write + rename so readers never see a partial file
+    const filePath = path.join(this.config.outputDir, name);
+    const tmpPath = `${filePath}.tmp`;
+    try {
+      fs.writeFileSync(tmpPath, data);
+      fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+      this.emit("error", error);
+    }
+  }
+
+  private removeFile(name: string): void {
+    fs.rmSync(path.join(this.config.outputDir, name), { force: true });
+  }
+}
+
+export default LLHLSPackager;
@@ -0,0 +1,283 @@
+/**
+ * Motion Events
+ *
+ * Scene-change (motion) detection for RTSP streams. The RTSP manager adds a
+ * second output to a stream's FFmpeg process that runs the `select` filter on
+ * the scene score and prints the score of every frame above the threshold
+ * (see {@link buildSceneDetectionOptions}); each of those frames is written
+ * as a JPEG that becomes the event's snapshot.
+ *
+ * Events are appended to a JSON Lines log ({@link MotionEventLog}) and can
+ * optionally trigger a short MP4 clip cut from the stream's own HLS output,
+ * starting a few segments before the event ({@link EventClipRecorder}).
+ *
+ * @module motion-events
+ */
+
+import ffmpeg from "fluent-ffmpeg";
+import fs from "fs";
+import path from "path";
+
+export interface MotionSettings {
+  enabled: boolean;
+  /** Scene score (0-1) a frame must exceed to count as motion (default: 0.3) */
+  threshold?: number;
+  /** Minimum time between two events (default: 10) */
+  cooldownSeconds?: number;
+  /** Record a clip around each event into VIDEOS/events/<camera>/ */
+  clip?: boolean;
+  /** Seconds recorded after the event (default: 10) */
+  clipSeconds?: number;
+  /** Seconds recorded before the event, rounded up to whole HLS segments (default: 4) */
+  preRollSeconds?: number;
+}
+
+export interface MotionEvent {
+  id: string;
+  streamId: string;
+  name: string;
+  /** Wall-clock time the event was detected */
+  at: string;
+  /** Position in the stream (seconds since FFmpeg connected) */
+  streamTime: number | null;
+  score: number;
+  /** Snapshot path relative to the IMAGES directory */
+  snapshot: string | null;
+  /** Clip path relative to the VIDEOS directory (present once recorded) */
+  clip: string | null;
+}
+
+export interface EventQuery {
+  since?: Date;
+  until?: Date;
+  /** Maximum number of events (newest first, default: 100) */
+  limit?: number;
+}
+
+export interface ClipRecorderConfig {
+  ffmpegPath?: string;
+  videosDir: string;
+  debug?: boolean;
+}
+
+export const DEFAULT_MOTION_THRESHOLD = 0.3;
+export const DEFAULT_MOTION_COOLDOWN = 10;
+
+const DEFAULT_CLIP_SECONDS = 10;
+const DEFAULT_PRE_ROLL_SECONDS = 4;
+// Extra time a clip may take beyond its length before it is abandoned (s)
+const CLIP_TIMEOUT_GRACE = 30;
+
+const FRAME_LINE_PATTERN = /\[Parsed_metadata_\d+ @ [^\]]+\] frame:\d+\s+pts:\S+\s+pts_time:(\S+)/;
+const SCORE_LINE_PATTERN = /\[Parsed_metadata_\d+ @ [^\]]+\] lavfi\.scene_score=([\d.]+)/;
+
+/**
+ * Validate motion settings, returning an error message or null
+ */
+export function validateMotionSettings(settings: MotionSettings): string | null {
+  if (settings.threshold !== undefined && !(settings.threshold > 0 && settings.threshold < 1)) {
+    return "threshold must be between 0 and 1";
+  }
+  if (settings.cooldownSeconds !== undefined && !(settings.cooldownSeconds >= 0)) {
+    return "cooldownSeconds must not be negative";
+  }
+  if (settings.clipSeconds !== undefined && !(settings.clipSeconds >= 1 && settings.clipSeconds <= 600)) {
+    return "clipSeconds must be between 1 and 600";
+  }
+  if (settings.preRollSeconds !== undefined && !(settings.preRollSeconds >= 0 && settings.preRollSeconds <= 60)) {
+    return "preRollSeconds must be between 0 and 60";
+  }
+  return null;
+}
+
+/**
+ * FFmpeg output options (for an image2 output) that write one JPEG per
+ * frame whose scene score exceeds the threshold and log that score
+ */
+export function buildSceneDetectionOptions(threshold: number): string[] {
+  return [
+    "-map", "0:v:0",
+    "-an",
+    // setpts renumbers the selected frames one second apart so that the 1 fps
+    // output neither duplicates nor drops any of them
+    "-vf", `select='gt(scene,${threshold})',metadata=print,setpts=N/TB,scale='min(640,iw)':-2`,
+    "-r", "1",
+    "-q:v", "4",
+    // Write each JPEG to a temporary file and rename it into place, so a
+    // frame that exists is always complete
+    "-atomic_writing", "1",
+    "-f", "image2",
+  ];
+}
+
+/**
+ * Parse an FFmpeg stderr line printed by the scene detection output
+ */
+export function parseSceneLogLine(line: string): { streamTime: number } | { score: number } | null {
+  const frame = line.match(FRAME_LINE_PATTERN);
+  if (frame) {
+    return { streamTime: parseFloat(frame[1]) };
+  }
+
+  const score = line.match(SCORE_LINE_PATTERN);
+  return score ? { score: parseFloat(score[1]) } : null;
+}
+
+function formatTimestamp(date: Date): string {
+  const pad = (value: number) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}_${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`;
+}
+
+/**
+ * Motion Event Log
+ * Append-only JSON Lines file of motion events
+ */
+export class MotionEventLog {
+  private logPath: string;
+
+  constructor(logPath: string) {
+    this.logPath = logPath;
+  }
+
+  /**
+   * Append an event to the log
+   */
+  append(event: MotionEvent): void {
+    fs.mkdirSync(path.dirname(this.logPath), { recursive: true });
+    fs.appendFileSync(this.logPath, JSON.stringify(event) + "\n");
+  }
+
+  /**
+   * Events of a stream, newest first
+   */
+  query(streamId: string, query: EventQuery = {}): MotionEvent[] {
+    if (!fs.existsSync(this.logPath)) return [];
+
+    const since = query.since?.getTime() ?? -Infinity;
+    const until = query.until?.getTime() ?? Infinity;
+    const events: MotionEvent[] = [];
+
+    for (const line of fs.readFileSync(this.logPath, "utf8").split("\n")) {
+      if (!line) continue;
+      try {
+        const event = JSON.parse(line) as MotionEvent;
+        const at = new Date(event.at).getTime();
+        if (event.streamId === streamId && at >= since && at <= until) {
+          events.push(event);
+        }
+      } catch {
+        // Skip a line torn by a crash mid-append
+      }
+    }
+
+    return events.reverse().slice(0, query.limit || 100);
+  }
+}
+
+/**
+ * Event Clip Recorder
+ * Cuts clips around motion events out of a stream's live HLS output
+ */
+export class EventClipRecorder {
+  private config: ClipRecorderConfig;
+  /** Clip currently being recorded per stream */
+  private recording: Map<string, string>;
+
+  constructor(config: ClipRecorderConfig) {
+    this.config = { debug: false, ...config };
+    this.recording = new Map();
+
+    if (this.config.ffmpegPath) {
+      (ffmpeg as any).setFfmpegPath(this.config.ffmpegPath);
+    }
+  }
+
+  /**
+   * Whether a clip is currently being recorded for a stream
+   */
+  isRecording(streamId: string): boolean {
+    return this.recording.has(streamId);
+  }
+
+  /**
+   * Whether a clip has been recorded completely
+   */
+  isClipReady(clipPath: string): boolean {
+    return !Array.from(this.recording.values()).includes(clipPath) &&
+      fs.existsSync(path.join(this.config.videosDir, clipPath));
+  }
+
+  /**
+   * Path (relative to the videos directory) a clip for an event would get
+   */
+  getClipPath(streamId: string, at: Date): string {
+    return `events/${streamId}/${formatTimestamp(at)}.mp4`;
+  }
+
+  /**
+   * Record a clip from the stream's playlist, starting `preRollSeconds`
+   * (rounded up to whole segments) before now. Resolves to false when the
+   * clip could not be recorded.
+   */
+  async record(
+    streamId: string,
+    playlistPath: string,
+    clipPath: string,
+    settings: MotionSettings,
+    segmentSeconds: number
+  ): Promise<boolean> {
+    if (this.recording.has(streamId)) return false;
+    this.recording.set(streamId, clipPath);
+
+    const preRoll = settings.preRollSeconds ?? DEFAULT_PRE_ROLL_SECONDS;
+    const preRollSegments = Math.max(1, Math.ceil(preRoll / segmentSeconds));
+    const duration = preRollSegments * segmentSeconds + (settings.clipSeconds || DEFAULT_CLIP_SECONDS);
+    const outputPath = path.join(this.config.videosDir, clipPath);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+
+    try {
+      await new Promise<void>((resolve, reject) => {
+        const command = ffmpeg(playlistPath)
+          .inputOptions(["-live_start_index", String(-preRollSegments)])
+          .outputOptions([
+            "-map", "0:v:0",
+            "-map", "0:a:0?",
+            "-c", "copy",
+            "-t", String(duration),
+            "-movflags", "+faststart",
+          ])
+          .output(outputPath)
+          .on("start", (commandLine) => {
+            if (this.config.debug) {
+              console.log(`🔧 FFmpeg command: ${commandLine}`);
+            }
+          })
+          .on("error", (err) => {
+            clearTimeout(timer);
+            reject(new Error(err.message.trim().split("\n").pop()));
+          })
+          .on("end", () => {
+            clearTimeout(timer);
+            resolve();
+          });
+
+        const timer = setTimeout(() => {
+          (command as any).kill("SIGKILL");
+        }, (duration + CLIP_TIMEOUT_GRACE) * 1000);
+
+        command.run();
+      });
+
+      console.log(`🎬 Event clip recorded: ${clipPath}`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Event clip for ${streamId} failed:`, error instanceof Error ? error.message : error);
+      fs.rmSync(outputPath, { force: true });
+      return false;
+    } finally {
+      this.recording.delete(streamId);
+    }
+  }
+}
+
+export default MotionEventLog;
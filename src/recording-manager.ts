@@ -0,0 +1,378 @@
+/**
+ * Recording Manager
+ *
+ * Archives RTSP cameras into time-chunked MP4 files under
+ * `VIDEOS/recordings/<camera>/`, independently of the rolling live HLS window.
+ *
+ * Each camera can be limited to cron-like schedules (see {@link module:cron})
+ * and has retention limits by maximum age and maximum total size; the oldest
+ * recordings are pruned first.
+ *
+ * @module recording-manager
+ */
+
+import ffmpeg from "fluent-ffmpeg";
+import fs from "fs";
+import path from "path";
+import { cronMatches, validateCron } from "./cron.js";
+
+export interface RecordingSettings {
+  enabled: boolean;
+  /** Cron expressions during which to record (empty = always) */
+  schedule?: string[];
+  /** Length of each MP4 chunk in seconds (default: 3600) */
+  segmentDuration?: number;
+  /** Delete recordings older than this many days */
+  maxAgeDays?: number;
+  /** Keep the camera's recordings below this total size (MB) */
+  maxTotalSizeMB?: number;
+}
+
+export interface RecordingConfig {
+  ffmpegPath?: string;
+  recordingsDir: string;
+  /** How often schedules are evaluated (ms) */
+  checkInterval?: number;
+  /** How often retention is enforced (ms) */
+  pruneInterval?: number;
+  /** Delay before restarting a recording whose FFmpeg process died (ms) */
+  retryDelay?: number;
+  debug?: boolean;
+}
+
+export interface RecordingInfo {
+  camera: string;
+  filename: string;
+  relativePath: string;
+  size: number;
+  startedAt: string | null;
+  modified: string;
+  inProgress: boolean;
+}
+
+interface CameraRecording {
+  name: string;
+  sourceUrl: string;
+  settings: RecordingSettings;
+  process: any;
+  startedAt: Date | null;
+  retryAt: number;
+  lastError: string | null;
+}
+
+const RECORDING_NAME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})_(\d{2})-(\d{2})-(\d{2})\.mp4$/;
+
+/**
+ * Validate recording settings, returning an error message or null
+ */
+export function validateRecordingSettings(settings: RecordingSettings): string | null {
+  for (const expression of settings.schedule || []) {
+    const error = validateCron(expression);
+    if (error) return error;
+  }
+  if (settings.segmentDuration !== undefined && !(settings.segmentDuration >= 10)) {
+    return "segmentDuration must be at least 10 seconds";
+  }
+  if (settings.maxAgeDays !== undefined && !(settings.maxAgeDays > 0)) {
+    return "maxAgeDays must be positive";
+  }
+  if (settings.maxTotalSizeMB !== undefined && !(settings.maxTotalSizeMB > 0)) {
+    return "maxTotalSizeMB must be positive";
+  }
+  return null;
+}
+
+/**
+ * Recording Manager
+ * Handles scheduled RTSP → MP4 archival and retention
+ */
+export class RecordingManager {
+  private config: RecordingConfig;
+  private cameras: Map<string, CameraRecording>;
+  private scheduleTimer: NodeJS.Timeout | null;
+  private pruneTimer: NodeJS.Timeout | null;
+
+  constructor(config: RecordingConfig) {
+    this.config = {
+      checkInterval: 30000,
+      pruneInterval: 5 * 60 * 1000,
+      retryDelay: 10000,
+      debug: false,
+      ...config,
+    };
+    this.cameras = new Map();
+    this.scheduleTimer = null;
+    this.pruneTimer = null;
+
+    if (this.config.ffmpegPath) {
+      (ffmpeg as any).setFfmpegPath(this.config.ffmpegPath);
+    }
+  }
+
+  /**
+   * Start evaluating schedules and retention
+   */
+  start(): void {
+    if (this.scheduleTimer) return;
+
+    this.scheduleTimer = setInterval(() => this.applySchedules(), this.config.checkInterval);
+    this.pruneTimer = setInterval(() => this.pruneAll(), this.config.pruneInterval);
+    this.scheduleTimer.unref();
+    this.pruneTimer.unref();
+    this.applySchedules();
+    this.pruneAll();
+  }
+
+  /**
+   * Stop all recordings and timers
+   */
+  stop(): void {
+    if (this.scheduleTimer) clearInterval(this.scheduleTimer);
+    if (this.pruneTimer) clearInterval(this.pruneTimer);
+    this.scheduleTimer = null;
+    this.pruneTimer = null;
+
+    for (const cameraId of this.cameras.keys()) {
+      this.stopRecording(cameraId);
+    }
+  }
+
+  /**
+   * Register or update a camera's recording settings (null removes it)
+   */
+  configure(cameraId: string, name: string, sourceUrl: string, settings: RecordingSettings | null): void {
+    const existing = this.cameras.get(cameraId);
+
+    if (!settings || !settings.enabled) {
+      if (existing) {
+        this.stopRecording(cameraId);
+        this.cameras.delete(cameraId);
+      }
+      return;
+    }
+
+    // Source or chunking changes need a fresh FFmpeg process
+    if (existing && (existing.sourceUrl !== sourceUrl || existing.settings.segmentDuration !== settings.segmentDuration)) {
+      this.stopRecording(cameraId);
+    }
+
+    this.cameras.set(cameraId, {
+      name,
+      sourceUrl,
+      settings,
+      process: existing?.process || null,
+      startedAt: existing?.startedAt || null,
+      retryAt: 0,
+      lastError: null,
+    });
+
+    if (this.scheduleTimer) {
+      this.applySchedules();
+    }
+  }
+
+  /**
+   * Stop recording a camera and forget its settings
+   */
+  remove(cameraId: string): void {
+    this.stopRecording(cameraId);
+    this.cameras.delete(cameraId);
+  }
+
+  /**
+   * Whether a camera should be recording right now according to its schedule
+   */
+  isScheduled(settings: RecordingSettings, date: Date = new Date()): boolean {
+    if (!settings.enabled) return false;
+    const schedule = settings.schedule || [];
+    return schedule.length === 0 || schedule.some((expression) => cronMatches(expression, date));
+  }
+
+  private applySchedules(): void {
+    const now = new Date();
+
+    for (const [cameraId, camera] of this.cameras.entries()) {
+      const shouldRecord = this.isScheduled(camera.settings, now);
+
+      if (shouldRecord && !camera.process && Date.now() >= camera.retryAt) {
+        this.startRecording(cameraId);
+      } else if (!shouldRecord && camera.process) {
+        console.log(`⏰ Recording window closed for ${camera.name} (${cameraId})`);
+        this.stopRecording(cameraId);
+      }
+    }
+  }
+
+  private getCameraDir(cameraId: string): string {
+    return path.join(this.config.recordingsDir, cameraId);
+  }
+
+  private startRecording(cameraId: string): void {
+    const camera = this.cameras.get(cameraId)!;
+    const outputDir = this.getCameraDir(cameraId);
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const segmentDuration = String(camera.settings.segmentDuration || 3600);
+    console.log(`⏺️ Recording ${camera.name} (${cameraId}) in ${segmentDuration}s chunks`);
+
+    const ffmpegProcess = ffmpeg(camera.sourceUrl)
+      .inputOptions([
+        "-rtsp_transport", "tcp",
+      ])
+      .outputOptions([
+        "-map", "0:v:0",
+        "-map", "0:a:0?",
+        "-c:v", "copy",
+        "-c:a", "aac",
+        "-f", "segment",
+        "-segment_time", segmentDuration,
+        "-segment_atclocktime", "1",
+        "-segment_format", "mp4",
+        "-segment_format_options", "movflags=+faststart",
+        "-reset_timestamps", "1",
+        "-strftime", "1",
+      ])
+      .output(path.join(outputDir, "%Y-%m-%d_%H-%M-%S.mp4"))
+      .on("start", (commandLine) => {
+        if (this.config.debug) {
+          console.log(`🔧 FFmpeg command: ${commandLine}`);
+        }
+      })
+      .on("error", (err) => this.handleExit(cameraId, ffmpegProcess, err.message))
+      .on("end", () => this.handleExit(cameraId, ffmpegProcess, "Source ended"));
+
+    camera.process = ffmpegProcess;
+    camera.startedAt = new Date();
+    ffmpegProcess.run();
+  }
+
+  private handleExit(cameraId: string, ffmpegProcess: unknown, reason: string): void {
+    const camera = this.cameras.get(cameraId);
+    if (!camera || camera.process !== ffmpegProcess) return;
+
+    console.error(`❌ Recording ${cameraId} stopped: ${reason.trim()}`);
+    camera.process = null;
+    camera.startedAt = null;
+    camera.lastError = reason.trim();
+    camera.retryAt = Date.now() + this.config.retryDelay!;
+
+    setTimeout(() => {
+      if (this.scheduleTimer) this.applySchedules();
+    }, this.config.retryDelay).unref();
+  }
+
+  private stopRecording(cameraId: string): void {
+    const camera = this.cameras.get(cameraId);
+    if (!camera || !camera.process) return;
+
+    const ffmpegProcess = camera.process;
+    camera.process = null;
+    camera.startedAt = null;
+    // SIGINT lets FFmpeg finalize the current MP4 chunk
+    (ffmpegProcess as any).kill("SIGINT");
+    console.log(`⏹️ Recording stopped: ${cameraId}`);
+  }
+
+  /**
+   * Enforce max age / max total size for every camera directory
+   */
+  pruneAll(): void {
+    for (const [cameraId, camera] of this.cameras.entries()) {
+      this.prune(cameraId, camera.settings);
+    }
+  }
+
+  private prune(cameraId: string, settings: RecordingSettings): void {
+    const recordings = this.listRecordings(cameraId)
+      .filter((recording) => !recording.inProgress)
+      .sort((a, b) => a.modified.localeCompare(b.modified));
+
+    let totalSize = this.listRecordings(cameraId).reduce((sum, recording) => sum + recording.size, 0);
+    const maxAge = settings.maxAgeDays ? settings.maxAgeDays * 24 * 60 * 60 * 1000 : null;
+    const maxSize = settings.maxTotalSizeMB ? settings.maxTotalSizeMB * 1024 * 1024 : null;
+
+    for (const recording of recordings) {
+      const tooOld = maxAge !== null && Date.now() - new Date(recording.modified).getTime() > maxAge;
+      const overSize = maxSize !== null && totalSize > maxSize;
+      if (!tooOld && !overSize) continue;
+
+      try {
+        fs.unlinkSync(path.join(this.config.recordingsDir, cameraId, recording.filename));
+        totalSize -= recording.size;
+        console.log(`🧹 Pruned recording ${recording.relativePath} (${tooOld ? "max age" : "max size"})`);
+      } catch (error) {
+        console.error(`Error pruning ${recording.relativePath}:`, error);
+      }
+    }
+  }
+
+  /**
+   * List recordings, optionally for a single camera (newest first)
+   */
+  listRecordings(cameraId?: string): RecordingInfo[] {
+    const recordings: RecordingInfo[] = [];
+    const cameraIds = cameraId ? [cameraId] : this.listRecordedCameras();
+
+    for (const id of cameraIds) {
+      const cameraDir = this.getCameraDir(id);
+      if (!fs.existsSync(cameraDir)) continue;
+
+      const files = fs.readdirSync(cameraDir).filter((file) => file.toLowerCase().endsWith(".mp4")).sort();
+      const recordingNow = !!this.cameras.get(id)?.process;
+
+      files.forEach((file, index) => {
+        try {
+          const stats = fs.statSync(path.join(cameraDir, file));
+          const match = file.match(RECORDING_NAME_PATTERN);
+          recordings.push({
+            camera: id,
+            filename: file,
+            relativePath: `recordings/${id}/${file}`,
+            size: stats.size,
+            startedAt: match
+              ? new Date(+match[1], +match[2] - 1, +match[3], +match[4], +match[5], +match[6]).toISOString()
+              : null,
+            modified: stats.mtime.toISOString(),
+            inProgress: recordingNow && index === files.length - 1,
+          });
+        } catch {
+          // File disappeared between readdir and stat
+        }
+      });
+    }
+
+    return recordings.sort((a, b) => b.modified.localeCompare(a.modified));
+  }
+
+  private listRecordedCameras(): string[] {
+    if (!fs.existsSync(this.config.recordingsDir)) return [];
+    return fs.readdirSync(this.config.recordingsDir, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory())
+      .map((entry) => entry.name);
+  }
+
+  /**
+   * Get recording status for all configured cameras
+   */
+  getStatus(): {
+    camera: string;
+    name: string;
+    recording: boolean;
+    scheduled: boolean;
+    startedAt: Date | null;
+    lastError: string | null;
+    settings: RecordingSettings;
+  }[] {
+    return Array.from(this.cameras.entries()).map(([cameraId, camera]) => ({
+      camera: cameraId,
+      name: camera.name,
+      recording: !!camera.process,
+      scheduled: this.isScheduled(camera.settings),
+      startedAt: camera.startedAt,
+      lastError: camera.lastError,
+      settings: camera.settings,
+    }));
+  }
+}
+
+export default RecordingManager;
@@ -0,0 +1,128 @@
+/**
+ * Restream Check
+ *
+ * End-to-end check of restreaming against a running HTTP server with RTMP
+ * enabled. The check starts a second node-media-server on the loopback
+ * interface as the restream target, registers it for a stream key, publishes
+ * an FFmpeg test pattern to the ingest server under that key and waits until
+ * the relay arrives at the target. The target is removed again afterwards.
+ *
+ * @module restream-check
+ * @example
+ * // npm run restream:check -- mystream
+ * // npm run restream:check -- mystream --key <stream key> --seconds 15
+ */
+
+import NodeMediaServer from "node-media-server";
+import type { NodeMediaSession } from "node-media-server";
+import { spawn } from "child_process";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const HTTP_API_URL = process.env.HTTP_API_URL || `http://localhost:${process.env.HTTP_PORT || 6969}`;
+const RTMP_PORT = parseInt(process.env.RTMP_PORT || "1935", 10);
+const FFMPEG_PATH = process.env.FFMPEG_PATH || "ffmpeg";
+// Extra time for the relay to connect and hand over the stream (ms)
+const RELAY_GRACE = 15000;
+
+interface CheckOptions {
+  streamKey: string;
+  key: string | null;
+  seconds: number;
+  port: number;
+}
+
+function parseArgs(argv: string[]): CheckOptions {
+  const options: CheckOptions = { streamKey: "", key: null, seconds: 10, port: 19350 };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--key") options.key = argv[++i];
+    else if (argv[i] === "--seconds") options.seconds = parseInt(argv[++i], 10);
+    else if (argv[i] === "--port") options.port = parseInt(argv[++i], 10);
+    else options.streamKey = argv[i];
+  }
+  if (!options.streamKey || !(options.seconds > 0) || !(options.port > 0)) {
+    console.error("Usage: restream-check <stream key> [--key <publish key>] [--seconds <n>] [--port <target RTMP port>]");
+    process.exit(1);
+  }
+  return options;
+}
+
+async function callApi(method: string, apiPath: string, body?: unknown): Promise<any> {
+  const headers: Record<string, string> = {};
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+  if (process.env.ADMIN_TOKEN) headers.Authorization = `Bearer ${process.env.ADMIN_TOKEN}`;
+
+  const response = await fetch(`${HTTP_API_URL}${apiPath}`, {
+    method,
+    headers,
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`${method} ${apiPath}: ${data.error || `HTTP ${response.status}`}`);
+  }
+  return data;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const streamPath = `/live/restream-check-${Date.now()}`;
+
+  // The target only listens on the loopback interface and has no HTTP server
+  const target = new NodeMediaServer({ bind: "127.0.0.1", rtmp: { port: options.port } });
+  const relayed = new Promise<NodeMediaSession>((resolve) => {
+    target.on("donePublish", (session) => {
+      if (session.streamPath === streamPath) resolve(session);
+    });
+  });
+  target.on("postPublish", (session) => {
+    if (session.streamPath === streamPath) console.log(`📥 Relay arrived at the target (${session.ip})`);
+  });
+  target.run();
+
+  const apiPath = `/api/rtmp/streams/${encodeURIComponent(options.streamKey)}/restream`;
+  const added = await callApi("POST", apiPath, {
+    name: "restream-check",
+    url: `rtmp://127.0.0.1:${options.port}${streamPath}`,
+    enabled: true,
+  });
+  console.log(`📤 Restream target ${added.id} added for ${options.streamKey}`);
+
+  const publishUrl = `rtmp://127.0.0.1:${RTMP_PORT}/live/${options.streamKey}${options.key ? `?key=${encodeURIComponent(options.key)}` : ""}`;
+  const publisher = spawn(FFMPEG_PATH, [
+    "-loglevel", "error",
+    "-re",
+    "-f", "lavfi", "-i", "testsrc=size=640x360:rate=30",
+    "-f", "lavfi", "-i", "sine=frequency=440",
+    "-t", String(options.seconds),
+    "-c:v", "libx264", "-preset", "veryfast", "-g", "60",
+    "-c:a", "aac",
+    "-f", "flv", publishUrl,
+  ], { stdio: ["ignore", "inherit", "inherit"] });
+  console.log(`🎬 Publishing a ${options.seconds}s test pattern to ${options.streamKey}`);
+
+  let timer: NodeJS.Timeout | undefined;
+  const timeout = new Promise<null>((resolve) => {
+    timer = setTimeout(() => resolve(null), options.seconds * 1000 + RELAY_GRACE);
+  });
+  const session = await Promise.race([relayed, timeout]);
+  clearTimeout(timer);
+  publisher.kill("SIGKILL");
+
+  await callApi("DELETE", `${apiPath}/${encodeURIComponent(added.id)}`).catch((error) => {
+    console.error(`⚠️ Could not remove restream target ${added.id}: ${error.message}`);
+  });
+
+  if (!session || session.inBytes === 0) {
+    console.error("❌ No relay reached the target");
+    process.exit(1);
+  }
+  console.log(`✅ Relay received ${session.inBytes} bytes in ${((session.endTime - session.createTime) / 1000).toFixed(1)}s`);
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error("❌ Restream check failed:", error instanceof Error ? error.message : error);
+  process.exit(1);
+});
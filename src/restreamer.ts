@@ -0,0 +1,475 @@
+/**
+ * Restreamer
+ *
+ * Relays RTMP broadcasts to outbound RTMP/RTMPS destinations (YouTube, Twitch,
+ * another media server...). Each stream name has its own list of targets;
+ * when a publisher goes live, the ingest server starts one FFmpeg relay per
+ * enabled target that pulls the stream back from the local RTMP server and
+ * pushes it unchanged (`-c copy`) to the target.
+ *
+ * A relay that fails is retried with exponential backoff while the stream is
+ * live; after `maxRetries` consecutive failures it is marked `failed` until it
+ * is started again by hand. Relays can also be stopped and started
+ * individually without affecting the broadcast.
+ *
+ * Target definitions are persisted by {@link RestreamTargetStore} in
+ * `restream-targets.json` (mode 0600, target URLs carry the destination's
+ * stream key); URLs handed out by the store are masked with
+ * {@link maskTargetUrl}.
+ *
+ * @module restreamer
+ */
+
+import { EventEmitter } from "events";
+import ffmpeg from "fluent-ffmpeg";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+export interface RestreamTarget {
+  id: string;
+  name: string;
+  /** rtmp:// or rtmps:// URL including the destination's stream key */
+  url: string;
+  /** Start automatically when the stream goes live */
+  enabled: boolean;
+}
+
+export interface RestreamTargetInput {
+  name?: string;
+  url?: string;
+  enabled?: boolean;
+}
+
+export type RestreamState = "connecting" | "live" | "retrying" | "stopped" | "failed";
+
+export interface RestreamStatus {
+  targetId: string;
+  name: string;
+  state: RestreamState;
+  /** When the relay last went live */
+  startedAt: Date | null;
+  /** Consecutive failures since the relay was last live */
+  retries: number;
+  lastError: string | null;
+}
+
+export interface RestreamerConfig {
+  ffmpegPath?: string;
+  /** Delay before the first retry, doubled on every further failure (ms) */
+  retryDelay?: number;
+  /** Upper bound of the retry delay (ms) */
+  maxRetryDelay?: number;
+  /** Consecutive failures before a relay gives up (0 = never) */
+  maxRetries?: number;
+  debug?: boolean;
+}
+
+interface Relay {
+  target: RestreamTarget;
+  status: RestreamStatus;
+  command: any;
+  retryTimer: NodeJS.Timeout | null;
+}
+
+interface RestreamSession {
+  inputUrl: string;
+  relays: Map<string, Relay>;
+}
+
+const TARGET_URL_PATTERN = /^rtmps?:\/\/[^\s/]+\/\S+$/i;
+const MASKED_KEY = "***";
+
+/**
+ * Validate a target URL, returning an error message or null
+ */
+export function validateTargetUrl(url: unknown): string | null {
+  if (typeof url !== "string" || !TARGET_URL_PATTERN.test(url)) {
+    return "url must be an rtmp:// or rtmps:// URL with an app path";
+  }
+  return null;
+}
+
+/**
+ * Hide the destination's stream key (last path segment and query) in a
+ * target URL (rtmp://host/app/key → rtmp://host/app/***)
+ */
+export function maskTargetUrl(url: string): string {
+  const match = url.match(/^(rtmps?:\/\/[^/]+\/(?:.*\/)?)[^/]+$/i);
+  return match ? `${match[1]}${MASKED_KEY}` : url;
+}
+
+function writeJsonAtomic(filePath: string, data: unknown, mode?: number): void {
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), { mode });
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Restreamer
+ * Runs the FFmpeg relays of live streams
+ *
+ * Emits `status` (stream name, {@link RestreamStatus}) whenever a relay
+ * changes state.
+ */
+export class Restreamer extends EventEmitter {
+  private config: RestreamerConfig;
+  private sessions: Map<string, RestreamSession>;
+
+  constructor(config: RestreamerConfig = {}) {
+    super();
+    this.config = {
+      retryDelay: 2000,
+      maxRetryDelay: 60000,
+      maxRetries: 10,
+      debug: false,
+      ...config,
+    };
+    this.sessions = new Map();
+
+    if (this.config.ffmpegPath) {
+      (ffmpeg as any).setFfmpegPath(this.config.ffmpegPath);
+    }
+  }
+
+  /**
+   * Start relaying a live stream to its enabled targets
+   */
+  startStream(streamName: string, inputUrl: string, targets: RestreamTarget[]): void {
+    if (this.sessions.has(streamName)) {
+      this.stopStream(streamName);
+    }
+
+    const session: RestreamSession = { inputUrl, relays: new Map() };
+    this.sessions.set(streamName, session);
+
+    for (const target of targets) {
+      this.addRelay(streamName, session, target);
+    }
+  }
+
+  /**
+   * Stop all relays of a stream
+   */
+  stopStream(streamName: string): void {
+    const session = this.sessions.get(streamName);
+    if (!session) return;
+
+    for (const relay of session.relays.values()) {
+      this.killRelay(relay);
+    }
+    this.sessions.delete(streamName);
+  }
+
+  /**
+   * Stop every relay
+   */
+  stopAll(): void {
+    for (const streamName of Array.from(this.sessions.keys())) {
+      this.stopStream(streamName);
+    }
+  }
+
+  /**
+   * Apply changed targets to a live stream: new enabled targets start,
+   * removed targets stop and targets whose URL changed reconnect
+   */
+  setTargets(streamName: string, targets: RestreamTarget[]): void {
+    const session = this.sessions.get(streamName);
+    if (!session) return;
+
+    for (const [id, relay] of session.relays.entries()) {
+      const target = targets.find((candidate) => candidate.id === id);
+      if (!target || target.url !== relay.target.url) {
+        this.killRelay(relay);
+        session.relays.delete(id);
+        continue;
+      }
+
+      const wasEnabled = relay.target.enabled;
+      relay.target = target;
+      relay.status.name = target.name;
+      if (wasEnabled && !target.enabled) {
+        this.stopTarget(streamName, id);
+      } else if (!wasEnabled && target.enabled && relay.status.state === "stopped") {
+        this.startTarget(streamName, id);
+      }
+    }
+
+    for (const target of targets) {
+      if (!session.relays.has(target.id)) {
+        this.addRelay(streamName, session, target);
+      }
+    }
+  }
+
+  /**
+   * Start (or restart) one relay of a live stream
+   */
+  startTarget(streamName: string, targetId: string): boolean {
+    const relay = this.sessions.get(streamName)?.relays.get(targetId);
+    if (!relay) return false;
+
+    this.killRelay(relay);
+    relay.status.retries = 0;
+    relay.status.lastError = null;
+    this.runRelay(streamName, relay);
+    return true;
+  }
+
+  /**
+   * Stop one relay of a live stream without retrying it
+   */
+  stopTarget(streamName: string, targetId: string): boolean {
+    const relay = this.sessions.get(streamName)?.relays.get(targetId);
+    if (!relay) return false;
+
+    this.killRelay(relay);
+    this.setState(streamName, relay, "stopped");
+    return true;
+  }
+
+  /**
+   * Relay status of a stream
+   */
+  getStatus(streamName: string): RestreamStatus[] {
+    const session = this.sessions.get(streamName);
+    return session ? Array.from(session.relays.values()).map((relay) => ({ ...relay.status })) : [];
+  }
+
+  private addRelay(streamName: string, session: RestreamSession, target: RestreamTarget): void {
+    const relay: Relay = {
+      target,
+      status: {
+        targetId: target.id,
+        name: target.name,
+        state: "stopped",
+        startedAt: null,
+        retries: 0,
+        lastError: null,
+      },
+      command: null,
+      retryTimer: null,
+    };
+    session.relays.set(target.id, relay);
+
+    if (target.enabled) {
+      this.runRelay(streamName, relay);
+    }
+  }
+
+  private runRelay(streamName: string, relay: Relay): void {
+    const session = this.sessions.get(streamName);
+    if (!session) return;
+
+    const command = ffmpeg(session.inputUrl)
+      .outputOptions(
+        "-map", "0:v:0?",
+        "-map", "0:a:0?",
+        "-c", "copy",
+        "-f", "flv"
+      )
+      .output(relay.target.url)
+      .on("start", (commandLine) => {
+        if (this.config.debug) {
+          console.log(`🔧 FFmpeg command: ${this.hideTargetUrl(relay, commandLine)}`);
+        }
+      })
+      .on("progress", () => {
+        if (relay.command === command && relay.status.state !== "live") {
+          relay.status.startedAt = new Date();
+          relay.status.retries = 0;
+          this.setState(streamName, relay, "live");
+          console.log(`📤 Restreaming ${streamName} to ${relay.target.name}`);
+        }
+      })
+      .on("error", (err) => this.handleRelayExit(streamName, relay, command, err.message))
+      .on("end", () => this.handleRelayExit(streamName, relay, command, "Destination closed the connection"));
+
+    relay.command = command;
+    this.setState(streamName, relay, "connecting");
+    command.run();
+  }
+
+  private handleRelayExit(streamName: string, relay: Relay, command: unknown, reason: string): void {
+    if (relay.command !== command) return;
+
+    relay.command = null;
+    relay.status.startedAt = null;
+    relay.status.lastError = this.hideTargetUrl(relay, reason.trim().split("\n").pop() || reason);
+    relay.status.retries++;
+    console.error(`❌ Restream of ${streamName} to ${relay.target.name} stopped: ${relay.status.lastError}`);
+
+    if (this.config.maxRetries && relay.status.retries >= this.config.maxRetries) {
+      this.setState(streamName, relay, "failed");
+      return;
+    }
+
+    const delay = Math.min(this.config.retryDelay! * 2 ** (relay.status.retries - 1), this.config.maxRetryDelay!);
+    this.setState(streamName, relay, "retrying");
+    relay.retryTimer = setTimeout(() => {
+      relay.retryTimer = null;
+      this.runRelay(streamName, relay);
+    }, delay);
+  }
+
+  private hideTargetUrl(relay: Relay, text: string): string {
+    return text.split(relay.target.url).join(maskTargetUrl(relay.target.url));
+  }
+
+  private killRelay(relay: Relay): void {
+    if (relay.retryTimer) {
+      clearTimeout(relay.retryTimer);
+      relay.retryTimer = null;
+    }
+    const command = relay.command;
+    relay.command = null;
+    relay.status.startedAt = null;
+    if (command) {
+      command.kill("SIGKILL");
+    }
+  }
+
+  private setState(streamName: string, relay: Relay, state: RestreamState): void {
+    relay.status.state = state;
+    this.emit("status", streamName, { ...relay.status });
+  }
+}
+
+/**
+ * Restream Target Store
+ * JSON-backed restream targets per stream name
+ */
+export class RestreamTargetStore {
+  private dataDir: string;
+  private filePath: string;
+  private targets: Map<string, RestreamTarget[]>;
+
+  constructor(dataDir: string) {
+    this.dataDir = dataDir;
+    this.filePath = path.join(dataDir, "restream-targets.json");
+    this.targets = new Map();
+  }
+
+  /**
+   * Load targets from disk
+   */
+  load(): void {
+    this.targets.clear();
+
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const stored = JSON.parse(fs.readFileSync(this.filePath, "utf8")) as Record<string, RestreamTarget[]>;
+        Object.entries(stored).forEach(([streamName, targets]) => this.targets.set(streamName, targets));
+      }
+    } catch (error) {
+      console.error("Error loading restream targets:", error);
+    }
+
+    const count = Array.from(this.targets.values()).reduce((sum, targets) => sum + targets.length, 0);
+    console.log(`📤 Loaded ${count} restream target(s)`);
+  }
+
+  private save(): void {
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    writeJsonAtomic(this.filePath, Object.fromEntries(this.targets), 0o600);
+  }
+
+  private mask(target: RestreamTarget): RestreamTarget {
+    return { ...target, url: maskTargetUrl(target.url) };
+  }
+
+  /**
+   * Targets of every stream (URLs masked)
+   */
+  listAll(): Record<string, RestreamTarget[]> {
+    return Object.fromEntries(
+      Array.from(this.targets.entries()).map(([streamName, targets]) => [streamName, targets.map((target) => this.mask(target))])
+    );
+  }
+
+  /**
+   * Targets of a stream (URLs masked)
+   */
+  list(streamName: string): RestreamTarget[] {
+    return (this.targets.get(streamName) || []).map((target) => this.mask(target));
+  }
+
+  /**
+   * Targets with their full URLs, for the RTMP worker
+   */
+  getAll(): Record<string, RestreamTarget[]> {
+    return Object.fromEntries(this.targets);
+  }
+
+  /**
+   * Add a target to a stream
+   */
+  add(streamName: string, input: RestreamTargetInput): RestreamTarget {
+    const error = validateTargetUrl(input.url);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const targets = this.targets.get(streamName) || [];
+    const target: RestreamTarget = {
+      id: crypto.randomBytes(4).toString("hex"),
+      name: input.name || maskTargetUrl(input.url!),
+      url: input.url!,
+      enabled: input.enabled !== false,
+    };
+    targets.push(target);
+    this.targets.set(streamName, targets);
+    this.save();
+    return this.mask(target);
+  }
+
+  /**
+   * Update a target. A masked URL (as handed out by the store) keeps the
+   * stored URL.
+   */
+  update(streamName: string, id: string, changes: RestreamTargetInput): RestreamTarget {
+    const target = (this.targets.get(streamName) || []).find((candidate) => candidate.id === id);
+    if (!target) {
+      throw new Error(`Restream target "${id}" not found`);
+    }
+
+    if (changes.url !== undefined && changes.url !== maskTargetUrl(target.url)) {
+      const error = validateTargetUrl(changes.url);
+      if (error) {
+        throw new Error(error);
+      }
+      target.url = changes.url;
+    }
+    if (changes.name !== undefined) {
+      target.name = changes.name || maskTargetUrl(target.url);
+    }
+    if (changes.enabled !== undefined) {
+      target.enabled = changes.enabled;
+    }
+
+    this.save();
+    return this.mask(target);
+  }
+
+  /**
+   * Remove a target from a stream
+   */
+  remove(streamName: string, id: string): boolean {
+    const targets = this.targets.get(streamName) || [];
+    const remaining = targets.filter((target) => target.id !== id);
+    if (remaining.length === targets.length) {
+      return false;
+    }
+
+    if (remaining.length > 0) {
+      this.targets.set(streamName, remaining);
+    } else {
+      this.targets.delete(streamName);
+    }
+    this.save();
+    return true;
+  }
+}
+
+export default Restreamer;
@@ -6,29 +6,81 @@
  * 
  * This is a PUSH model server - it RECEIVES streams from broadcasting
  * software, unlike RTSP which PULLS from IP cameras.
+ *
+ * The HLS output is produced by a dedicated FFmpeg job per stream, which pulls
+ * the stream back from node-media-server: `index.m3u8` is a single rendition
+ * (video copied), the master playlist of an adaptive-bitrate ladder or an
+ * LL-HLS playlist with fMP4 parts.
+ *
+ * With `recordBroadcasts`, node-media-server records each broadcast to FLV
+ * (`live/<key>/<unix ms>.flv`); `recordingDone` reports the file once it is
+ * closed.
+ *
+ * Publishers are authorized against the stream key store
+ * (see {@link module:stream-keys}) and the static `validStreamKeys` list.
+ * Once a stream is live it is relayed to its restream targets
+ * (see {@link module:restreamer}).
+ *
+ * Live telemetry combines the publisher's session (codecs, resolution, bytes
+ * received), the HLS job's FFmpeg output and the HLS segments
+ * (see {@link module:stream-stats}).
+ *
+ * Players load the HLS output from the HTTP server (`/hls/rtmp/<key>/`), which
+ * checks their queue ticket. node-media-server's own HTTP server (HTTP-FLV) is
+ * not started.
  * 
  * @module rtmp-server
  * @example
  * // OBS Studio Configuration:
  * // Server: rtmp://localhost:1935/live
  * // Stream Key: mystreamkey
- * // Output URL: http://localhost:8000/live/mystreamkey/index.m3u8
+ * // Output URL: http://localhost:6969/hls/rtmp/mystreamkey/index.m3u8?ticket=<ticket>
  */
 
 import NodeMediaServer from "node-media-server";
+import type { NodeMediaSession } from "node-media-server";
+import crypto from "crypto";
+import ffmpeg from "fluent-ffmpeg";
+import { EventEmitter } from "events";
+import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { VideoEncoding, probeSource } from "./encoding-profiles.js";
+import { Rendition, buildLadderOptions, getActiveRenditions } from "./hls-ladder.js";
+import { LLHLSPackager } from "./ll-hls.js";
+import { StreamKeyPolicy, authorizePublish, isKeyUsable } from "./stream-keys.js";
+import { Restreamer, RestreamerConfig, RestreamStatus, RestreamTarget } from "./restreamer.js";
+import { AudioInfo, FfmpegStatsParser, HlsOutputProbe, StreamStats, VideoInfo, createEmptyStats } from "./stream-stats.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 export interface RTMPConfig {
   rtmpPort?: number;
-  httpPort?: number;
   ffmpegPath?: string;
+  /** ffprobe binary used to measure the HLS output and probe ladder sources for audio */
+  ffprobePath?: string;
   mediaRoot?: string;
   validateStreamKey?: boolean;
   validStreamKeys?: string[];
+  /** Keys from the stream key store */
+  streamKeys?: StreamKeyPolicy[];
+  /** Only accept signed publish URLs */
+  requireSignedUrls?: boolean;
+  /** Record each broadcast to FLV (live/<streamKey>/*.flv) for publishing as VOD */
+  recordBroadcasts?: boolean;
+  /** Adaptive-bitrate renditions (empty = single rendition, video copied) */
+  renditions?: Rendition[];
+  /** Video codec settings for the ladder */
+  ladderVideo?: VideoEncoding;
+  /** Package streams as LL-HLS (stream copy, fMP4 parts); takes precedence over the ladder */
+  lowLatency?: boolean;
+  /** LL-HLS part duration (s) */
+  partDuration?: number;
+  /** Outbound RTMP/RTMPS targets per stream key */
+  restreamTargets?: Record<string, RestreamTarget[]>;
+  /** Retry behaviour of restream relays */
+  restream?: Omit<RestreamerConfig, "ffmpegPath">;
 }
 
 interface ActiveStream {
@@ -36,29 +88,152 @@ interface ActiveStream {
   app: string;
   name: string;
   id: string;
+  /** Publisher's node-media-server session */
+  session: NodeMediaSession;
+  /** node-media-server's recorder session of the broadcast */
+  recording: NodeMediaSession | null;
+  /** Stored key the stream was published with (null = static or unvalidated key) */
+  publishKey: string | null;
+  /** FFmpeg job producing the HLS output */
+  job: any;
+  jobRetry: NodeJS.Timeout | null;
+  packager: LLHLSPackager | null;
+  /** Whether the publisher sends audio, probed before the ladder is encoded (null = not probed) */
+  hasAudio: boolean | null;
+  /** Telemetry of the HLS job's current FFmpeg process */
+  jobStats: FfmpegStatsParser | null;
+  /** Last sample of the bytes received from the publisher */
+  bytesSample: { bytes: number; at: number } | null;
+  /** Bitrate received from the publisher (kbit/s) */
+  inputBitrate: number | null;
+}
+
+export interface RTMPStreamInfo {
+  streamKey: string;
+  app: string;
+  name: string;
+  startTime: Date;
+  uptime: number;
+  playlistUrl: string;
+  /** Master playlist URL when the stream is encoded as a ladder */
+  masterUrl: string | null;
+  renditions: string[] | null;
+  lowLatency: boolean;
+  /** Stored key the stream was published with */
+  publishKey: string | null;
+  /** Relays to the stream's restream targets */
+  restreams: RestreamStatus[];
+  stats: StreamStats;
+}
+
+const HLS_JOB_RETRY_DELAY = 2000;
+const STATS_SAMPLE_INTERVAL = 2000;
+const LADDER_PROBE_TIMEOUT = 10000;
+
+// FLV codec ids (node-media-server v4 reports ids instead of names)
+const FLV_VIDEO_CODECS: Record<number, string> = { 7: "h264", 12: "hevc", 13: "av1" };
+const FLV_AUDIO_CODECS: Record<number, string> = { 2: "mp3", 10: "aac", 13: "opus" };
+
+/** Lifetime of the node-media-server publish signature handed to approved publishers (s) */
+const PUBLISH_GATE_TTL = 60;
+
+/**
+ * Single string value of a stream name query parameter
+ */
+function queryValue(value: string | string[] | undefined): string | undefined {
+  return typeof value === "string" ? value : undefined;
+}
+
+/**
+ * Drop a node-media-server session. `close()` only ends the socket, so an
+ * RTMP peer could keep sending media; the socket is destroyed as well.
+ */
+function dropSession(session: NodeMediaSession): void {
+  session.close();
+  session.socket?.destroy();
+}
+
+/**
+ * Source video and audio of a publisher's node-media-server session
+ */
+function describePublisher(session: NodeMediaSession): { video: VideoInfo | null; audio: AudioInfo | null } {
+  const videoCodec = FLV_VIDEO_CODECS[session.videoCodec];
+  const audioCodec = FLV_AUDIO_CODECS[session.audioCodec];
+  const fps = session.videoFramerate;
+  return {
+    video: videoCodec
+      ? {
+          codec: String(videoCodec).toLowerCase(),
+          width: session.videoWidth || null,
+          height: session.videoHeight || null,
+          fps: fps || null,
+        }
+      : null,
+    audio: audioCodec
+      ? {
+          codec: String(audioCodec).toLowerCase(),
+          sampleRate: session.audioSamplerate || null,
+          channels: session.audioChannels === 1 ? "mono" : session.audioChannels === 2 ? "stereo" : session.audioChannels ? String(session.audioChannels) : null,
+        }
+      : null,
+  };
 }
 
 /**
  * RTMP Ingest Server
  * Handles OBS/vMix → HLS transcoding for live streaming
+ *
+ * Emits `streamStart` and `streamEnd` with the stream key whenever a
+ * publisher starts or stops broadcasting; `streamEnd` also receives the
+ * finished stream's {@link RTMPStreamInfo}. Once a recorded broadcast's file
+ * is closed, `recordingDone` receives the stream key, its info and the file
+ * path. Rejected publishers are reported as `publishRejected` (stream key,
+ * stored key or null, reason) and relay state changes as `restreamStatus`
+ * (stream key, {@link RestreamStatus}).
  */
-export class RTMPIngestServer {
+export class RTMPIngestServer extends EventEmitter {
   private config: RTMPConfig;
   private nms: NodeMediaServer | null;
   private activeStreams: Map<string, ActiveStream>;
+  private restreamer: Restreamer;
+  /** Secret of node-media-server's publish auth, which only lets approved sessions through */
+  private publishGateSecret: string;
+  private outputProbe: HlsOutputProbe;
+  private statsTimer: NodeJS.Timeout | null;
 
   constructor(config: RTMPConfig) {
+    super();
     this.config = {
       rtmpPort: 1935,
-      httpPort: 8000,
       ffmpegPath: "ffmpeg",
+      ffprobePath: "ffprobe",
       mediaRoot: "./BRANDYFICATION",
       validateStreamKey: false,
       validStreamKeys: [],
-      ...config,
+      streamKeys: [],
+      requireSignedUrls: false,
+      recordBroadcasts: false,
+      renditions: [],
+      ladderVideo: { codec: "libx264", preset: "veryfast" },
+      lowLatency: false,
+      partDuration: 0.333,
+      restreamTargets: {},
+      // Unset environment overrides keep the defaults
+      ...Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined)),
     };
     this.nms = null;
     this.activeStreams = new Map();
+    this.restreamer = new Restreamer({ ...this.config.restream, ffmpegPath: this.config.ffmpegPath });
+    this.restreamer.on("status", (streamKey: string, status: RestreamStatus) => {
+      this.emit("restreamStatus", streamKey, status);
+    });
+    this.publishGateSecret = crypto.randomBytes(32).toString("hex");
+    this.outputProbe = new HlsOutputProbe(this.config.ffprobePath!);
+    this.statsTimer = null;
+
+    if (this.config.ffmpegPath) {
+      (ffmpeg as any).setFfmpegPath(this.config.ffmpegPath);
+    }
   }
 
   /**
@@ -73,89 +248,128 @@ export class RTMPIngestServer {
         ping: 30,
         ping_timeout: 60,
       },
-      http: {
-        port: this.config.httpPort,
-        allow_origin: "*",
-        mediaroot: path.resolve(__dirname, "..", this.config.mediaRoot || "./BRANDYFICATION"),
-      },
-      trans: {
-        ffmpeg: this.config.ffmpegPath,
-        tasks: [
-          {
-            app: "live",
-            hls: true,
-            hlsFlags: "[hls_time=2:hls_list_size=3:hls_flags=delete_segments]",
-            hlsKeep: true,
-            dash: false,
-          },
-        ],
+      // No `http`: node-media-server's HTTP-FLV server would bypass the queue tickets
+      // node-media-server emits prePublish before its own auth check and ignores
+      // a closed session: approved publishers get a signature for this secret,
+      // everyone else fails the check and never reaches recording or the stream
+      auth: {
+        publish: true,
+        secret: this.publishGateSecret,
       },
+      record: this.config.recordBroadcasts ? { path: this.getMediaRoot() } : undefined,
     };
 
     this.nms = new NodeMediaServer(rtmpConfig);
 
-    // Connection events
-    this.nms.on("preConnect", (id: string, args: Record<string, unknown>) => {
-      console.log(`[RTMP] preConnect: id=${id} args=${JSON.stringify(args)}`);
-    });
+    // Publish events (node-media-server v4 passes the session to every event)
+    this.nms.on("prePublish", (session: NodeMediaSession) => {
+      console.log(`[RTMP] prePublish: id=${session.id} streamPath=${session.streamPath}`);
 
-    this.nms.on("postConnect", (id: string, args: Record<string, unknown>) => {
-      console.log(`[RTMP] postConnect: id=${id}`);
-    });
+      const [, app, streamKey] = session.streamPath.split("/");
+      const gateSign = session.streamQuery.sign;
+      // Only a signature issued below may pass node-media-server's check
+      delete session.streamQuery.sign;
 
-    this.nms.on("doneConnect", (id: string, args: Record<string, unknown>) => {
-      console.log(`[RTMP] doneConnect: id=${id}`);
-    });
+      const reject = (publishKey: string | null, reason: string) => {
+        console.log(`[RTMP] Rejected publish of ${streamKey}: ${reason}`);
+        dropSession(session);
+        this.emit("publishRejected", streamKey, publishKey, reason);
+      };
+
+      if (this.activeStreams.has(streamKey)) {
+        reject(this.activeStreams.get(streamKey)!.publishKey, "Stream is already live");
+        return;
+      }
 
-    // Publish events
-    this.nms.on("prePublish", (id: string, StreamPath: string, args: Record<string, unknown>) => {
-      console.log(`[RTMP] prePublish: id=${id} StreamPath=${StreamPath}`);
-
-      const parts = StreamPath.split("/");
-      const app = parts[1];
-      const streamKey = parts[2];
-
-      // Validate stream key if enabled
-      if (this.config.validateStreamKey) {
-        const validKeys = this.config.validStreamKeys || [];
-        if (validKeys.length > 0 && !validKeys.includes(streamKey)) {
-          console.log(`[RTMP] Rejected invalid stream key: ${streamKey}`);
-          const session = (this.nms as any).getSession(id);
-          session.reject();
-          return;
+      const decision = authorizePublish(
+        {
+          streamName: streamKey,
+          key: queryValue(session.streamQuery.key),
+          sign: queryValue(gateSign),
+        },
+        {
+          keys: this.config.streamKeys || [],
+          validateStreamKey: !!this.config.validateStreamKey,
+          staticKeys: this.config.validStreamKeys || [],
+          requireSigned: !!this.config.requireSignedUrls,
+          activeCount: (key) => Array.from(this.activeStreams.values()).filter((stream) => stream.publishKey === key).length,
         }
+      );
+      if (!decision.allowed) {
+        reject(decision.publishKey, decision.reason);
+        return;
       }
+      session.streamQuery.sign = this.signGate(session.streamPath);
 
       // Track active stream
       this.activeStreams.set(streamKey, {
         startTime: new Date(),
         app: app,
-        name: (args as any).name || streamKey,
-        id: id,
+        name: streamKey,
+        id: session.id,
+        session,
+        recording: null,
+        publishKey: decision.publishKey,
+        job: null,
+        jobRetry: null,
+        packager: null,
+        hasAudio: null,
+        jobStats: null,
+        bytesSample: null,
+        inputBitrate: null,
       });
 
       console.log(`✅ Stream started: ${streamKey} (app: ${app})`);
+      this.emit("streamStart", streamKey);
     });
 
-    this.nms.on("postPublish", (id: string, StreamPath: string, args: Record<string, unknown>) => {
-      console.log(`[RTMP] postPublish: id=${id} StreamPath=${StreamPath}`);
+    this.nms.on("postPublish", (session: NodeMediaSession) => {
+      console.log(`[RTMP] postPublish: id=${session.id} streamPath=${session.streamPath}`);
+
+      const streamKey = session.streamPath.split("/")[2];
+      if (this.activeStreams.get(streamKey)?.id !== session.id) return;
+
+      this.startHlsJob(streamKey);
+      this.restreamer.startStream(streamKey, this.getLocalUrl(streamKey), this.config.restreamTargets![streamKey] || []);
     });
 
-    this.nms.on("donePublish", (id: string, StreamPath: string, args: Record<string, unknown>) => {
-      console.log(`[RTMP] donePublish: id=${id} StreamPath=${StreamPath}`);
+    this.nms.on("donePublish", (session: NodeMediaSession) => {
+      console.log(`[RTMP] donePublish: id=${session.id} streamPath=${session.streamPath}`);
+
+      const streamKey = session.streamPath.split("/")[2];
+      const active = this.activeStreams.get(streamKey);
+      if (!active || active.id !== session.id) return;
 
-      const parts = StreamPath.split("/");
-      const streamKey = parts[2];
+      const stream = this.getActiveStreams().find((info) => info.streamKey === streamKey);
+      this.stopHlsJob(active);
+      this.restreamer.stopStream(streamKey);
       this.activeStreams.delete(streamKey);
+      this.outputProbe.forget(streamKey);
       console.log(`⏹️ Stream ended: ${streamKey}`);
+      this.emit("streamEnd", streamKey, stream);
+
+      // node-media-server closes the recording right after this event
+      const fileStream = active.recording?.fileStream;
+      if (fileStream) {
+        const filePath = active.recording!.filePath;
+        const done = () => this.emit("recordingDone", streamKey, stream, filePath);
+        if (fileStream.closed) done();
+        else fileStream.once("close", done);
+      }
+    });
+
+    // Emitted while the broadcast's postPublish is handled
+    this.nms.on("postRecord", (recording: NodeMediaSession) => {
+      const active = this.activeStreams.get(recording.streamPath.split("/")[2]);
+      if (active) active.recording = recording;
     });
 
     this.nms.run();
+    this.statsTimer = setInterval(() => this.sampleInputBitrates(), STATS_SAMPLE_INTERVAL);
 
     console.log(`📡 RTMP Ingest Server running on port ${this.config.rtmpPort}`);
-    console.log(`🌐 HLS HTTP Server running on port ${this.config.httpPort}`);
     console.log(`📺 Stream to: rtmp://localhost:${this.config.rtmpPort}/live/{YOUR_STREAM_KEY}`);
-    console.log(`🎬 Watch HLS at: http://localhost:${this.config.httpPort}/live/{YOUR_STREAM_KEY}/index.m3u8`);
+    console.log(`🎬 Watch HLS at: ${this.getPlaylistUrl("{YOUR_STREAM_KEY}")}`);
   }
 
   /**
@@ -163,29 +377,325 @@ export class RTMPIngestServer {
    */
   stop(): void {
     if (this.nms) {
-      this.nms.stop();
+      for (const stream of this.activeStreams.values()) {
+        this.stopHlsJob(stream);
+        dropSession(stream.session);
+      }
+      this.restreamer.stopAll();
+      if (this.statsTimer) {
+        clearInterval(this.statsTimer);
+        this.statsTimer = null;
+      }
+      // node-media-server v4 has no stop(); close its listeners directly
+      this.nms.rtmpServer.tcpServer?.close();
+      this.nms = null;
+      this.activeStreams.clear();
       console.log("🛑 RTMP Ingest Server stopped");
     }
   }
 
+  /**
+   * Drop the publisher of a stream so its encoder reconnects
+   */
+  disconnectStream(streamKey: string): boolean {
+    const stream = this.activeStreams.get(streamKey);
+    if (!stream || !this.nms) {
+      return false;
+    }
+
+    console.log(`🔌 Disconnecting publisher of ${streamKey}`);
+    dropSession(stream.session);
+    return true;
+  }
+
+  /**
+   * Kill the HLS job of a stream; it is started again like a job that
+   * crashed, while the publisher stays connected
+   */
+  restartHlsJob(streamKey: string): boolean {
+    const stream = this.activeStreams.get(streamKey);
+    if (!stream?.job) {
+      return false;
+    }
+
+    console.log(`🔁 Restarting HLS job of ${streamKey}`);
+    (stream.job as any).kill("SIGKILL");
+    return true;
+  }
+
+  /**
+   * Replace the stored stream keys; streams published with a key that has
+   * been deleted, disabled or has expired are disconnected
+   */
+  setStreamKeys(keys: StreamKeyPolicy[]): void {
+    this.config.streamKeys = keys;
+
+    for (const [streamKey, stream] of this.activeStreams.entries()) {
+      if (stream.publishKey && !isKeyUsable(keys.find((key) => key.key === stream.publishKey))) {
+        console.log(`🔑 Stream key of ${streamKey} revoked`);
+        this.disconnectStream(streamKey);
+      }
+    }
+  }
+
+  /**
+   * Replace the restream targets; live streams pick up the changes at once
+   */
+  setRestreamTargets(targets: Record<string, RestreamTarget[]>): void {
+    this.config.restreamTargets = targets;
+
+    for (const streamKey of this.activeStreams.keys()) {
+      this.restreamer.setTargets(streamKey, targets[streamKey] || []);
+    }
+  }
+
+  /**
+   * Start or stop one restream relay of a live stream
+   */
+  controlRestream(streamKey: string, targetId: string, action: "start" | "stop"): boolean {
+    return action === "start"
+      ? this.restreamer.startTarget(streamKey, targetId)
+      : this.restreamer.stopTarget(streamKey, targetId);
+  }
+
+  /**
+   * Get the HLS playlist path written for a stream
+   */
+  getPlaylistPath(streamKey: string): string {
+    return path.join(this.getMediaRoot(), "live", streamKey, "index.m3u8");
+  }
+
+  /**
+   * Get the HLS playlist URL of a stream (served by the HTTP server)
+   */
+  getPlaylistUrl(streamKey: string): string {
+    return `/hls/rtmp/${streamKey}/index.m3u8`;
+  }
+
+  private hasLadder(): boolean {
+    return !this.config.lowLatency && (this.config.renditions?.length || 0) > 0;
+  }
+
+  /**
+   * Produce the HLS output of a published stream (single rendition, ladder or
+   * LL-HLS), pulling it back from the local RTMP server. The job is retried
+   * while the stream is live.
+   */
+  private startHlsJob(streamKey: string): void {
+    const stream = this.activeStreams.get(streamKey);
+    if (!stream || stream.job) return;
+
+    if (this.hasLadder() && stream.hasAudio === null) {
+      this.probeLadderAudio(streamKey, stream);
+      return;
+    }
+
+    const outputDir = path.dirname(this.getPlaylistPath(streamKey));
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const command = ffmpeg(this.getLocalUrl(streamKey));
+
+    if (this.config.lowLatency) {
+      if (!stream.packager) {
+        stream.packager = new LLHLSPackager({
+          outputDir,
+          baseName: "index",
+          segmentDuration: 2,
+          partDuration: this.config.partDuration!,
+          listSize: 6,
+        });
+        stream.packager.on("error", (error: Error) => {
+          console.error(`❌ LL-HLS packaging error for ${streamKey}:`, error.message);
+        });
+      }
+
+      // Stream copy: segments follow the encoder's keyframe interval
+      command
+        .outputOptions(
+          "-map", "0:v:0",
+          "-map", "0:a:0?",
+          "-c", "copy",
+          "-f", "mp4",
+          "-movflags", "frag_keyframe+empty_moov+default_base_moof",
+          "-frag_duration", String(Math.round(this.config.partDuration! * 1000000)),
+          "-flush_packets", "1"
+        )
+        .output(stream.packager.createInput());
+      console.log(`⚡ Packaging ${streamKey} as LL-HLS`);
+    } else if (!this.hasLadder()) {
+      command
+        .outputOptions(
+          "-map", "0:v:0",
+          "-map", "0:a:0?",
+          "-c:v", "copy",
+          "-c:a", "aac",
+          "-f", "hls",
+          "-hls_time", "2",
+          "-hls_list_size", "3",
+          "-hls_flags", "delete_segments",
+          "-hls_segment_filename", path.join(outputDir, "index_%03d.ts")
+        )
+        .output(this.getPlaylistPath(streamKey));
+      console.log(`📺 Packaging ${streamKey} as HLS`);
+    } else {
+      // Separate arguments keep fluent-ffmpeg from splitting -var_stream_map at its spaces
+      command
+        .outputOptions(
+          ...buildLadderOptions({
+            renditions: this.config.renditions!,
+            video: this.config.ladderVideo!,
+            audio: stream.hasAudio ? { codec: "aac", channels: "2", sampleRate: "44100" } : null,
+            segmentSeconds: 2,
+            masterName: "index.m3u8",
+          }),
+          "-f", "hls",
+          "-hls_time", "2",
+          "-hls_list_size", "3",
+          "-hls_flags", "delete_segments",
+          "-hls_segment_filename", path.join(outputDir, "index_%v_%03d.ts")
+        )
+        .output(path.join(outputDir, "index_%v.m3u8"));
+      const renditions = getActiveRenditions(this.config.renditions!, stream.hasAudio!);
+      console.log(`🪜 Encoding ${streamKey} into ${renditions.map((rendition) => rendition.name).join("/")}`);
+    }
+
+    const jobStats = new FfmpegStatsParser();
+    stream.jobStats = jobStats;
+    command
+      .on("stderr", (line: string) => {
+        if (stream.job === command) jobStats.feed(line);
+      })
+      .on("error", (err) => this.handleHlsJobExit(streamKey, command, err.message))
+      .on("end", () => this.handleHlsJobExit(streamKey, command, "Input ended"));
+
+    stream.job = command;
+    command.run();
+  }
+
+  /**
+   * Find out whether a publisher sends audio before its ladder is encoded:
+   * mapping a missing audio track fails the whole ladder. Streams that can't
+   * be probed are assumed to have audio.
+   */
+  private probeLadderAudio(streamKey: string, stream: ActiveStream): void {
+    probeSource(this.config.ffprobePath!, this.getLocalUrl(streamKey), LADDER_PROBE_TIMEOUT)
+      .then((probe) => probe.audioCodec !== null)
+      .catch((error) => {
+        console.warn(`⚠️ Could not probe ${streamKey} for audio (${String(error.message).trim().split("\n").pop()})`);
+        return true;
+      })
+      .then((hasAudio) => {
+        // The stream may have ended while probing
+        if (this.activeStreams.get(streamKey) !== stream) return;
+        stream.hasAudio = hasAudio;
+        this.startHlsJob(streamKey);
+      });
+  }
+
+  private handleHlsJobExit(streamKey: string, command: unknown, reason: string): void {
+    const stream = this.activeStreams.get(streamKey);
+    if (!stream || stream.job !== command) return;
+
+    console.error(`❌ HLS job for ${streamKey} stopped: ${reason.trim().split("\n").pop()}`);
+    stream.job = null;
+    stream.jobStats = null;
+    stream.jobRetry = setTimeout(() => {
+      stream.jobRetry = null;
+      this.startHlsJob(streamKey);
+    }, HLS_JOB_RETRY_DELAY);
+  }
+
+  private stopHlsJob(stream: ActiveStream): void {
+    if (stream.jobRetry) {
+      clearTimeout(stream.jobRetry);
+      stream.jobRetry = null;
+    }
+    const command = stream.job;
+    stream.job = null;
+    stream.jobStats = null;
+    if (command) {
+      (command as any).kill("SIGKILL");
+    }
+    stream.packager?.close();
+    stream.packager = null;
+  }
+
+  /**
+   * Update each stream's input bitrate from the bytes its publisher sent
+   * since the previous sample
+   */
+  private sampleInputBitrates(): void {
+    const now = Date.now();
+    for (const stream of this.activeStreams.values()) {
+      const { inBytes } = stream.session;
+      const previous = stream.bytesSample;
+      stream.bytesSample = { bytes: inBytes, at: now };
+      if (previous && now > previous.at) {
+        stream.inputBitrate = Math.round(((inBytes - previous.bytes) * 8) / (now - previous.at));
+      }
+    }
+  }
+
+  /**
+   * Telemetry of a live stream
+   */
+  private getStreamStats(streamKey: string, stream: ActiveStream): StreamStats {
+    const stats = stream.jobStats ? stream.jobStats.getStats() : createEmptyStats();
+    const publisher = describePublisher(stream.session);
+    const output = this.outputProbe.get(streamKey, this.getPlaylistPath(streamKey));
+
+    return {
+      ...stats,
+      // The HLS job reads the stream back from the local server, so its input is the publisher's stream
+      video: publisher.video || stats.video,
+      audio: publisher.audio || stats.audio,
+      fps: stats.fps ?? publisher.video?.fps ?? null,
+      inputBitrate: stream.inputBitrate,
+      outputBitrate: output?.bitrate ?? null,
+      keyframeInterval: output?.keyframeInterval ?? null,
+      updatedAt: new Date(),
+    };
+  }
+
+  /**
+   * Signature node-media-server's publish auth accepts for a stream path
+   */
+  private signGate(streamPath: string): string {
+    const expires = Math.floor(Date.now() / 1000) + PUBLISH_GATE_TTL;
+    const hash = crypto.createHash("md5").update(`${streamPath}-${expires}-${this.publishGateSecret}`).digest("hex");
+    return `${expires}-${hash}`;
+  }
+
+  /**
+   * URL FFmpeg jobs pull a published stream back from
+   */
+  private getLocalUrl(streamKey: string): string {
+    return `rtmp://127.0.0.1:${this.config.rtmpPort}/live/${streamKey}`;
+  }
+
+  private getMediaRoot(): string {
+    return path.resolve(__dirname, "..", this.config.mediaRoot || "./BRANDYFICATION");
+  }
+
   /**
    * Get list of active streams
    */
-  getActiveStreams(): {
-    streamKey: string;
-    app: string;
-    name: string;
-    startTime: Date;
-    uptime: number;
-    playlistUrl: string;
-  }[] {
+  getActiveStreams(): RTMPStreamInfo[] {
     return Array.from(this.activeStreams.entries()).map(([key, data]) => ({
       streamKey: key,
       app: data.app,
       name: data.name,
       startTime: data.startTime,
       uptime: Math.floor((Date.now() - data.startTime.getTime()) / 1000),
-      playlistUrl: `/live/${key}/index.m3u8`,
+      playlistUrl: this.getPlaylistUrl(key),
+      masterUrl: this.hasLadder() ? this.getPlaylistUrl(key) : null,
+      renditions: this.hasLadder()
+        ? getActiveRenditions(this.config.renditions!, data.hasAudio !== false).map((rendition) => rendition.name)
+        : null,
+      lowLatency: !!this.config.lowLatency,
+      publishKey: data.publishKey,
+      restreams: this.restreamer.getStatus(key),
+      stats: this.getStreamStats(key, data),
     }));
   }
 
@@ -195,7 +705,7 @@ export class RTMPIngestServer {
   getStreamUrl(streamKey: string): { rtmp: string; hls: string } {
     return {
       rtmp: `rtmp://localhost:${this.config.rtmpPort || 1935}/live/${streamKey}`,
-      hls: `http://localhost:${this.config.httpPort || 8000}/live/${streamKey}/index.m3u8`,
+      hls: this.getPlaylistUrl(streamKey),
     };
   }
 }
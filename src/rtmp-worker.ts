@@ -0,0 +1,181 @@
+/**
+ * RTMP Ingest Worker
+ *
+ * Runs the RTMP ingest server (node-media-server and its FFmpeg transcodes)
+ * inside a dedicated worker thread, so that media handling never shares an
+ * event loop with the HTTP API.
+ *
+ * The main thread drives the worker with {@link RTMPWorkerCommand} messages
+ * and receives {@link RTMPWorkerEvent} messages back.
+ *
+ * @module rtmp-worker
+ */
+
+import { parentPort, isMainThread } from "worker_threads";
+import { RTMPIngestServer, RTMPConfig, RTMPStreamInfo } from "./rtmp-server.js";
+import { BroadcastArchiver, ArchiveConfig, BroadcastRecord } from "./broadcast-archiver.js";
+import type { StreamKeyPolicy } from "./stream-keys.js";
+import type { RestreamStatus, RestreamTarget } from "./restreamer.js";
+
+export type RTMPWorkerState = "starting" | "running" | "stopping" | "stopped" | "restarting" | "error";
+
+/**
+ * Messages sent from the main thread to the worker
+ */
+export type RTMPWorkerCommand =
+  | { type: "start"; config: RTMPConfig; archive?: ArchiveConfig }
+  | { type: "stop" }
+  | { type: "list-streams"; requestId: number }
+  | { type: "state"; requestId: number }
+  | { type: "restart-hls"; streamKey: string }
+  | { type: "stream-keys"; keys: StreamKeyPolicy[] }
+  | { type: "restream-targets"; targets: Record<string, RestreamTarget[]> }
+  | { type: "restream-control"; streamKey: string; targetId: string; action: "start" | "stop" };
+
+/**
+ * Messages sent from the worker to the main thread
+ */
+export type RTMPWorkerEvent =
+  | { type: "state"; state: RTMPWorkerState; activeStreams: number; error?: string; requestId?: number }
+  | { type: "streams"; streams: RTMPStreamInfo[]; requestId?: number }
+  | { type: "stream-start"; streamKey: string; playlistPath: string; publishKey: string | null }
+  | { type: "stream-end"; streamKey: string; publishKey: string | null; startTime: Date }
+  | { type: "publish-rejected"; streamKey: string; publishKey: string | null; reason: string }
+  | { type: "restream-status"; streamKey: string; status: RestreamStatus }
+  | { type: "broadcast-archived"; record: BroadcastRecord };
+
+let server: RTMPIngestServer | null = null;
+let archiver: BroadcastArchiver | null = null;
+let state: RTMPWorkerState = "stopped";
+let lastError: string | undefined;
+
+function send(event: RTMPWorkerEvent): void {
+  parentPort!.postMessage(event);
+}
+
+function sendState(requestId?: number): void {
+  send({
+    type: "state",
+    state,
+    activeStreams: server ? server.getActiveStreams().length : 0,
+    error: lastError,
+    requestId,
+  });
+}
+
+function sendStreams(requestId?: number): void {
+  send({ type: "streams", streams: server ? server.getActiveStreams() : [], requestId });
+}
+
+function setState(next: RTMPWorkerState, error?: string): void {
+  state = next;
+  lastError = error;
+  sendState();
+}
+
+function startServer(config: RTMPConfig, archive?: ArchiveConfig): void {
+  if (server) {
+    sendState();
+    return;
+  }
+
+  setState("starting");
+
+  try {
+    server = new RTMPIngestServer(config);
+    archiver = archive ? new BroadcastArchiver(archive) : null;
+
+    server.on("streamStart", (streamKey: string) => {
+      const stream = server!.getActiveStreams().find((active) => active.streamKey === streamKey);
+      send({
+        type: "stream-start",
+        streamKey,
+        playlistPath: server!.getPlaylistPath(streamKey),
+        publishKey: stream?.publishKey || null,
+      });
+      sendStreams();
+      sendState();
+    });
+
+    server.on("streamEnd", (streamKey: string, stream: RTMPStreamInfo) => {
+      send({ type: "stream-end", streamKey, publishKey: stream.publishKey, startTime: stream.startTime });
+      sendStreams();
+      sendState();
+    });
+
+    // Archive once node-media-server has closed the recording
+    server.on("recordingDone", (streamKey: string, stream: RTMPStreamInfo, filePath: string) => {
+      archiver?.archive(filePath, streamKey, stream.name, stream.startTime, new Date())
+        .then((record) => {
+          if (record) send({ type: "broadcast-archived", record });
+        })
+        .catch((error) => {
+          console.error(`❌ Failed to archive broadcast ${streamKey}:`, error instanceof Error ? error.message : error);
+        });
+    });
+
+    server.on("publishRejected", (streamKey: string, publishKey: string | null, reason: string) => {
+      send({ type: "publish-rejected", streamKey, publishKey, reason });
+    });
+
+    server.on("restreamStatus", (streamKey: string, status: RestreamStatus) => {
+      send({ type: "restream-status", streamKey, status });
+    });
+
+    server.start();
+    setState("running");
+  } catch (error) {
+    server = null;
+    setState("error", error instanceof Error ? error.message : String(error));
+  }
+}
+
+function stopServer(): void {
+  if (!server) {
+    setState("stopped");
+    return;
+  }
+
+  setState("stopping");
+  server.stop();
+  server = null;
+  setState("stopped");
+}
+
+if (!isMainThread && parentPort) {
+  parentPort.on("message", (command: RTMPWorkerCommand) => {
+    switch (command.type) {
+      case "start":
+        startServer(command.config, command.archive);
+        break;
+      case "stop":
+        stopServer();
+        break;
+      case "list-streams":
+        sendStreams(command.requestId);
+        break;
+      case "state":
+        sendState(command.requestId);
+        break;
+      case "restart-hls":
+        server?.restartHlsJob(command.streamKey);
+        break;
+      case "stream-keys":
+        server?.setStreamKeys(command.keys);
+        break;
+      case "restream-targets":
+        server?.setRestreamTargets(command.targets);
+        break;
+      case "restream-control":
+        server?.controlRestream(command.streamKey, command.targetId, command.action);
+        break;
+    }
+  });
+
+  // Surface crashes to the main thread before the worker exits
+  process.on("uncaughtException", (error) => {
+    console.error("[RTMP worker] Uncaught exception:", error);
+    setState("error", error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,456 @@
+/**
+ * Snapshot Manager
+ *
+ * Grabs still frames from live sources (RTSP cameras and active RTMP
+ * broadcasts) into `IMAGES/snapshots/<source>/`, so they show up in the image
+ * gallery next to uploaded images.
+ *
+ * Cameras can additionally run a timelapse job that captures a JPEG frame at
+ * a fixed interval (optionally limited to cron-like schedules, see
+ * {@link module:cron}) into `IMAGES/snapshots/<camera>/timelapse/`. The frames
+ * can be assembled into an H.264 MP4 in `VIDEOS/`.
+ *
+ * @module snapshot-manager
+ */
+
+import ffmpeg from "fluent-ffmpeg";
+import fs from "fs";
+import path from "path";
+import { cronMatches, validateCron } from "./cron.js";
+
+export type SnapshotFormat = "jpg" | "webp";
+
+export interface TimelapseSettings {
+  enabled: boolean;
+  /** Seconds between two frames */
+  intervalSeconds: number;
+  /** Cron expressions during which to capture (empty = always) */
+  schedule?: string[];
+  /** Keep at most this many frames; the oldest are deleted first */
+  maxFrames?: number;
+}
+
+export interface SnapshotConfig {
+  ffmpegPath?: string;
+  /** Root directory for snapshots (`IMAGES/snapshots`) */
+  snapshotsDir: string;
+  /** Directory assembled timelapse videos are written to */
+  videosDir: string;
+  /** Give up on a frame grab after this long (ms) */
+  captureTimeout?: number;
+  debug?: boolean;
+}
+
+export interface SnapshotInfo {
+  source: string;
+  filename: string;
+  /** Path relative to the IMAGES directory */
+  relativePath: string;
+  size: number;
+  capturedAt: string;
+}
+
+export interface TimelapseVideo {
+  camera: string;
+  filename: string;
+  frames: number;
+  fps: number;
+  size: number;
+}
+
+export interface AssembleOptions {
+  /** Output frame rate (default: 24) */
+  fps?: number;
+  /** Only use frames captured at or after this time */
+  from?: Date;
+  /** Only use frames captured at or before this time */
+  to?: Date;
+}
+
+interface TimelapseJob {
+  name: string;
+  sourceUrl: string;
+  settings: TimelapseSettings;
+  timer: NodeJS.Timeout | null;
+  capturing: boolean;
+  lastCaptureAt: Date | null;
+  lastError: string | null;
+}
+
+export const SNAPSHOT_FORMATS: SnapshotFormat[] = ["jpg", "webp"];
+
+const SOURCE_NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+const FRAME_NAME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})_(\d{2})-(\d{2})-(\d{2})-(\d{3})\.(jpg|webp)$/;
+const TIMELAPSE_DIR = "timelapse";
+
+/**
+ * Validate timelapse settings, returning an error message or null
+ */
+export function validateTimelapseSettings(settings: TimelapseSettings): string | null {
+  if (!(settings.intervalSeconds >= 1)) {
+    return "intervalSeconds must be at least 1";
+  }
+  for (const expression of settings.schedule || []) {
+    const error = validateCron(expression);
+    if (error) return error;
+  }
+  if (settings.maxFrames !== undefined && !(Number.isInteger(settings.maxFrames) && settings.maxFrames > 0)) {
+    return "maxFrames must be a positive integer";
+  }
+  return null;
+}
+
+function formatTimestamp(date: Date): string {
+  const pad = (value: number, length = 2) => String(value).padStart(length, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}_${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}-${pad(date.getMilliseconds(), 3)}`;
+}
+
+function parseFrameTime(filename: string): Date | null {
+  const match = filename.match(FRAME_NAME_PATTERN);
+  if (!match) return null;
+  return new Date(+match[1], +match[2] - 1, +match[3], +match[4], +match[5], +match[6], +match[7]);
+}
+
+/**
+ * Snapshot Manager
+ * Handles frame grabs, timelapse jobs and timelapse assembly
+ */
+export class SnapshotManager {
+  private config: SnapshotConfig;
+  private jobs: Map<string, TimelapseJob>;
+  private running: boolean;
+
+  constructor(config: SnapshotConfig) {
+    this.config = {
+      captureTimeout: 15000,
+      debug: false,
+      ...config,
+    };
+    this.jobs = new Map();
+    this.running = false;
+
+    if (this.config.ffmpegPath) {
+      (ffmpeg as any).setFfmpegPath(this.config.ffmpegPath);
+    }
+  }
+
+  /**
+   * Start the timelapse jobs
+   */
+  start(): void {
+    if (this.running) return;
+    this.running = true;
+
+    for (const cameraId of this.jobs.keys()) {
+      this.scheduleJob(cameraId);
+    }
+  }
+
+  /**
+   * Stop all timelapse jobs
+   */
+  stop(): void {
+    this.running = false;
+    for (const job of this.jobs.values()) {
+      if (job.timer) clearInterval(job.timer);
+      job.timer = null;
+    }
+  }
+
+  /**
+   * Register or update a camera's timelapse settings (null removes it)
+   */
+  configure(cameraId: string, name: string, sourceUrl: string, settings: TimelapseSettings | null): void {
+    const existing = this.jobs.get(cameraId);
+    if (existing?.timer) clearInterval(existing.timer);
+
+    if (!settings || !settings.enabled) {
+      this.jobs.delete(cameraId);
+      return;
+    }
+
+    this.jobs.set(cameraId, {
+      name,
+      sourceUrl,
+      settings,
+      timer: null,
+      capturing: existing?.capturing || false,
+      lastCaptureAt: existing?.lastCaptureAt || null,
+      lastError: null,
+    });
+
+    if (this.running) {
+      this.scheduleJob(cameraId);
+    }
+  }
+
+  /**
+   * Stop a camera's timelapse job and forget its settings (frames are kept)
+   */
+  remove(cameraId: string): void {
+    this.configure(cameraId, "", "", null);
+  }
+
+  private scheduleJob(cameraId: string): void {
+    const job = this.jobs.get(cameraId)!;
+    job.timer = setInterval(() => this.captureTimelapseFrame(cameraId), job.settings.intervalSeconds * 1000);
+    job.timer.unref();
+  }
+
+  private isScheduled(settings: TimelapseSettings, date: Date = new Date()): boolean {
+    const schedule = settings.schedule || [];
+    return schedule.length === 0 || schedule.some((expression) => cronMatches(expression, date));
+  }
+
+  private async captureTimelapseFrame(cameraId: string): Promise<void> {
+    const job = this.jobs.get(cameraId);
+    // Skip ticks while the previous grab is still running (slow or unreachable source)
+    if (!job || job.capturing || !this.isScheduled(job.settings)) return;
+
+    job.capturing = true;
+    try {
+      await this.grabFrame(job.sourceUrl, this.getTimelapseDir(cameraId), "jpg");
+      job.lastCaptureAt = new Date();
+      job.lastError = null;
+      this.pruneTimelapse(cameraId, job.settings);
+    } catch (error) {
+      job.lastError = error instanceof Error ? error.message : String(error);
+      console.error(`❌ Timelapse frame for ${cameraId} failed: ${job.lastError}`);
+    } finally {
+      job.capturing = false;
+    }
+  }
+
+  private getSourceDir(source: string): string {
+    return path.join(this.config.snapshotsDir, source);
+  }
+
+  private getTimelapseDir(cameraId: string): string {
+    return path.join(this.getSourceDir(cameraId), TIMELAPSE_DIR);
+  }
+
+  /**
+   * Grab a single frame from a live source into `snapshots/<source>/`
+   */
+  async capture(source: string, sourceUrl: string, format: SnapshotFormat = "jpg"): Promise<SnapshotInfo> {
+    if (!SOURCE_NAME_PATTERN.test(source)) {
+      throw new Error(`Invalid snapshot source "${source}"`);
+    }
+    if (!SNAPSHOT_FORMATS.includes(format)) {
+      throw new Error(`Unsupported snapshot format "${format}" (use ${SNAPSHOT_FORMATS.join(", ")})`);
+    }
+
+    const filePath = await this.grabFrame(sourceUrl, this.getSourceDir(source), format);
+    const filename = path.basename(filePath);
+    console.log(`📸 Snapshot captured: ${source}/${filename}`);
+
+    return {
+      source,
+      filename,
+      relativePath: `snapshots/${source}/${filename}`,
+      size: fs.statSync(filePath).size,
+      capturedAt: parseFrameTime(filename)!.toISOString(),
+    };
+  }
+
+  private grabFrame(sourceUrl: string, outputDir: string, format: SnapshotFormat): Promise<string> {
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const filename = `${formatTimestamp(new Date())}.${format}`;
+    const filePath = path.join(outputDir, filename);
+    // Written under a dot name first so listings never see a half-written image
+    const tmpPath = path.join(outputDir, `.${filename}`);
+
+    const inputOptions = sourceUrl.startsWith("rtsp://") ? ["-rtsp_transport", "tcp"] : [];
+    const outputOptions = format === "webp"
+      ? ["-frames:v", "1", "-c:v", "libwebp", "-quality", "85", "-f", "webp"]
+      : ["-frames:v", "1", "-q:v", "2", "-f", "image2", "-update", "1"];
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const finish = (error: Error | null) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+
+        if (error || !fs.existsSync(tmpPath)) {
+          fs.rmSync(tmpPath, { force: true });
+          reject(error || new Error("No frame received from source"));
+          return;
+        }
+        fs.renameSync(tmpPath, filePath);
+        resolve(filePath);
+      };
+
+      const command = ffmpeg(sourceUrl)
+        .inputOptions(inputOptions)
+        .outputOptions(outputOptions)
+        .output(tmpPath)
+        .on("start", (commandLine) => {
+          if (this.config.debug) {
+            console.log(`🔧 FFmpeg command: ${commandLine}`);
+          }
+        })
+        .on("error", (err) => finish(new Error(err.message.trim().split("\n").pop())))
+        .on("end", () => finish(null));
+
+      const timer = setTimeout(() => {
+        (command as any).kill("SIGKILL");
+        finish(new Error("Timed out waiting for a frame"));
+      }, this.config.captureTimeout);
+
+      command.run();
+    });
+  }
+
+  /**
+   * List snapshots, optionally for a single source (newest first). Timelapse
+   * frames are included with `timelapse` set.
+   */
+  listSnapshots(source?: string): (SnapshotInfo & { timelapse: boolean })[] {
+    const snapshots: (SnapshotInfo & { timelapse: boolean })[] = [];
+    const sources = source ? [source] : this.listSources();
+
+    for (const id of sources) {
+      for (const timelapse of [false, true]) {
+        const dir = timelapse ? this.getTimelapseDir(id) : this.getSourceDir(id);
+        if (!fs.existsSync(dir)) continue;
+
+        for (const file of fs.readdirSync(dir)) {
+          const capturedAt = parseFrameTime(file);
+          if (!capturedAt) continue;
+
+          try {
+            snapshots.push({
+              source: id,
+              filename: file,
+              relativePath: `snapshots/${id}/${timelapse ? `${TIMELAPSE_DIR}/` : ""}${file}`,
+              size: fs.statSync(path.join(dir, file)).size,
+              capturedAt: capturedAt.toISOString(),
+              timelapse,
+            });
+          } catch {
+            // File disappeared between readdir and stat
+          }
+        }
+      }
+    }
+
+    return snapshots.sort((a, b) => b.capturedAt.localeCompare(a.capturedAt));
+  }
+
+  private listSources(): string[] {
+    if (!fs.existsSync(this.config.snapshotsDir)) return [];
+    return fs.readdirSync(this.config.snapshotsDir, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory() && SOURCE_NAME_PATTERN.test(entry.name))
+      .map((entry) => entry.name);
+  }
+
+  private listTimelapseFrames(cameraId: string): string[] {
+    const dir = this.getTimelapseDir(cameraId);
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).filter((file) => FRAME_NAME_PATTERN.test(file)).sort();
+  }
+
+  private pruneTimelapse(cameraId: string, settings: TimelapseSettings): void {
+    if (!settings.maxFrames) return;
+
+    const frames = this.listTimelapseFrames(cameraId);
+    for (const file of frames.slice(0, Math.max(0, frames.length - settings.maxFrames))) {
+      fs.rmSync(path.join(this.getTimelapseDir(cameraId), file), { force: true });
+    }
+  }
+
+  /**
+   * Assemble a camera's timelapse frames into an MP4 in the videos directory
+   */
+  async assembleTimelapse(cameraId: string, options: AssembleOptions = {}): Promise<TimelapseVideo> {
+    if (!SOURCE_NAME_PATTERN.test(cameraId)) {
+      throw new Error(`Invalid camera id "${cameraId}"`);
+    }
+
+    const fps = options.fps || 24;
+    if (!(fps > 0 && fps <= 120)) {
+      throw new Error("fps must be between 1 and 120");
+    }
+
+    const frames = this.listTimelapseFrames(cameraId).filter((file) => {
+      const capturedAt = parseFrameTime(file)!.getTime();
+      return (!options.from || capturedAt >= options.from.getTime()) && (!options.to || capturedAt <= options.to.getTime());
+    });
+    if (frames.length === 0) {
+      throw new Error(`No timelapse frames for camera "${cameraId}" in the requested range`);
+    }
+
+    const timelapseDir = this.getTimelapseDir(cameraId);
+    const firstFrame = path.basename(frames[0], path.extname(frames[0]));
+    const filename = `timelapse_${cameraId}_${firstFrame}.mp4`;
+    const videoPath = path.join(this.config.videosDir, filename);
+    const listPath = path.join(timelapseDir, `.concat-${Date.now()}.txt`);
+
+    // The concat demuxer shows every frame for 1/fps; the last entry is
+    // repeated because its duration would otherwise be ignored
+    const frameDuration = (1 / fps).toFixed(6);
+    const entries = frames.map((file) => `file '${path.join(timelapseDir, file)}'\nduration ${frameDuration}`);
+    entries.push(`file '${path.join(timelapseDir, frames[frames.length - 1])}'`);
+
+    fs.mkdirSync(this.config.videosDir, { recursive: true });
+    fs.writeFileSync(listPath, entries.join("\n") + "\n");
+    console.log(`🎞️ Assembling ${frames.length} timelapse frame(s) of ${cameraId} into ${filename}`);
+
+    try {
+      await new Promise<void>((resolve, reject) => {
+        ffmpeg(listPath)
+          .inputOptions(["-f", "concat", "-safe", "0"])
+          .outputOptions([
+            "-vf", "scale=trunc(iw/2)*2:trunc(ih/2)*2,format=yuv420p",
+            "-c:v", "libx264",
+            "-r", String(fps),
+            "-movflags", "+faststart",
+          ])
+          .output(videoPath)
+          .on("start", (commandLine) => {
+            if (this.config.debug) {
+              console.log(`🔧 FFmpeg command: ${commandLine}`);
+            }
+          })
+          .on("error", (err) => reject(new Error(err.message.trim().split("\n").pop())))
+          .on("end", () => resolve())
+          .run();
+      });
+    } catch (error) {
+      fs.rmSync(videoPath, { force: true });
+      throw error;
+    } finally {
+      fs.rmSync(listPath, { force: true });
+    }
+
+    console.log(`✅ Timelapse assembled: ${filename}`);
+    return { camera: cameraId, filename, frames: frames.length, fps, size: fs.statSync(videoPath).size };
+  }
+
+  /**
+   * Get timelapse status for all configured cameras
+   */
+  getStatus(): {
+    camera: string;
+    name: string;
+    scheduled: boolean;
+    frames: number;
+    lastCaptureAt: Date | null;
+    lastError: string | null;
+    settings: TimelapseSettings;
+  }[] {
+    return Array.from(this.jobs.entries()).map(([cameraId, job]) => ({
+      camera: cameraId,
+      name: job.name,
+      scheduled: this.isScheduled(job.settings),
+      frames: this.listTimelapseFrames(cameraId).length,
+      lastCaptureAt: job.lastCaptureAt,
+      lastError: job.lastError,
+      settings: job.settings,
+    }));
+  }
+}
+
+export default SnapshotManager;
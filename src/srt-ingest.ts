@@ -0,0 +1,454 @@
+/**
+ * SRT Ingest
+ *
+ * SRT listener for contributors on lossy links. Callers connect to one public
+ * UDP port and name their stream with the SRT `streamid`, either plainly
+ * (`<stream>` or `live/<stream>?key=<key>&sign=<sign>`) or in the SRT access
+ * control syntax (`#!::r=<stream>,m=publish,s=<key>,sign=<sign>`).
+ *
+ * FFmpeg's `srt` protocol has no hook for the caller's stream id, so the
+ * listener relays each caller's UDP packets to an FFmpeg process listening on
+ * a loopback port of its own and reads the stream id from the conclusion
+ * handshake as it passes ({@link readHandshakeStreamId}). The stream name and
+ * credentials are authorized before the handshake is forwarded; rejected
+ * callers are ignored for a while.
+ *
+ * The listening FFmpeg remuxes the caller's MPEG-TS to a pipe, from which a
+ * second FFmpeg publishes it (video as is, audio as AAC) to the local RTMP
+ * server. From there an SRT contribution is an ordinary RTMP stream, with the
+ * same HLS output, active-stream entry, restreams and archive.
+ *
+ * @module srt-ingest
+ */
+
+import { EventEmitter } from "events";
+import ffmpeg from "fluent-ffmpeg";
+import crypto from "crypto";
+import dgram from "dgram";
+import { PassThrough } from "stream";
+import type { PublishDecision, PublishRequest } from "./stream-keys.js";
+
+export interface SrtConfig {
+  port?: number;
+  host?: string;
+  ffmpegPath?: string;
+  /** RTMP port of the local ingest server streams are published to */
+  rtmpPort?: number;
+  /** SRT receiver latency (ms) */
+  latency?: number;
+  /** Passphrase callers must encrypt with (10-79 characters) */
+  passphrase?: string;
+  /** Callers that have not handshaken yet (each one costs an FFmpeg process) */
+  maxPending?: number;
+  /** How long a caller may take to go live (ms) */
+  connectTimeout?: number;
+  /** How long a rejected caller is ignored (ms) */
+  rejectTimeout?: number;
+  debug?: boolean;
+}
+
+export interface SrtSessionInfo {
+  id: string;
+  /** Caller address (`ip:port`) */
+  remote: string;
+  streamName: string | null;
+  state: "connecting" | "live" | "closed";
+  createdAt: Date;
+}
+
+/** Decides whether a caller may publish */
+export type SrtAuthorizer = (request: PublishRequest) => PublishDecision;
+
+interface SrtSession {
+  info: SrtSessionInfo;
+  address: string;
+  port: number;
+  relaySocket: dgram.Socket;
+  listenerPort: number;
+  listener: any;
+  /** MPEG-TS remuxed by the listener, read by the publisher */
+  output: PassThrough;
+  publisher: any;
+  lastPacketAt: number;
+  timer: NodeJS.Timeout | null;
+}
+
+const HANDSHAKE_CONCLUSION = 0xffffffff;
+const HANDSHAKE_EXTENSION_SID = 5;
+// CIF offsets of an SRT handshake control packet
+const CIF_OFFSET = 16;
+const CIF_LENGTH = 48;
+// A connected caller that sends nothing for this long is gone (ms)
+const IDLE_TIMEOUT = 10000;
+const REAPER_INTERVAL = 2000;
+
+/**
+ * Stream id carried by an SRT conclusion handshake packet, or null for any
+ * other packet
+ */
+export function readHandshakeStreamId(packet: Buffer): string | null {
+  if (packet.length < CIF_OFFSET + CIF_LENGTH) return null;
+  // Control packet (F bit) of type 0 (handshake)
+  if (packet.readUInt16BE(0) !== 0x8000) return null;
+  if (packet.readUInt32BE(CIF_OFFSET) !== 5) return null;
+  if (packet.readUInt32BE(CIF_OFFSET + 20) !== HANDSHAKE_CONCLUSION) return null;
+
+  let offset = CIF_OFFSET + CIF_LENGTH;
+  while (offset + 4 <= packet.length) {
+    const type = packet.readUInt16BE(offset);
+    const length = packet.readUInt16BE(offset + 2) * 4;
+    const start = offset + 4;
+    if (start + length > packet.length) return null;
+
+    if (type === HANDSHAKE_EXTENSION_SID) {
+      // The stream id is sent as 32-bit words in little-endian byte order
+      const bytes = Buffer.from(packet.subarray(start, start + length));
+      for (let i = 0; i + 4 <= bytes.length; i += 4) {
+        bytes.subarray(i, i + 4).reverse();
+      }
+      return bytes.toString("utf8").replace(/\0+$/, "");
+    }
+    offset = start + length;
+  }
+  return "";
+}
+
+/**
+ * Stream name and credentials from an SRT stream id, or null when it does
+ * not name a stream to publish
+ */
+export function parseSrtStreamId(streamId: string): PublishRequest | null {
+  let streamName: string | undefined;
+  let key: string | undefined;
+  let sign: string | undefined;
+
+  // FFmpeg callers pass `streamid` through without decoding it
+  if (streamId.startsWith("%23!::")) streamId = `#${streamId.slice(3)}`;
+  if (streamId.startsWith("#!::")) {
+    const fields = new Map<string, string>();
+    for (const pair of streamId.slice(4).split(",")) {
+      const separator = pair.indexOf("=");
+      if (separator > 0) fields.set(pair.slice(0, separator), pair.slice(separator + 1));
+    }
+    if (fields.has("m") && fields.get("m") !== "publish") return null;
+    streamName = fields.get("r");
+    key = fields.get("s");
+    sign = fields.get("sign");
+  } else {
+    const [resource, query = ""] = streamId.split("?", 2);
+    const params = new URLSearchParams(query);
+    streamName = resource;
+    key = params.get("key") || undefined;
+    sign = params.get("sign") || undefined;
+  }
+
+  streamName = streamName?.replace(/^\/?live\//, "");
+  if (!streamName || !/^[a-zA-Z0-9_-]+$/.test(streamName)) return null;
+  return { streamName, key, sign };
+}
+
+/**
+ * A free UDP port on the loopback interface
+ */
+function findFreePort(): Promise<number> {
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket("udp4");
+    socket.on("error", reject);
+    socket.bind(0, "127.0.0.1", () => {
+      const { port } = socket.address();
+      socket.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * SRT Ingest
+ * SRT callers relayed into the local RTMP server
+ */
+export class SrtIngest extends EventEmitter {
+  private config: SrtConfig;
+  private authorize: SrtAuthorizer;
+  private socket: dgram.Socket | null;
+  private sessions: Map<string, SrtSession>;
+  /** Sessions being set up, so packets arriving meanwhile join them */
+  private opening: Map<string, Promise<SrtSession>>;
+  /** Rejected callers and when they may try again */
+  private rejected: Map<string, number>;
+  private reaper: NodeJS.Timeout | null;
+
+  constructor(config: SrtConfig, authorize: SrtAuthorizer) {
+    super();
+    this.config = {
+      port: 9000,
+      host: "0.0.0.0",
+      ffmpegPath: "ffmpeg",
+      rtmpPort: 1935,
+      latency: 200,
+      maxPending: 8,
+      connectTimeout: 15000,
+      rejectTimeout: 10000,
+      debug: false,
+      // Unset environment overrides keep the defaults
+      ...Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined)),
+    };
+    this.authorize = authorize;
+    this.socket = null;
+    this.sessions = new Map();
+    this.opening = new Map();
+    this.rejected = new Map();
+    this.reaper = null;
+
+    if (this.config.ffmpegPath) {
+      (ffmpeg as any).setFfmpegPath(this.config.ffmpegPath);
+    }
+  }
+
+  /**
+   * Start listening for callers
+   */
+  start(): Promise<void> {
+    if (this.socket) return Promise.resolve();
+
+    const socket = dgram.createSocket("udp4");
+    this.socket = socket;
+    socket.on("message", (packet, remote) => {
+      this.handlePacket(packet, remote.address, remote.port).catch((error) => {
+        console.error("❌ SRT relay error:", error instanceof Error ? error.message : error);
+      });
+    });
+    this.reaper = setInterval(() => this.reapSessions(), REAPER_INTERVAL);
+
+    return new Promise((resolve, reject) => {
+      socket.once("error", reject);
+      socket.bind(this.config.port, this.config.host, () => {
+        socket.off("error", reject);
+        socket.on("error", (error) => console.error("❌ SRT listener error:", error.message));
+        console.log(`📡 SRT listener running on port ${this.config.port}`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stop listening and end all sessions
+   */
+  stop(): void {
+    for (const id of Array.from(this.sessions.keys())) {
+      this.stopSession(id, "Server shutting down");
+    }
+    if (this.reaper) {
+      clearInterval(this.reaper);
+      this.reaper = null;
+    }
+    this.socket?.close();
+    this.socket = null;
+  }
+
+  /**
+   * End a session, disconnecting the caller
+   */
+  stopSession(id: string, reason = "Stopped"): boolean {
+    const session = Array.from(this.sessions.values()).find((candidate) => candidate.info.id === id);
+    if (!session) return false;
+
+    this.sessions.delete(`${session.address}:${session.port}`);
+    session.info.state = "closed";
+    if (session.timer) clearTimeout(session.timer);
+
+    const { listener, publisher } = session;
+    session.listener = null;
+    session.publisher = null;
+    listener?.kill("SIGKILL");
+    publisher?.kill("SIGKILL");
+    session.relaySocket.close();
+
+    console.log(`⏹️ SRT session from ${session.info.remote}${session.info.streamName ? ` (${session.info.streamName})` : ""} ended: ${reason}`);
+    this.emit("sessionEnd", { ...session.info }, reason);
+    return true;
+  }
+
+  /**
+   * List open sessions
+   */
+  listSessions(): SrtSessionInfo[] {
+    return Array.from(this.sessions.values()).map((session) => ({ ...session.info }));
+  }
+
+  private async handlePacket(packet: Buffer, address: string, port: number): Promise<void> {
+    if (packet.length < 16) return;
+    const remote = `${address}:${port}`;
+    const blockedUntil = this.rejected.get(remote);
+    if (blockedUntil !== undefined) {
+      if (blockedUntil > Date.now()) return;
+      this.rejected.delete(remote);
+    }
+
+    let session = this.sessions.get(remote);
+    if (!session) {
+      let opening = this.opening.get(remote);
+      if (!opening) {
+        // Only a handshake opens a session; stray packets of ended sessions are dropped
+        if (packet.readUInt16BE(0) !== 0x8000) return;
+        const pending = Array.from(this.sessions.values()).filter((candidate) => !candidate.info.streamName).length;
+        if (pending + this.opening.size >= this.config.maxPending!) return;
+        opening = this.openSession(address, port).finally(() => this.opening.delete(remote));
+        this.opening.set(remote, opening);
+      }
+      session = await opening;
+      if (session.info.state === "closed") return;
+    }
+    session.lastPacketAt = Date.now();
+
+    if (!session.info.streamName) {
+      const streamId = readHandshakeStreamId(packet);
+      if (streamId !== null && !this.acceptCaller(session, streamId)) return;
+    }
+
+    session.relaySocket.send(packet, session.listenerPort, "127.0.0.1");
+  }
+
+  private async openSession(address: string, port: number): Promise<SrtSession> {
+    const remote = `${address}:${port}`;
+    const listenerPort = await findFreePort();
+    const relaySocket = dgram.createSocket("udp4");
+    await new Promise<void>((resolve) => relaySocket.bind(0, "127.0.0.1", resolve));
+
+    const session: SrtSession = {
+      info: { id: crypto.randomUUID(), remote, streamName: null, state: "connecting", createdAt: new Date() },
+      address,
+      port,
+      relaySocket,
+      listenerPort,
+      listener: null,
+      output: new PassThrough(),
+      publisher: null,
+      lastPacketAt: Date.now(),
+      timer: null,
+    };
+    this.sessions.set(remote, session);
+
+    relaySocket.on("message", (packet) => this.socket?.send(packet, port, address));
+    session.timer = setTimeout(() => {
+      if (session.info.state === "connecting") this.stopSession(session.info.id, "Caller did not go live in time");
+    }, this.config.connectTimeout);
+
+    this.startListener(session);
+    return session;
+  }
+
+  /**
+   * Authorize the stream id of a caller's conclusion handshake
+   */
+  private acceptCaller(session: SrtSession, streamId: string): boolean {
+    const request = parseSrtStreamId(streamId);
+    const decision: PublishDecision = request
+      ? this.authorize(request)
+      : { allowed: false, publishKey: null, reason: streamId ? `Invalid stream id "${streamId}"` : "Missing stream id" };
+
+    if (!request || !decision.allowed) {
+      const reason = decision.allowed ? "Rejected" : decision.reason;
+      this.rejected.set(session.info.remote, Date.now() + this.config.rejectTimeout!);
+      this.stopSession(session.info.id, `Rejected: ${reason}`);
+      this.emit("rejected", session.info.remote, request?.streamName ?? null, decision.publishKey, reason);
+      return false;
+    }
+
+    session.info.streamName = request.streamName;
+    console.log(`🌐 SRT caller ${session.info.remote} publishing ${request.streamName}`);
+    this.startPublisher(session, request);
+    return true;
+  }
+
+  /**
+   * FFmpeg terminating the caller's SRT connection, remuxing to a pipe
+   */
+  private startListener(session: SrtSession): void {
+    const params = new URLSearchParams({
+      mode: "listener",
+      latency: String(this.config.latency! * 1000),
+    });
+    if (this.config.passphrase) params.set("passphrase", this.config.passphrase);
+
+    const command = ffmpeg(`srt://127.0.0.1:${session.listenerPort}?${params}`)
+      .outputOptions(
+        "-map", "0:v:0",
+        "-map", "0:a:0?",
+        "-c", "copy",
+        "-f", "mpegts"
+      )
+      .output(session.output)
+      .on("error", (err) => {
+        if (session.listener === command) {
+          this.stopSession(session.info.id, `Caller connection failed: ${err.message.trim().split("\n").pop()}`);
+        }
+      })
+      .on("end", () => {
+        if (session.listener === command) this.stopSession(session.info.id, "Caller disconnected");
+      });
+
+    session.listener = command;
+    command.run();
+  }
+
+  /**
+   * FFmpeg publishing the caller's stream to the RTMP server
+   */
+  private startPublisher(session: SrtSession, request: PublishRequest): void {
+    const query = new URLSearchParams();
+    if (request.key) query.set("key", request.key);
+    if (request.sign) query.set("sign", request.sign);
+    const publishUrl = `rtmp://127.0.0.1:${this.config.rtmpPort}/live/${request.streamName}${query.size ? `?${query}` : ""}`;
+
+    const command = ffmpeg(session.output)
+      .inputOptions(["-f", "mpegts"])
+      .outputOptions(
+        "-map", "0:v:0",
+        "-map", "0:a:0?",
+        "-c:v", "copy",
+        "-c:a", "aac",
+        "-b:a", "128k",
+        "-ar", "44100",
+        "-f", "flv"
+      )
+      .output(publishUrl)
+      .on("start", (commandLine) => {
+        if (this.config.debug) {
+          console.log(`🔧 FFmpeg command: ${commandLine.split(publishUrl).join(publishUrl.split("?")[0])}`);
+        }
+      })
+      .on("progress", () => {
+        if (session.publisher === command && session.info.state === "connecting") {
+          session.info.state = "live";
+          console.log(`✅ SRT caller ${session.info.remote} is live as ${request.streamName}`);
+        }
+      })
+      .on("error", (err) => {
+        if (session.publisher === command) {
+          this.stopSession(session.info.id, `Relay failed: ${err.message.trim().split("\n").pop()}`);
+        }
+      })
+      .on("end", () => {
+        if (session.publisher === command) this.stopSession(session.info.id, "Relay ended");
+      });
+
+    session.publisher = command;
+    command.run();
+  }
+
+  /**
+   * End sessions whose caller went quiet and forget expired rejections
+   */
+  private reapSessions(): void {
+    const now = Date.now();
+    for (const session of Array.from(this.sessions.values())) {
+      if (now - session.lastPacketAt > IDLE_TIMEOUT) {
+        this.stopSession(session.info.id, "Caller went silent");
+      }
+    }
+    for (const [remote, until] of this.rejected.entries()) {
+      if (until <= now) this.rejected.delete(remote);
+    }
+  }
+}
+
+export default SrtIngest;
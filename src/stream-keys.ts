@@ -0,0 +1,421 @@
+/**
+ * Stream Key Store
+ *
+ * Manages the keys RTMP publishers authenticate with, so keys can be handed
+ * out and revoked at runtime instead of through `RTMP_VALID_KEYS`.
+ *
+ * Every key has a label, can be disabled or expire, limits how many streams
+ * may be published with it at the same time and keeps a usage history.
+ * A publisher uses a key either as the stream name (`live/<key>`) or, to
+ * publish several streams with one key, as a query parameter
+ * (`live/<stream>?key=<key>`).
+ *
+ * Publish URLs can additionally be signed with the key's secret:
+ * `?sign=<expiry>-<hmac>` where `hmac` is the hex HMAC-SHA256 of
+ * `/live/<stream>-<expiry>` (expiry in Unix seconds). Keys marked `signedOnly`
+ * only accept signed, unexpired URLs.
+ *
+ * Records live in `stream-keys.json` (mode 0600, it holds the secrets) and the
+ * usage history in `stream-key-usage.json`. Secrets never leave the store;
+ * the RTMP worker receives them as {@link StreamKeyPolicy} snapshots.
+ *
+ * @module stream-keys
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+export interface StreamKeyRecord {
+  key: string;
+  label: string;
+  enabled: boolean;
+  /** Streams that may be published with this key at the same time */
+  maxConcurrent: number;
+  /** Only accept signed publish URLs */
+  signedOnly: boolean;
+  expiresAt: string | null;
+  createdAt: string;
+  updatedAt: string;
+  lastUsedAt: string | null;
+  useCount: number;
+}
+
+export interface StreamKeyInput {
+  key?: string;
+  label?: string;
+  enabled?: boolean;
+  maxConcurrent?: number;
+  signedOnly?: boolean;
+  expiresAt?: string | null;
+}
+
+export interface StreamKeyUsage {
+  streamName: string;
+  startedAt: string;
+  endedAt: string | null;
+  outcome: "published" | "rejected";
+  reason?: string;
+}
+
+/**
+ * What the RTMP server needs to authorize publishes with a key
+ */
+export interface StreamKeyPolicy {
+  key: string;
+  enabled: boolean;
+  maxConcurrent: number;
+  signedOnly: boolean;
+  expiresAt: string | null;
+  secret: string;
+}
+
+export interface PublishRequest {
+  /** Stream name from the publish path (`live/<streamName>`) */
+  streamName: string;
+  /** `key` query parameter, if given */
+  key?: string;
+  /** `sign` query parameter, if given */
+  sign?: string;
+}
+
+export interface PublishPolicyOptions {
+  keys: StreamKeyPolicy[];
+  /** Reject stream names that are neither stored keys nor static keys */
+  validateStreamKey: boolean;
+  /** Keys from `RTMP_VALID_KEYS` (no limits, cannot be signed) */
+  staticKeys: string[];
+  /** Require a signed URL for every publish */
+  requireSigned: boolean;
+  /** Streams currently published with a stored key */
+  activeCount: (key: string) => number;
+}
+
+export type PublishDecision =
+  | { allowed: true; publishKey: string | null }
+  | { allowed: false; publishKey: string | null; reason: string };
+
+const STREAM_KEY_PATTERN = /^[a-zA-Z0-9_-]{4,128}$/;
+const MAX_HISTORY = 100;
+
+interface StoredKey extends StreamKeyRecord {
+  secret: string;
+}
+
+/**
+ * Signature for a publish path valid until `expiry` (Unix seconds)
+ */
+export function signPublishPath(streamPath: string, expiry: number, secret: string): string {
+  const hash = crypto.createHmac("sha256", secret).update(`${streamPath}-${expiry}`).digest("hex");
+  return `${expiry}-${hash}`;
+}
+
+/**
+ * Check a `sign` parameter, returning an error message or null
+ */
+export function verifyPublishSignature(streamPath: string, sign: string, secret: string, now: Date = new Date()): string | null {
+  const match = sign.match(/^(\d+)-([0-9a-f]{64})$/);
+  if (!match) {
+    return "Malformed signature";
+  }
+
+  const expected = Buffer.from(signPublishPath(streamPath, parseInt(match[1], 10), secret));
+  const actual = Buffer.from(sign);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return "Invalid signature";
+  }
+  if (parseInt(match[1], 10) * 1000 < now.getTime()) {
+    return "Signed URL expired";
+  }
+  return null;
+}
+
+/**
+ * Decide whether a publish may go ahead
+ */
+export function authorizePublish(request: PublishRequest, options: PublishPolicyOptions, now: Date = new Date()): PublishDecision {
+  const credential = request.key || request.streamName;
+  const policy = options.keys.find((key) => key.key === credential);
+
+  if (!policy) {
+    const known = options.staticKeys.includes(request.streamName);
+    const validating = options.validateStreamKey && (options.staticKeys.length > 0 || options.keys.length > 0);
+    if (request.key || (validating && !known)) {
+      return { allowed: false, publishKey: null, reason: "Invalid stream key" };
+    }
+    if (options.requireSigned) {
+      return { allowed: false, publishKey: null, reason: "Signed publish URL required" };
+    }
+    return { allowed: true, publishKey: null };
+  }
+
+  const reject = (reason: string): PublishDecision => ({ allowed: false, publishKey: policy.key, reason });
+
+  if (!policy.enabled) {
+    return reject("Stream key disabled");
+  }
+  if (policy.expiresAt && new Date(policy.expiresAt).getTime() <= now.getTime()) {
+    return reject("Stream key expired");
+  }
+  if (request.sign) {
+    const error = verifyPublishSignature(`/live/${request.streamName}`, request.sign, policy.secret, now);
+    if (error) return reject(error);
+  } else if (policy.signedOnly || options.requireSigned) {
+    return reject("Signed publish URL required");
+  }
+  if (options.activeCount(policy.key) >= policy.maxConcurrent) {
+    return reject(`Stream key already used by ${policy.maxConcurrent} concurrent publish(es)`);
+  }
+  return { allowed: true, publishKey: policy.key };
+}
+
+/**
+ * Whether streams published with a key may stay live after a key change
+ */
+export function isKeyUsable(policy: StreamKeyPolicy | undefined, now: Date = new Date()): boolean {
+  return !!policy && policy.enabled && (!policy.expiresAt || new Date(policy.expiresAt).getTime() > now.getTime());
+}
+
+function writeJsonAtomic(filePath: string, data: unknown, mode?: number): void {
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), { mode });
+  fs.renameSync(tmpPath, filePath);
+}
+
+function parseExpiry(expiresAt: string | null | undefined): string | null {
+  if (!expiresAt) return null;
+  const date = new Date(expiresAt);
+  if (isNaN(date.getTime())) {
+    throw new Error("expiresAt must be a valid date");
+  }
+  return date.toISOString();
+}
+
+function parseMaxConcurrent(maxConcurrent: number | undefined, fallback: number): number {
+  if (maxConcurrent === undefined) return fallback;
+  if (!Number.isInteger(maxConcurrent) || maxConcurrent < 1) {
+    throw new Error("maxConcurrent must be a positive integer");
+  }
+  return maxConcurrent;
+}
+
+/**
+ * Stream Key Store
+ * JSON-backed store of RTMP publish keys and their usage
+ */
+export class StreamKeyStore {
+  private dataDir: string;
+  private keysPath: string;
+  private usagePath: string;
+  private keys: Map<string, StoredKey>;
+  private usage: Map<string, StreamKeyUsage[]>;
+
+  constructor(dataDir: string) {
+    this.dataDir = dataDir;
+    this.keysPath = path.join(dataDir, "stream-keys.json");
+    this.usagePath = path.join(dataDir, "stream-key-usage.json");
+    this.keys = new Map();
+    this.usage = new Map();
+  }
+
+  /**
+   * Load keys and usage history from disk
+   */
+  load(): void {
+    this.keys.clear();
+    this.usage.clear();
+
+    try {
+      if (fs.existsSync(this.keysPath)) {
+        const records = JSON.parse(fs.readFileSync(this.keysPath, "utf8")) as StoredKey[];
+        records.forEach((record) => this.keys.set(record.key, record));
+      }
+      if (fs.existsSync(this.usagePath)) {
+        const stored = JSON.parse(fs.readFileSync(this.usagePath, "utf8")) as Record<string, StreamKeyUsage[]>;
+        Object.entries(stored).forEach(([key, entries]) => this.usage.set(key, entries));
+      }
+    } catch (error) {
+      console.error("Error loading stream keys:", error);
+    }
+
+    console.log(`🔑 Loaded ${this.keys.size} stream key(s)`);
+  }
+
+  private saveKeys(): void {
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    writeJsonAtomic(this.keysPath, Array.from(this.keys.values()), 0o600);
+  }
+
+  private saveUsage(): void {
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    writeJsonAtomic(this.usagePath, Object.fromEntries(this.usage));
+  }
+
+  private toRecord(stored: StoredKey): StreamKeyRecord {
+    const { secret, ...record } = stored;
+    return record;
+  }
+
+  /**
+   * List all keys (without secrets)
+   */
+  list(): StreamKeyRecord[] {
+    return Array.from(this.keys.values()).map((stored) => this.toRecord(stored));
+  }
+
+  /**
+   * Get a key (without its secret)
+   */
+  get(key: string): StreamKeyRecord | null {
+    const stored = this.keys.get(key);
+    return stored ? this.toRecord(stored) : null;
+  }
+
+  /**
+   * Create a key; a random key is generated when none is given
+   */
+  create(input: StreamKeyInput): StreamKeyRecord {
+    const key = input.key || crypto.randomBytes(12).toString("base64url");
+    if (!STREAM_KEY_PATTERN.test(key)) {
+      throw new Error("Stream key must be 4-128 letters, numbers, '-' or '_'");
+    }
+    if (this.keys.has(key)) {
+      throw new Error(`Stream key "${key}" already exists`);
+    }
+
+    const now = new Date().toISOString();
+    this.keys.set(key, {
+      key,
+      label: input.label || key,
+      enabled: input.enabled !== false,
+      maxConcurrent: parseMaxConcurrent(input.maxConcurrent, 1),
+      signedOnly: input.signedOnly === true,
+      expiresAt: parseExpiry(input.expiresAt),
+      createdAt: now,
+      updatedAt: now,
+      lastUsedAt: null,
+      useCount: 0,
+      secret: crypto.randomBytes(32).toString("hex"),
+    });
+
+    this.saveKeys();
+    return this.get(key)!;
+  }
+
+  /**
+   * Update a key's label, state or limits
+   */
+  update(key: string, changes: StreamKeyInput): StreamKeyRecord {
+    const stored = this.keys.get(key);
+    if (!stored) {
+      throw new Error(`Stream key "${key}" not found`);
+    }
+
+    if (changes.label !== undefined) {
+      stored.label = changes.label || key;
+    }
+    if (changes.enabled !== undefined) {
+      stored.enabled = changes.enabled;
+    }
+    if (changes.signedOnly !== undefined) {
+      stored.signedOnly = changes.signedOnly;
+    }
+    if (changes.expiresAt !== undefined) {
+      stored.expiresAt = parseExpiry(changes.expiresAt);
+    }
+    stored.maxConcurrent = parseMaxConcurrent(changes.maxConcurrent, stored.maxConcurrent);
+    stored.updatedAt = new Date().toISOString();
+
+    this.saveKeys();
+    return this.toRecord(stored);
+  }
+
+  /**
+   * Delete a key and its usage history
+   */
+  remove(key: string): boolean {
+    if (!this.keys.delete(key)) {
+      return false;
+    }
+    this.usage.delete(key);
+    this.saveKeys();
+    this.saveUsage();
+    return true;
+  }
+
+  /**
+   * Sign a publish URL for a stream published with this key
+   */
+  sign(key: string, streamName: string, expiresAt: Date): string {
+    const stored = this.keys.get(key);
+    if (!stored) {
+      throw new Error(`Stream key "${key}" not found`);
+    }
+    return signPublishPath(`/live/${streamName}`, Math.floor(expiresAt.getTime() / 1000), stored.secret);
+  }
+
+  /**
+   * Policies for the RTMP server (includes secrets; never expose these)
+   */
+  getPolicies(): StreamKeyPolicy[] {
+    return Array.from(this.keys.values()).map((stored) => ({
+      key: stored.key,
+      enabled: stored.enabled,
+      maxConcurrent: stored.maxConcurrent,
+      signedOnly: stored.signedOnly,
+      expiresAt: stored.expiresAt,
+      secret: stored.secret,
+    }));
+  }
+
+  private addUsage(key: string, entry: StreamKeyUsage): void {
+    const entries = this.usage.get(key) || [];
+    entries.push(entry);
+    this.usage.set(key, entries.slice(-MAX_HISTORY));
+    this.saveUsage();
+  }
+
+  /**
+   * Record a publish that started with a key
+   */
+  recordPublish(key: string, streamName: string, at: Date = new Date()): void {
+    const stored = this.keys.get(key);
+    if (!stored) return;
+
+    stored.lastUsedAt = at.toISOString();
+    stored.useCount++;
+    this.saveKeys();
+    this.addUsage(key, { streamName, startedAt: at.toISOString(), endedAt: null, outcome: "published" });
+  }
+
+  /**
+   * Record the end of a publish started with a key
+   */
+  recordPublishEnd(key: string, streamName: string, at: Date = new Date()): void {
+    const entry = (this.usage.get(key) || [])
+      .slice()
+      .reverse()
+      .find((usage) => usage.streamName === streamName && usage.outcome === "published" && !usage.endedAt);
+    if (!entry) return;
+
+    entry.endedAt = at.toISOString();
+    this.saveUsage();
+  }
+
+  /**
+   * Record a rejected publish attempt with a key
+   */
+  recordRejection(key: string, streamName: string, reason: string, at: Date = new Date()): void {
+    if (!this.keys.has(key)) return;
+    this.addUsage(key, { streamName, startedAt: at.toISOString(), endedAt: at.toISOString(), outcome: "rejected", reason });
+  }
+
+  /**
+   * Usage history of a key (newest first)
+   */
+  getHistory(key: string): StreamKeyUsage[] {
+    return (this.usage.get(key) || []).slice().reverse();
+  }
+}
+
+export default StreamKeyStore;
@@ -0,0 +1,404 @@
+/**
+ * Stream Stats
+ *
+ * Live telemetry for RTSP and RTMP streams:
+ *
+ * - {@link FfmpegStatsParser} reads an FFmpeg process's stderr: the codec,
+ *   resolution and frame rate of its input and output streams and the
+ *   progress lines (processing fps, speed, dropped/duplicated frames).
+ * - {@link HlsOutputProbe} measures what a stream actually delivers from its
+ *   newest HLS segments: the output bitrate (segment sizes over their
+ *   durations) and the keyframe interval (ffprobe of the video packets).
+ *   HLS muxers report `bitrate=N/A` in FFmpeg's progress, hence the segments.
+ * - {@link HlsViewerTracker} counts distinct clients that requested a
+ *   stream's playlists recently.
+ *
+ * @module stream-stats
+ */
+
+import { execFile } from "child_process";
+import fs from "fs";
+import path from "path";
+
+export interface VideoInfo {
+  codec: string;
+  width: number | null;
+  height: number | null;
+  fps: number | null;
+}
+
+export interface AudioInfo {
+  codec: string;
+  sampleRate: number | null;
+  channels: string | null;
+}
+
+export interface StreamStats {
+  /** Bitrate received from the source (kbit/s) */
+  inputBitrate: number | null;
+  /** Bitrate of the HLS output (kbit/s) */
+  outputBitrate: number | null;
+  /** Frames processed per second */
+  fps: number | null;
+  /** Processing speed relative to real time */
+  speed: number | null;
+  /** Frames dropped/duplicated by FFmpeg (null when no FFmpeg process is involved) */
+  droppedFrames: number | null;
+  duplicatedFrames: number | null;
+  /** Source video and audio */
+  video: VideoInfo | null;
+  audio: AudioInfo | null;
+  /** Video as delivered to viewers (differs from the source when transcoding) */
+  outputVideo: VideoInfo | null;
+  /** Seconds between keyframes in the HLS output */
+  keyframeInterval: number | null;
+  updatedAt: Date | null;
+}
+
+export interface HlsOutputStats {
+  bitrate: number | null;
+  keyframeInterval: number | null;
+}
+
+const STREAM_LINE_PATTERN = /^\s*Stream #\d+:\d+.*?: (Video|Audio): (.+)$/;
+const DURATION_BITRATE_PATTERN = /^\s*Duration: .*, bitrate: (\d+) kb\/s/;
+const PROGRESS_FIELD_PATTERN = /(\w+)=\s*(\S+)/g;
+
+// Segments measured by the output probe
+const PROBE_SEGMENTS = 3;
+const PROBE_TIMEOUT = 10000;
+
+/**
+ * Split FFmpeg's stream details at top-level commas ("h264 (High), yuv420p(tv, bt709), ...")
+ */
+function splitStreamDetails(details: string): string[] {
+  const parts: string[] = [];
+  let depth = 0;
+  let current = "";
+  for (const char of details) {
+    if (char === "(" || char === "[") depth++;
+    if (char === ")" || char === "]") depth--;
+    if (char === "," && depth === 0) {
+      parts.push(current.trim());
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Parse the details of a `Stream #0:0: Video: ...` line
+ */
+export function parseVideoDetails(details: string): VideoInfo {
+  const parts = splitStreamDetails(details);
+  const size = details.match(/\b(\d{2,5})x(\d{2,5})\b/);
+  const fps = details.match(/([\d.]+)(k?) fps/) || details.match(/([\d.]+)(k?) tbr/);
+  return {
+    codec: parts[0].split(" ")[0],
+    width: size ? parseInt(size[1], 10) : null,
+    height: size ? parseInt(size[2], 10) : null,
+    fps: fps ? parseFloat(fps[1]) * (fps[2] ? 1000 : 1) : null,
+  };
+}
+
+/**
+ * Parse the details of a `Stream #0:1: Audio: ...` line
+ */
+export function parseAudioDetails(details: string): AudioInfo {
+  const parts = splitStreamDetails(details);
+  const rate = details.match(/(\d+) Hz/);
+  const rateIndex = parts.findIndex((part) => / Hz$/.test(part));
+  return {
+    codec: parts[0].split(" ")[0],
+    sampleRate: rate ? parseInt(rate[1], 10) : null,
+    channels: rateIndex !== -1 && parts[rateIndex + 1] ? parts[rateIndex + 1] : null,
+  };
+}
+
+function parseNumber(value: string | undefined): number | null {
+  if (value === undefined) return null;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Empty stats
+ */
+export function createEmptyStats(): StreamStats {
+  return {
+    inputBitrate: null,
+    outputBitrate: null,
+    fps: null,
+    speed: null,
+    droppedFrames: null,
+    duplicatedFrames: null,
+    video: null,
+    audio: null,
+    outputVideo: null,
+    keyframeInterval: null,
+    updatedAt: null,
+  };
+}
+
+/**
+ * FFmpeg stderr parser
+ * Feed it every stderr line of one FFmpeg process
+ */
+export class FfmpegStatsParser {
+  private section: "input" | "output" | null = null;
+  private stats: StreamStats = createEmptyStats();
+  private outputBitrate: number | null = null;
+
+  feed(line: string): void {
+    if (/^Input #0\b/.test(line)) {
+      this.section = "input";
+      return;
+    }
+    if (/^Input #[1-9]/.test(line)) {
+      // Only the first input is the source
+      this.section = null;
+      return;
+    }
+    if (/^Output #\d+/.test(line)) {
+      this.section = "output";
+      return;
+    }
+    if (/^Stream mapping:/.test(line)) {
+      this.section = null;
+      return;
+    }
+
+    const stream = line.match(STREAM_LINE_PATTERN);
+    if (stream && this.section) {
+      if (stream[1] === "Video") {
+        if (this.section === "input" && !this.stats.video) {
+          this.stats.video = parseVideoDetails(stream[2]);
+        } else if (this.section === "output" && !this.stats.outputVideo) {
+          this.stats.outputVideo = parseVideoDetails(stream[2]);
+        }
+      } else if (this.section === "input" && !this.stats.audio) {
+        this.stats.audio = parseAudioDetails(stream[2]);
+      }
+      return;
+    }
+
+    const duration = line.match(DURATION_BITRATE_PATTERN);
+    if (duration && this.section === "input") {
+      this.stats.inputBitrate = parseInt(duration[1], 10);
+      return;
+    }
+
+    if (/^\s*frame=\s*\d+/.test(line)) {
+      const fields: Record<string, string> = {};
+      for (const [, key, value] of line.matchAll(PROGRESS_FIELD_PATTERN)) {
+        fields[key] = value;
+      }
+      this.stats.fps = parseNumber(fields.fps);
+      this.stats.speed = parseNumber(fields.speed?.replace(/x$/, ""));
+      this.stats.droppedFrames = parseInt(fields.drop || "0", 10) || 0;
+      this.stats.duplicatedFrames = parseInt(fields.dup || "0", 10) || 0;
+      // Only single-file outputs report a bitrate
+      this.outputBitrate = parseNumber(fields.bitrate?.replace(/kbits\/s$/, ""));
+      this.stats.updatedAt = new Date();
+    }
+  }
+
+  /**
+   * Stats parsed so far
+   */
+  getStats(): StreamStats {
+    return { ...this.stats, outputBitrate: this.outputBitrate };
+  }
+}
+
+/**
+ * Segments (path relative to the playlist, duration) of a media playlist,
+ * plus its fMP4 init segment
+ */
+function parseMediaPlaylist(content: string): { segments: { uri: string; duration: number }[]; map: string | null } {
+  const segments: { uri: string; duration: number }[] = [];
+  let map: string | null = null;
+  let duration: number | null = null;
+
+  for (const line of content.split("\n").map((entry) => entry.trim())) {
+    if (line.startsWith("#EXT-X-MAP:")) {
+      map = line.match(/URI="([^"]+)"/)?.[1] || null;
+    } else if (line.startsWith("#EXTINF:")) {
+      duration = parseFloat(line.slice(8));
+    } else if (line && !line.startsWith("#") && duration !== null) {
+      segments.push({ uri: line, duration });
+      duration = null;
+    }
+  }
+  return { segments, map };
+}
+
+/**
+ * Resolve a master playlist to its first variant playlist
+ */
+function resolveMediaPlaylist(playlistPath: string): string | null {
+  if (!fs.existsSync(playlistPath)) return null;
+
+  const content = fs.readFileSync(playlistPath, "utf8");
+  if (!content.includes("#EXT-X-STREAM-INF")) return playlistPath;
+
+  const lines = content.split("\n").map((line) => line.trim());
+  const variant = lines.find((line, index) => index > 0 && lines[index - 1].startsWith("#EXT-X-STREAM-INF") && line);
+  return variant ? path.join(path.dirname(playlistPath), variant.split("?")[0]) : null;
+}
+
+/**
+ * Keyframe timestamps (s) of the video packets of an input
+ */
+function probeKeyframeTimes(ffprobePath: string, input: string): Promise<number[]> {
+  return new Promise((resolve, reject) => {
+    execFile(
+      ffprobePath,
+      ["-v", "error", "-select_streams", "v:0", "-show_entries", "packet=pts_time,flags", "-of", "csv=p=0", input],
+      { timeout: PROBE_TIMEOUT, maxBuffer: 4 * 1024 * 1024 },
+      (error, stdout) => {
+        if (error) return reject(error);
+        const times = stdout
+          .split("\n")
+          .map((line) => line.trim().split(","))
+          .filter(([time, flags]) => flags?.startsWith("K") && Number.isFinite(parseFloat(time)))
+          .map(([time]) => parseFloat(time));
+        resolve(times);
+      }
+    );
+  });
+}
+
+/**
+ * Measure bitrate and keyframe interval from the newest segments of an HLS output
+ */
+export async function probeHlsOutput(ffprobePath: string, playlistPath: string): Promise<HlsOutputStats> {
+  const mediaPlaylist = resolveMediaPlaylist(playlistPath);
+  if (!mediaPlaylist) return { bitrate: null, keyframeInterval: null };
+
+  const dir = path.dirname(mediaPlaylist);
+  const { segments, map } = parseMediaPlaylist(fs.readFileSync(mediaPlaylist, "utf8"));
+  const recent = segments
+    .slice(-PROBE_SEGMENTS)
+    .map((segment) => ({ ...segment, path: path.join(dir, segment.uri.split("?")[0]) }))
+    .filter((segment) => fs.existsSync(segment.path));
+  if (recent.length === 0) return { bitrate: null, keyframeInterval: null };
+
+  const bytes = recent.reduce((sum, segment) => sum + fs.statSync(segment.path).size, 0);
+  const seconds = recent.reduce((sum, segment) => sum + segment.duration, 0);
+  const bitrate = seconds > 0 ? Math.round((bytes * 8) / seconds / 1000) : null;
+
+  // MPEG-TS segments concatenate as they are; fMP4 segments need their init segment first
+  const parts = recent.map((segment) => segment.path);
+  if (map) parts.unshift(path.join(dir, map));
+  let keyframeInterval: number | null = null;
+  try {
+    const times = await probeKeyframeTimes(ffprobePath, `concat:${parts.join("|")}`);
+    if (times.length >= 2) {
+      keyframeInterval = Math.round(((times[times.length - 1] - times[0]) / (times.length - 1)) * 100) / 100;
+    }
+  } catch {
+    // Segment rotated away while probing; the next probe will catch up
+  }
+
+  return { bitrate, keyframeInterval };
+}
+
+/**
+ * HLS Output Probe
+ * Caches {@link probeHlsOutput} results per stream and refreshes them in
+ * the background, so status requests never wait for ffprobe
+ */
+export class HlsOutputProbe {
+  private ffprobePath: string;
+  private maxAge: number;
+  private results: Map<string, { stats: HlsOutputStats; probedAt: number; probing: boolean }>;
+
+  constructor(ffprobePath: string, maxAge = 10000) {
+    this.ffprobePath = ffprobePath;
+    this.maxAge = maxAge;
+    this.results = new Map();
+  }
+
+  /**
+   * Latest measurement of a stream (null until the first probe finished)
+   */
+  get(id: string, playlistPath: string): HlsOutputStats | null {
+    let entry = this.results.get(id);
+    if (!entry) {
+      entry = { stats: { bitrate: null, keyframeInterval: null }, probedAt: 0, probing: false };
+      this.results.set(id, entry);
+    }
+
+    if (!entry.probing && Date.now() - entry.probedAt >= this.maxAge) {
+      const current = entry;
+      current.probing = true;
+      probeHlsOutput(this.ffprobePath, playlistPath)
+        .then((stats) => {
+          current.stats = stats;
+        })
+        .catch(() => {
+          // Playlist rewritten while reading it
+        })
+        .finally(() => {
+          current.probing = false;
+          current.probedAt = Date.now();
+        });
+    }
+
+    return entry.probedAt > 0 ? entry.stats : null;
+  }
+
+  /**
+   * Drop a stream's measurements (stream stopped)
+   */
+  forget(id: string): void {
+    this.results.delete(id);
+  }
+}
+
+/**
+ * HLS Viewer Tracker
+ * Counts distinct clients that requested a stream's playlists within a window
+ */
+export class HlsViewerTracker {
+  private windowMs: number;
+  private clients: Map<string, Map<string, number>>;
+
+  constructor(windowMs = 30000) {
+    this.windowMs = windowMs;
+    this.clients = new Map();
+  }
+
+  /**
+   * A client requested a playlist of a stream
+   */
+  hit(streamId: string, clientId: string): void {
+    let clients = this.clients.get(streamId);
+    if (!clients) {
+      clients = new Map();
+      this.clients.set(streamId, clients);
+    }
+    clients.set(clientId, Date.now());
+  }
+
+  /**
+   * Clients of a stream seen within the window
+   */
+  count(streamId: string): number {
+    const clients = this.clients.get(streamId);
+    if (!clients) return 0;
+
+    const cutoff = Date.now() - this.windowMs;
+    for (const [clientId, seenAt] of clients.entries()) {
+      if (seenAt < cutoff) clients.delete(clientId);
+    }
+    if (clients.size === 0) this.clients.delete(streamId);
+    return clients.size;
+  }
+}
+
+export default FfmpegStatsParser;
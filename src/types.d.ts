@@ -9,59 +9,107 @@ declare module "node-media-server" {
     ping_timeout?: number;
   }
 
-  interface HTTPConfig {
-    port?: number;
-    allow_origin?: string;
-    mediaroot?: string;
-  }
-
-  interface TransTask {
-    app: string;
-    hls?: boolean;
-    hlsFlags?: string;
-    hlsKeep?: boolean;
-    dash?: boolean;
+  interface AuthConfig {
+    play?: boolean;
+    publish?: boolean;
+    secret?: string;
   }
 
-  interface TransConfig {
-    ffmpeg?: string;
-    tasks: TransTask[];
+  interface RecordConfig {
+    /** Published streams are recorded to `<path>/<app>/<name>/<unix ms>.flv` */
+    path: string;
   }
 
   interface NodeMediaServerConfig {
+    /** Address every listener binds to (default: all interfaces) */
+    bind?: string;
     rtmp?: RTMPConfig;
-    http?: HTTPConfig;
-    trans?: TransConfig;
+    auth?: AuthConfig;
+    record?: RecordConfig;
+  }
+
+  /** Publisher, player or recorder session (v4 passes it to every event) */
+  interface NodeMediaSession {
+    id: string;
+    ip: string;
+    isPublisher: boolean;
+    protocol: string;
+    streamApp: string;
+    streamName: string;
+    /** "/<app>/<name>" */
+    streamPath: string;
+    /** Query string of the stream name */
+    streamQuery: Record<string, string | string[] | undefined>;
+    createTime: number;
+    endTime: number;
+    /** FLV codec ids */
+    videoCodec: number;
+    videoWidth: number;
+    videoHeight: number;
+    videoFramerate: number;
+    videoDatarate: number;
+    audioCodec: number;
+    audioChannels: number;
+    audioSamplerate: number;
+    audioDatarate: number;
+    inBytes: number;
+    outBytes: number;
+    filePath: string;
+    /** Connection of RTMP sessions */
+    socket?: import("net").Socket;
+    /** Output of recorder sessions (closed after `doneRecord`) */
+    fileStream?: import("fs").WriteStream;
+    close(): void;
   }
 
   class NodeMediaServer {
     constructor(config: NodeMediaServerConfig);
+    /** Internal listeners; v4 has no stop() */
+    rtmpServer: { tcpServer?: import("net").Server };
     run(): void;
-    stop(): void;
-    on(event: string, callback: (...args: any[]) => void): void;
-    getSession(id: string): { reject: () => void };
+    on(event: string, listener: (session: NodeMediaSession) => void): void;
+  }
+
+  namespace NodeMediaServer {
+    export { NodeMediaSession };
   }
 
   export = NodeMediaServer;
 }
 
 declare module "fluent-ffmpeg" {
+  interface FfmpegProgress {
+    frames: number;
+    currentFps: number;
+    currentKbps: number;
+    targetSize: number;
+    timemark: string;
+    percent?: number;
+  }
+
   interface FfmpegCommand {
+    input(source: string): FfmpegCommand;
     inputOptions(options: string[]): FfmpegCommand;
     outputOptions(options: string[]): FfmpegCommand;
-    output(path: string): FfmpegCommand;
+    /** Options passed as separate arguments are never split at spaces */
+    outputOptions(...options: string[]): FfmpegCommand;
+    output(target: string | NodeJS.WritableStream): FfmpegCommand;
     on(event: "start", callback: (commandLine: string) => void): FfmpegCommand;
     on(event: "error", callback: (err: Error, stdout?: string, stderr?: string) => void): FfmpegCommand;
     on(event: "end", callback: () => void): FfmpegCommand;
+    on(event: "progress", callback: (progress: FfmpegProgress) => void): FfmpegCommand;
+    on(event: "stderr", callback: (line: string) => void): FfmpegCommand;
     run(): void;
     kill(signal: string): void;
   }
 
-  function ffmpeg(input: string): FfmpegCommand;
+  function ffmpeg(input: string | NodeJS.ReadableStream): FfmpegCommand;
   
   namespace ffmpeg {
     function setFfmpegPath(path: string): void;
-    export { FfmpegCommand };
+    function setFfprobePath(path: string): void;
+    function ffprobe(file: string, callback: (err: Error | null, data: any) => void): void;
+    export { FfmpegCommand, FfmpegProgress };
   }
 
   export = ffmpeg;
@@ -0,0 +1,287 @@
+/**
+ * Upload Sessions
+ *
+ * Chunked, resumable uploads for the MCP upload tools. A session collects the
+ * file's bytes in a temporary directory, one chunk per tool call, each written
+ * at an explicit offset. Resending from an earlier offset rewinds the session,
+ * so a client that lost a response can retry the chunk. Committing checks the
+ * SHA-256 of the received bytes and renames the file into place, so readers
+ * never see a partial file.
+ *
+ * Sessions live on disk (`<id>.json` + `<id>.part`) and survive restarts; the
+ * size of the part file is the session's offset. Sessions untouched for longer
+ * than the TTL are removed.
+ *
+ * @module upload-sessions
+ */
+
+import { createReadStream } from "fs";
+import * as fs from "fs/promises";
+import * as path from "path";
+import crypto from "crypto";
+
+export interface UploadSessionConfig {
+  /** Largest chunk accepted per call (bytes, decoded) */
+  maxChunkSize?: number;
+  /** Sessions untouched for this long are removed (ms) */
+  ttl?: number;
+}
+
+export interface UploadSession {
+  id: string;
+  /** File name, or path relative to the folder it is uploaded to */
+  filename: string;
+  /** Declared file size, if given */
+  size: number | null;
+  /** Bytes received so far; the offset of the next chunk */
+  received: number;
+  createdAt: string;
+  updatedAt: string;
+  expiresAt: string;
+}
+
+export interface CommittedUpload {
+  path: string;
+  size: number;
+  sha256: string;
+}
+
+interface StoredSession {
+  id: string;
+  filename: string;
+  size: number | null;
+  createdAt: string;
+}
+
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+function hashFile(filePath: string): Promise<string> {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    createReadStream(filePath)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")))
+      .on("error", reject);
+  });
+}
+
+/**
+ * Upload Session Store
+ * Temporary files of chunked uploads
+ */
+export class UploadSessionStore {
+  private dir: string;
+  private config: Required<UploadSessionConfig>;
+  /** Pending operation per session, so chunks of one session are written in order */
+  private locks: Map<string, Promise<unknown>>;
+
+  constructor(dir: string, config: UploadSessionConfig = {}) {
+    this.dir = dir;
+    this.config = {
+      maxChunkSize: 8 * 1024 * 1024,
+      ttl: 24 * 60 * 60 * 1000,
+      // Unset environment overrides keep the defaults
+      ...Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined)),
+    };
+    this.locks = new Map();
+  }
+
+  get maxChunkSize(): number {
+    return this.config.maxChunkSize;
+  }
+
+  /**
+   * Open a session for a file (a name, or a relative path into subfolders)
+   */
+  async begin(filename: string, size?: number): Promise<UploadSession> {
+    const safeName = filename || "";
+    const segments = safeName.split("/");
+    if (path.posix.isAbsolute(safeName) || segments.some((segment) => !segment || segment === "." || segment === "..")) {
+      throw new Error("Invalid filename");
+    }
+    if (size !== undefined && !(Number.isInteger(size) && size >= 0)) {
+      throw new Error("size must be a non-negative integer");
+    }
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await this.cleanup();
+
+    const stored: StoredSession = {
+      id: crypto.randomUUID(),
+      filename: safeName,
+      size: size ?? null,
+      createdAt: new Date().toISOString(),
+    };
+    await fs.writeFile(this.partPath(stored.id), Buffer.alloc(0));
+    await fs.writeFile(this.metaPath(stored.id), JSON.stringify(stored, null, 2));
+    return this.describe(stored);
+  }
+
+  /**
+   * A session, or null when it does not exist (or expired)
+   */
+  async get(id: string): Promise<UploadSession | null> {
+    const stored = await this.read(id);
+    return stored ? this.describe(stored) : null;
+  }
+
+  /**
+   * Write a chunk at an offset. The offset may not be past the bytes received;
+   * an earlier offset discards everything from there on.
+   */
+  writeChunk(id: string, offset: number, data: Buffer): Promise<UploadSession> {
+    return this.withLock(id, async () => {
+      const stored = await this.require(id);
+      const received = (await fs.stat(this.partPath(id))).size;
+
+      if (!(Number.isInteger(offset) && offset >= 0)) {
+        throw new Error("offset must be a non-negative integer");
+      }
+      if (offset > received) {
+        throw new Error(`Chunk at offset ${offset} leaves a gap, resume at offset ${received}`);
+      }
+      if (data.length > this.config.maxChunkSize) {
+        throw new Error(`Chunk of ${data.length} bytes exceeds the limit of ${this.config.maxChunkSize} bytes`);
+      }
+      if (stored.size !== null && offset + data.length > stored.size) {
+        throw new Error(`Chunk ends past the declared size of ${stored.size} bytes`);
+      }
+
+      const handle = await fs.open(this.partPath(id), "r+");
+      try {
+        await handle.truncate(offset);
+        await handle.write(data, 0, data.length, offset);
+      } finally {
+        await handle.close();
+      }
+      return this.describe(stored);
+    });
+  }
+
+  /**
+   * Verify the received bytes and move them to their destination, replacing
+   * any existing file
+   */
+  commit(id: string, sha256: string, targetPath: string): Promise<CommittedUpload> {
+    return this.withLock(id, async () => {
+      const stored = await this.require(id);
+      const partPath = this.partPath(id);
+      const { size } = await fs.stat(partPath);
+
+      if (stored.size !== null && size !== stored.size) {
+        throw new Error(`Received ${size} of ${stored.size} bytes, resume at offset ${size}`);
+      }
+      const digest = await hashFile(partPath);
+      if (digest !== String(sha256 || "").trim().toLowerCase()) {
+        throw new Error(`SHA-256 mismatch: received bytes hash to ${digest}`);
+      }
+
+      await fs.mkdir(path.dirname(targetPath), { recursive: true });
+      await fs.rename(partPath, targetPath);
+      await fs.rm(this.metaPath(id), { force: true });
+      return { path: targetPath, size, sha256: digest };
+    });
+  }
+
+  /**
+   * Discard a session
+   */
+  abort(id: string): Promise<boolean> {
+    return this.withLock(id, async () => {
+      if (!(await this.read(id))) return false;
+      await this.remove(id);
+      return true;
+    });
+  }
+
+  /**
+   * Remove expired sessions and orphaned part files
+   */
+  async cleanup(): Promise<number> {
+    let entries: string[];
+    try {
+      entries = await fs.readdir(this.dir);
+    } catch {
+      return 0;
+    }
+
+    const ids = new Set(entries.map((entry) => entry.replace(/\.(json|part)$/, "")));
+    let removed = 0;
+    for (const id of ids) {
+      if (!SESSION_ID_PATTERN.test(id) || this.locks.has(id)) continue;
+      if (!entries.includes(`${id}.json`) || !entries.includes(`${id}.part`) || (await this.isExpired(id))) {
+        await this.remove(id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  private partPath(id: string): string {
+    return path.join(this.dir, `${id}.part`);
+  }
+
+  private metaPath(id: string): string {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  private async isExpired(id: string): Promise<boolean> {
+    try {
+      const { mtimeMs } = await fs.stat(this.partPath(id));
+      return Date.now() - mtimeMs > this.config.ttl;
+    } catch {
+      return true;
+    }
+  }
+
+  private async read(id: string): Promise<StoredSession | null> {
+    if (!SESSION_ID_PATTERN.test(id || "")) return null;
+    try {
+      const stored = JSON.parse(await fs.readFile(this.metaPath(id), "utf8")) as StoredSession;
+      await fs.access(this.partPath(id));
+      if (await this.isExpired(id)) {
+        await this.remove(id);
+        return null;
+      }
+      return stored;
+    } catch {
+      return null;
+    }
+  }
+
+  private async require(id: string): Promise<StoredSession> {
+    const stored = await this.read(id);
+    if (!stored) {
+      throw new Error(`Upload session "${id}" not found (it may have expired)`);
+    }
+    return stored;
+  }
+
+  private async describe(stored: StoredSession): Promise<UploadSession> {
+    const { size, mtimeMs } = await fs.stat(this.partPath(stored.id));
+    return {
+      ...stored,
+      received: size,
+      updatedAt: new Date(mtimeMs).toISOString(),
+      expiresAt: new Date(mtimeMs + this.config.ttl).toISOString(),
+    };
+  }
+
+  private async remove(id: string): Promise<void> {
+    await fs.rm(this.partPath(id), { force: true });
+    await fs.rm(this.metaPath(id), { force: true });
+  }
+
+  private withLock<T>(id: string, operation: () => Promise<T>): Promise<T> {
+    const previous = this.locks.get(id) || Promise.resolve();
+    const result = previous.then(operation, operation);
+    const settled = result.then(() => undefined, () => undefined);
+    this.locks.set(id, settled);
+    settled.then(() => {
+      if (this.locks.get(id) === settled) this.locks.delete(id);
+    });
+    return result;
+  }
+}
+
+export default UploadSessionStore;
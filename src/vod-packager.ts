@@ -0,0 +1,389 @@
+/**
+ * VOD Packager
+ *
+ * Packages stored videos as multi-rendition HLS so large files seek and
+ * adapt to the viewer's bandwidth instead of streaming as one MP4. Each video
+ * gets its own directory under the cache directory, holding a master
+ * playlist (`master.m3u8`), one VOD media playlist and segment set per
+ * rendition, and a manifest recording the size and modification time of the
+ * source it was made from.
+ *
+ * The ladder never upscales: renditions taller than the source are dropped
+ * and the rest keep the source's aspect ratio. Packages are written to a
+ * temporary directory and renamed into place once complete, and a package
+ * whose source has changed since is discarded the next time it is looked up.
+ * Packaging jobs run one at a time.
+ *
+ * @module vod-packager
+ */
+
+import { EventEmitter } from "events";
+import ffmpeg from "fluent-ffmpeg";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { VideoEncoding, probeSource } from "./encoding-profiles.js";
+import { Rendition, buildLadderOptions, getActiveRenditions, isVideoRendition } from "./hls-ladder.js";
+
+export interface VodConfig {
+  ffmpegPath?: string;
+  ffprobePath?: string;
+  /** Directory packages are cached in, one subdirectory per video */
+  outputDir: string;
+  /** Renditions to package (those taller than the source are skipped) */
+  renditions: Rendition[];
+  /** Segment length in seconds */
+  segmentSeconds?: number;
+  video?: VideoEncoding;
+  debug?: boolean;
+}
+
+export type VodStatus = "none" | "queued" | "packaging" | "ready" | "failed";
+
+export interface VodPackageInfo {
+  /** Package id, derived from the video's name */
+  id: string;
+  name: string;
+  status: VodStatus;
+  /** Packaging progress (0-100) while packaging */
+  progress: number | null;
+  renditions: string[];
+  masterUrl: string | null;
+  error: string | null;
+  completedAt: string | null;
+}
+
+interface VodManifest {
+  name: string;
+  size: number;
+  mtimeMs: number;
+  renditions: string[];
+  completedAt: string;
+}
+
+interface VodJob {
+  info: VodPackageInfo;
+  sourcePath: string;
+  command: any;
+  cancelled: boolean;
+}
+
+interface SourceInfo {
+  width: number | null;
+  height: number | null;
+  hasAudio: boolean;
+  duration: number | null;
+}
+
+const MASTER_PLAYLIST = "master.m3u8";
+const MANIFEST_FILE = "package.json";
+const TEMP_SUFFIX = ".tmp";
+// A stuck ffprobe would hold up the whole queue (ms)
+const PROBE_TIMEOUT = 30000;
+
+async function probeVideo(ffprobePath: string, filePath: string): Promise<SourceInfo> {
+  const probe = await probeSource(ffprobePath, filePath, PROBE_TIMEOUT);
+  return {
+    width: probe.width,
+    height: probe.height,
+    hasAudio: probe.audioCodec !== null,
+    duration: probe.duration,
+  };
+}
+
+function parseTimemark(timemark: string): number {
+  const [hours, minutes, seconds] = timemark.split(":").map(parseFloat);
+  return hours * 3600 + minutes * 60 + seconds;
+}
+
+/**
+ * Fit a ladder to a source: no upscaling, and the source's aspect ratio
+ */
+export function fitRenditions(renditions: Rendition[], width: number, height: number): Rendition[] {
+  const fitting = renditions.filter((rendition) => !isVideoRendition(rendition) || rendition.height! <= height);
+  if (!fitting.some(isVideoRendition)) {
+    // Smaller than the whole ladder: one rendition at the source size
+    const smallest = renditions.filter(isVideoRendition).sort((a, b) => a.height! - b.height!)[0];
+    if (smallest) fitting.unshift({ ...smallest, height });
+  }
+
+  return fitting.map((rendition) => {
+    if (!isVideoRendition(rendition)) return rendition;
+    const renditionHeight = rendition.height! & ~1;
+    return { ...rendition, width: Math.round((renditionHeight * width) / height) & ~1, height: renditionHeight };
+  });
+}
+
+/**
+ * VOD Packager
+ * Cached HLS packages of stored videos
+ */
+export class VodPackager extends EventEmitter {
+  private config: VodConfig;
+  private jobs: Map<string, VodJob>;
+  private queue: Promise<void>;
+
+  constructor(config: VodConfig) {
+    super();
+    this.config = {
+      segmentSeconds: 6,
+      video: { codec: "libx264", preset: "veryfast" },
+      debug: false,
+      // Unset environment overrides keep the defaults
+      ...Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined)),
+    } as VodConfig;
+    this.jobs = new Map();
+    this.queue = Promise.resolve();
+
+    if (this.config.ffmpegPath) {
+      (ffmpeg as any).setFfmpegPath(this.config.ffmpegPath);
+    }
+  }
+
+  /**
+   * Create the cache directory and remove packages left unfinished by a
+   * previous run
+   */
+  load(): void {
+    fs.mkdirSync(this.config.outputDir, { recursive: true });
+    for (const entry of fs.readdirSync(this.config.outputDir)) {
+      if (entry.endsWith(TEMP_SUFFIX)) {
+        fs.rmSync(path.join(this.config.outputDir, entry), { recursive: true, force: true });
+      }
+    }
+  }
+
+  /**
+   * Package id of a video name (its path relative to the storage directory)
+   */
+  getId(name: string): string {
+    return crypto.createHash("sha256").update(name).digest("hex").slice(0, 16);
+  }
+
+  /**
+   * Directory of a completed package, or null when there is none
+   */
+  getPackageDir(id: string): string | null {
+    if (!/^[a-f0-9]{16}$/.test(id)) return null;
+    const dir = path.join(this.config.outputDir, id);
+    return fs.existsSync(path.join(dir, MANIFEST_FILE)) ? dir : null;
+  }
+
+  /**
+   * Package status of a video. A package made from an older version of the
+   * source is deleted.
+   */
+  getPackage(name: string, sourcePath: string): VodPackageInfo {
+    const id = this.getId(name);
+    const job = this.jobs.get(id);
+    if (job) return { ...job.info };
+
+    const manifest = this.readManifest(id);
+    if (manifest) {
+      if (manifest.name === name && this.matchesSource(manifest, sourcePath)) {
+        return {
+          id,
+          name,
+          status: "ready",
+          progress: null,
+          renditions: manifest.renditions,
+          masterUrl: this.getMasterUrl(id),
+          error: null,
+          completedAt: manifest.completedAt,
+        };
+      }
+      console.log(`🗑️ VOD package of ${name} is out of date, removing`);
+      this.removePackage(id);
+    }
+    return this.createInfo(id, name);
+  }
+
+  /**
+   * Queue a video for packaging unless it is packaged or queued already.
+   * A failed package is only retried when `retry` is set.
+   */
+  request(name: string, sourcePath: string, retry = false): VodPackageInfo {
+    const current = this.getPackage(name, sourcePath);
+    if (current.status !== "none" && !(current.status === "failed" && retry)) return current;
+
+    const job: VodJob = {
+      info: { ...this.createInfo(current.id, name), status: "queued" },
+      sourcePath,
+      command: null,
+      cancelled: false,
+    };
+    this.jobs.set(job.info.id, job);
+
+    const run = this.queue.then(() => this.runJob(job));
+    this.queue = run.then(() => undefined, () => undefined);
+    return { ...job.info };
+  }
+
+  /**
+   * Delete a video's package, cancelling a queued or running job
+   */
+  invalidate(name: string): boolean {
+    const id = this.getId(name);
+    const job = this.jobs.get(id);
+    if (job) {
+      job.cancelled = true;
+      job.command?.kill("SIGKILL");
+      this.jobs.delete(id);
+    }
+    const existed = fs.existsSync(path.join(this.config.outputDir, id));
+    this.removePackage(id);
+    return existed || job !== undefined;
+  }
+
+  /**
+   * Delete the packages of all videos under a directory (a name relative to
+   * the storage directory), cancelling their jobs. Returns how many there were.
+   */
+  invalidateDirectory(name: string): number {
+    const prefix = `${name}/`;
+    const names = new Set<string>();
+    for (const job of this.jobs.values()) {
+      if (job.info.name.startsWith(prefix)) names.add(job.info.name);
+    }
+    if (fs.existsSync(this.config.outputDir)) {
+      for (const entry of fs.readdirSync(this.config.outputDir)) {
+        const manifest = entry.endsWith(TEMP_SUFFIX) ? null : this.readManifest(entry);
+        if (manifest?.name.startsWith(prefix)) names.add(manifest.name);
+      }
+    }
+    for (const videoName of names) {
+      this.invalidate(videoName);
+    }
+    return names.size;
+  }
+
+  /**
+   * Stop the running job (the queue is not resumed)
+   */
+  stop(): void {
+    for (const job of this.jobs.values()) {
+      job.cancelled = true;
+      job.command?.kill("SIGKILL");
+    }
+    this.jobs.clear();
+  }
+
+  private createInfo(id: string, name: string): VodPackageInfo {
+    return { id, name, status: "none", progress: null, renditions: [], masterUrl: null, error: null, completedAt: null };
+  }
+
+  private getMasterUrl(id: string): string {
+    return `/hls/vod/${id}/${MASTER_PLAYLIST}`;
+  }
+
+  private readManifest(id: string): VodManifest | null {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.config.outputDir, id, MANIFEST_FILE), "utf8")) as VodManifest;
+    } catch {
+      return null;
+    }
+  }
+
+  private matchesSource(manifest: { size: number; mtimeMs: number }, sourcePath: string): boolean {
+    try {
+      const stat = fs.statSync(sourcePath);
+      return stat.size === manifest.size && stat.mtimeMs === manifest.mtimeMs;
+    } catch {
+      return false;
+    }
+  }
+
+  private removePackage(id: string): void {
+    fs.rmSync(path.join(this.config.outputDir, id), { recursive: true, force: true });
+  }
+
+  private async runJob(job: VodJob): Promise<void> {
+    if (job.cancelled) return;
+    const { id, name } = job.info;
+    const tempDir = path.join(this.config.outputDir, id + TEMP_SUFFIX);
+
+    try {
+      const stat = fs.statSync(job.sourcePath);
+      job.info.status = "packaging";
+      job.info.progress = 0;
+      this.emit("packaging", { ...job.info });
+
+      const source = await probeVideo(this.config.ffprobePath || "ffprobe", job.sourcePath);
+      if (!source.width || !source.height) {
+        throw new Error("The file has no video stream");
+      }
+      const renditions = getActiveRenditions(
+        fitRenditions(this.config.renditions, source.width, source.height),
+        source.hasAudio
+      );
+
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      fs.mkdirSync(tempDir, { recursive: true });
+      await this.encode(job, renditions, source, tempDir);
+      if (job.cancelled) return;
+
+      const manifest: VodManifest = {
+        name,
+        size: stat.size,
+        mtimeMs: stat.mtimeMs,
+        renditions: renditions.map((rendition) => rendition.name),
+        completedAt: new Date().toISOString(),
+      };
+      fs.writeFileSync(path.join(tempDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+      this.removePackage(id);
+      fs.renameSync(tempDir, path.join(this.config.outputDir, id));
+
+      this.jobs.delete(id);
+      console.log(`📦 Packaged ${name} as HLS (${manifest.renditions.join("/")})`);
+      this.emit("ready", this.getPackage(name, job.sourcePath));
+    } catch (error) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      if (job.cancelled) return;
+
+      const message = error instanceof Error ? error.message.trim().split("\n").pop()! : String(error);
+      job.info.status = "failed";
+      job.info.progress = null;
+      job.info.error = message;
+      console.error(`❌ Failed to package ${name} as HLS: ${message}`);
+      this.emit("failed", { ...job.info });
+    }
+  }
+
+  private encode(job: VodJob, renditions: Rendition[], source: SourceInfo, outputDir: string): Promise<void> {
+    return new Promise((resolve, reject) => {
+      const command = ffmpeg(job.sourcePath)
+        .outputOptions([
+          ...buildLadderOptions({
+            renditions,
+            video: this.config.video!,
+            audio: source.hasAudio ? { codec: "aac", channels: "2" } : null,
+            segmentSeconds: this.config.segmentSeconds!,
+            masterName: MASTER_PLAYLIST,
+          }),
+          "-f", "hls",
+          "-hls_time", String(this.config.segmentSeconds),
+          "-hls_playlist_type", "vod",
+          "-hls_segment_filename", path.join(outputDir, "%v_%03d.ts"),
+        ])
+        .output(path.join(outputDir, "%v.m3u8"))
+        .on("start", (commandLine) => {
+          if (this.config.debug) {
+            console.log(`🔧 FFmpeg command: ${commandLine}`);
+          }
+        })
+        .on("progress", (progress) => {
+          if (source.duration && progress.timemark) {
+            const percent = (parseTimemark(progress.timemark) / source.duration) * 100;
+            job.info.progress = Math.min(99, Math.max(0, Math.round(percent)));
+          }
+        })
+        .on("end", () => resolve())
+        .on("error", (err) => reject(err));
+
+      job.command = command;
+      command.run();
+    });
+  }
+}
+
+export default VodPackager;
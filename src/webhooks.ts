@@ -0,0 +1,501 @@
+/**
+ * Webhooks
+ *
+ * Notifies configured HTTP endpoints about things happening in the server:
+ * RTMP broadcasts starting and ending, RTSP cameras giving up after their
+ * reconnect attempts, files uploaded or deleted through the MCP tools and
+ * viewers granted access by the viewing queue.
+ *
+ * Every endpoint subscribes to a list of events (`*` for all) and has its
+ * own secret. Payloads are JSON (`{ id, event, createdAt, data }`) POSTed
+ * with these headers:
+ *
+ * - `X-Webhook-Event`: the event name
+ * - `X-Webhook-Delivery`: the delivery id (stable across retries)
+ * - `X-Webhook-Timestamp`: Unix seconds of the attempt
+ * - `X-Webhook-Signature`: `sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">`
+ *
+ * Endpoints on loopback, private or link-local addresses are refused unless
+ * `allowPrivateTargets` is set; delivery checks the resolved addresses again
+ * and does not follow redirects.
+ *
+ * Deliveries that fail (network error, timeout or a non-2xx response) are
+ * retried with exponential backoff up to `maxAttempts` times. Every delivery
+ * and its attempts are kept in a capped log; pending retries survive a
+ * restart.
+ *
+ * Endpoints live in `webhooks.json` (mode 0600, it holds the secrets) and the
+ * delivery log in `webhook-deliveries.json`.
+ *
+ * @module webhooks
+ */
+
+import crypto from "crypto";
+import dns from "dns";
+import fs from "fs";
+import net from "net";
+import path from "path";
+
+export const WEBHOOK_EVENTS = [
+  "rtmp.publish",
+  "rtmp.done",
+  "rtsp.failed",
+  "file.uploaded",
+  "file.deleted",
+  "queue.granted",
+] as const;
+
+export type WebhookEvent = (typeof WEBHOOK_EVENTS)[number] | "webhook.test";
+
+export interface WebhookEndpoint {
+  id: string;
+  url: string;
+  /** Subscribed events (`*` = all) */
+  events: string[];
+  enabled: boolean;
+  description: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface WebhookInput {
+  url?: string;
+  events?: string[];
+  enabled?: boolean;
+  description?: string;
+}
+
+export interface WebhookAttempt {
+  at: string;
+  /** HTTP status (null when no response arrived) */
+  status: number | null;
+  error: string | null;
+  durationMs: number;
+}
+
+export interface WebhookDelivery {
+  id: string;
+  webhookId: string;
+  event: WebhookEvent;
+  createdAt: string;
+  state: "pending" | "delivered" | "failed";
+  attempts: WebhookAttempt[];
+  nextAttemptAt: string | null;
+  /** Exact body sent on every attempt */
+  payload: string;
+}
+
+export interface DeliveryQuery {
+  webhookId?: string;
+  event?: string;
+  state?: WebhookDelivery["state"];
+  /** Maximum number of deliveries (newest first, default: 50) */
+  limit?: number;
+}
+
+export interface WebhookConfig {
+  /** Attempts per delivery, including the first (default: 6) */
+  maxAttempts?: number;
+  /** Delay before the first retry, doubled on every further failure (ms) */
+  retryDelay?: number;
+  /** Upper bound of the retry delay (ms) */
+  maxRetryDelay?: number;
+  /** Request timeout (ms) */
+  timeout?: number;
+  /** Deliveries kept in the log */
+  logSize?: number;
+  /** Accept endpoints on loopback, private and link-local addresses */
+  allowPrivateTargets?: boolean;
+}
+
+interface StoredEndpoint extends WebhookEndpoint {
+  secret: string;
+}
+
+/**
+ * Signature header value for a payload
+ */
+export function signWebhookPayload(body: string, timestamp: number, secret: string): string {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+// Addresses webhooks may not reach unless private targets are allowed
+// (IPv4 rules also match IPv4-mapped IPv6 addresses)
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3],
+] as const) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [["::", 127], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]] as const) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+function isPrivateAddress(address: string): boolean {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * Host of a URL without the brackets of IPv6 literals
+ */
+function getHostname(url: URL): string {
+  return url.hostname.replace(/^\[(.*)\]$/, "$1");
+}
+
+function validateEndpoint(input: WebhookInput, allowPrivateTargets: boolean): string | null {
+  if (input.url !== undefined) {
+    let url: URL;
+    try {
+      url = new URL(input.url);
+    } catch {
+      return "url must be an http:// or https:// URL";
+    }
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      return "url must be an http:// or https:// URL";
+    }
+    const hostname = getHostname(url);
+    if (!allowPrivateTargets && (isPrivateAddress(hostname) || hostname === "localhost" || hostname.endsWith(".localhost"))) {
+      return "url must not point to a loopback or private address (set WEBHOOK_ALLOW_PRIVATE_TARGETS to allow it)";
+    }
+  }
+  if (input.events !== undefined) {
+    if (!Array.isArray(input.events) || input.events.length === 0) {
+      return "events must be a non-empty list";
+    }
+    const unknown = input.events.find((event) => event !== "*" && !(WEBHOOK_EVENTS as readonly string[]).includes(event));
+    if (unknown) {
+      return `Unknown event "${unknown}" (expected ${WEBHOOK_EVENTS.join(", ")} or *)`;
+    }
+  }
+  return null;
+}
+
+function writeJsonAtomic(filePath: string, data: unknown, mode?: number): void {
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), { mode });
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Webhook Manager
+ * Stores webhook endpoints and delivers events to them
+ */
+export class WebhookManager {
+  private config: WebhookConfig;
+  private dataDir: string;
+  private endpointsPath: string;
+  private deliveriesPath: string;
+  private endpoints: Map<string, StoredEndpoint>;
+  private deliveries: WebhookDelivery[];
+  private retryTimers: Map<string, NodeJS.Timeout>;
+
+  constructor(dataDir: string, config: WebhookConfig = {}) {
+    this.config = {
+      maxAttempts: 6,
+      retryDelay: 5000,
+      maxRetryDelay: 300000,
+      timeout: 10000,
+      logSize: 500,
+      allowPrivateTargets: false,
+      // Unset environment overrides keep the defaults
+      ...Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined)),
+    };
+    this.dataDir = dataDir;
+    this.endpointsPath = path.join(dataDir, "webhooks.json");
+    this.deliveriesPath = path.join(dataDir, "webhook-deliveries.json");
+    this.endpoints = new Map();
+    this.deliveries = [];
+    this.retryTimers = new Map();
+  }
+
+  /**
+   * Load endpoints and the delivery log from disk and resume pending retries
+   */
+  load(): void {
+    this.stop();
+    this.endpoints.clear();
+    this.deliveries = [];
+
+    try {
+      if (fs.existsSync(this.endpointsPath)) {
+        const records = JSON.parse(fs.readFileSync(this.endpointsPath, "utf8")) as StoredEndpoint[];
+        records.forEach((record) => this.endpoints.set(record.id, record));
+      }
+      if (fs.existsSync(this.deliveriesPath)) {
+        this.deliveries = JSON.parse(fs.readFileSync(this.deliveriesPath, "utf8")) as WebhookDelivery[];
+      }
+    } catch (error) {
+      console.error("Error loading webhooks:", error);
+    }
+
+    for (const delivery of this.deliveries) {
+      if (delivery.state === "pending") {
+        const due = delivery.nextAttemptAt ? new Date(delivery.nextAttemptAt).getTime() - Date.now() : 0;
+        this.schedule(delivery, Math.max(0, due));
+      }
+    }
+
+    console.log(`🪝 Loaded ${this.endpoints.size} webhook(s)`);
+  }
+
+  /**
+   * Cancel pending retries (they resume on the next load)
+   */
+  stop(): void {
+    this.retryTimers.forEach((timer) => clearTimeout(timer));
+    this.retryTimers.clear();
+  }
+
+  private saveEndpoints(): void {
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    writeJsonAtomic(this.endpointsPath, Array.from(this.endpoints.values()), 0o600);
+  }
+
+  private saveDeliveries(): void {
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    writeJsonAtomic(this.deliveriesPath, this.deliveries);
+  }
+
+  private toEndpoint(stored: StoredEndpoint): WebhookEndpoint {
+    const { secret, ...endpoint } = stored;
+    return endpoint;
+  }
+
+  /**
+   * List all endpoints (without secrets)
+   */
+  list(): WebhookEndpoint[] {
+    return Array.from(this.endpoints.values()).map((stored) => this.toEndpoint(stored));
+  }
+
+  /**
+   * Get an endpoint by id (without its secret)
+   */
+  get(id: string): WebhookEndpoint | null {
+    const stored = this.endpoints.get(id);
+    return stored ? this.toEndpoint(stored) : null;
+  }
+
+  /**
+   * Register an endpoint. The secret is only returned here.
+   */
+  create(input: WebhookInput): WebhookEndpoint & { secret: string } {
+    if (!input.url) {
+      throw new Error("url is required");
+    }
+    const error = validateEndpoint(input, !!this.config.allowPrivateTargets);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const now = new Date().toISOString();
+    const stored: StoredEndpoint = {
+      id: crypto.randomBytes(6).toString("hex"),
+      url: input.url,
+      events: input.events || ["*"],
+      enabled: input.enabled !== false,
+      description: input.description || "",
+      createdAt: now,
+      updatedAt: now,
+      secret: crypto.randomBytes(32).toString("hex"),
+    };
+    this.endpoints.set(stored.id, stored);
+    this.saveEndpoints();
+    return { ...stored };
+  }
+
+  /**
+   * Update an endpoint; `rotateSecret` issues (and returns) a new secret
+   */
+  update(id: string, changes: WebhookInput & { rotateSecret?: boolean }): WebhookEndpoint & { secret?: string } {
+    const stored = this.endpoints.get(id);
+    if (!stored) {
+      throw new Error(`Webhook "${id}" not found`);
+    }
+    const error = validateEndpoint(changes, !!this.config.allowPrivateTargets);
+    if (error) {
+      throw new Error(error);
+    }
+
+    if (changes.url !== undefined) stored.url = changes.url;
+    if (changes.events !== undefined) stored.events = changes.events;
+    if (changes.enabled !== undefined) stored.enabled = changes.enabled;
+    if (changes.description !== undefined) stored.description = changes.description;
+    if (changes.rotateSecret) {
+      stored.secret = crypto.randomBytes(32).toString("hex");
+    }
+    stored.updatedAt = new Date().toISOString();
+    this.saveEndpoints();
+
+    return changes.rotateSecret ? { ...stored } : this.toEndpoint(stored);
+  }
+
+  /**
+   * Delete an endpoint and cancel its pending retries
+   */
+  remove(id: string): boolean {
+    if (!this.endpoints.delete(id)) {
+      return false;
+    }
+
+    for (const delivery of this.deliveries) {
+      if (delivery.webhookId === id && delivery.state === "pending") {
+        clearTimeout(this.retryTimers.get(delivery.id));
+        this.retryTimers.delete(delivery.id);
+        delivery.state = "failed";
+        delivery.nextAttemptAt = null;
+      }
+    }
+    this.saveEndpoints();
+    this.saveDeliveries();
+    return true;
+  }
+
+  /**
+   * Deliver an event to every enabled endpoint subscribed to it
+   */
+  emit(event: WebhookEvent, data: Record<string, unknown>): void {
+    for (const endpoint of this.endpoints.values()) {
+      if (endpoint.enabled && (endpoint.events.includes("*") || endpoint.events.includes(event))) {
+        this.enqueue(endpoint, event, data);
+      }
+    }
+  }
+
+  /**
+   * Send a `webhook.test` event to one endpoint
+   */
+  test(id: string): WebhookDelivery | null {
+    const endpoint = this.endpoints.get(id);
+    return endpoint ? this.enqueue(endpoint, "webhook.test", { message: "Webhook test" }) : null;
+  }
+
+  /**
+   * Delivery log, newest first
+   */
+  getDeliveries(query: DeliveryQuery = {}): WebhookDelivery[] {
+    return this.deliveries
+      .filter((delivery) =>
+        (!query.webhookId || delivery.webhookId === query.webhookId) &&
+        (!query.event || delivery.event === query.event) &&
+        (!query.state || delivery.state === query.state)
+      )
+      .reverse()
+      .slice(0, query.limit || 50);
+  }
+
+  private enqueue(endpoint: StoredEndpoint, event: WebhookEvent, data: Record<string, unknown>): WebhookDelivery {
+    const id = crypto.randomUUID();
+    const createdAt = new Date().toISOString();
+    const delivery: WebhookDelivery = {
+      id,
+      webhookId: endpoint.id,
+      event,
+      createdAt,
+      state: "pending",
+      attempts: [],
+      nextAttemptAt: createdAt,
+      payload: JSON.stringify({ id, event, createdAt, data }),
+    };
+
+    this.deliveries.push(delivery);
+    const dropped = this.deliveries.splice(0, Math.max(0, this.deliveries.length - this.config.logSize!));
+    dropped.forEach((old) => {
+      clearTimeout(this.retryTimers.get(old.id));
+      this.retryTimers.delete(old.id);
+    });
+    this.saveDeliveries();
+
+    this.schedule(delivery, 0);
+    return delivery;
+  }
+
+  private schedule(delivery: WebhookDelivery, delay: number): void {
+    this.retryTimers.set(delivery.id, setTimeout(() => {
+      this.retryTimers.delete(delivery.id);
+      this.attempt(delivery);
+    }, delay));
+  }
+
+  /**
+   * Refuse endpoints whose host resolves to a loopback or private address
+   * (names may have been re-pointed since the endpoint was registered)
+   */
+  private async checkTarget(endpointUrl: string): Promise<void> {
+    if (this.config.allowPrivateTargets) return;
+
+    const hostname = getHostname(new URL(endpointUrl));
+    const addresses = net.isIP(hostname) ? [hostname] : (await dns.promises.lookup(hostname, { all: true })).map((entry) => entry.address);
+    const blocked = addresses.find(isPrivateAddress);
+    if (blocked) {
+      throw new Error(`${hostname} resolves to the private address ${blocked}`);
+    }
+  }
+
+  private async attempt(delivery: WebhookDelivery): Promise<void> {
+    const endpoint = this.endpoints.get(delivery.webhookId);
+    if (!endpoint) {
+      delivery.state = "failed";
+      delivery.nextAttemptAt = null;
+      this.saveDeliveries();
+      return;
+    }
+
+    const started = Date.now();
+    const timestamp = Math.floor(started / 1000);
+    const result: WebhookAttempt = { at: new Date(started).toISOString(), status: null, error: null, durationMs: 0 };
+
+    try {
+      await this.checkTarget(endpoint.url);
+      const response = await fetch(endpoint.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "BRANDYFICATION-Webhooks",
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Delivery": delivery.id,
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": signWebhookPayload(delivery.payload, timestamp, endpoint.secret),
+        },
+        body: delivery.payload,
+        // A redirect could lead to an address checkTarget refuses
+        redirect: "manual",
+        signal: AbortSignal.timeout(this.config.timeout!),
+      });
+      result.status = response.status;
+      if (!response.ok) {
+        result.error = `HTTP ${response.status}`;
+      }
+      await response.body?.cancel();
+    } catch (error) {
+      // fetch reports network errors as "fetch failed" with the details in `cause`
+      const cause = (error as any)?.cause;
+      result.error = cause?.code || cause?.message || (error instanceof Error ? error.message : String(error));
+    }
+
+    result.durationMs = Date.now() - started;
+    delivery.attempts.push(result);
+
+    if (!result.error) {
+      delivery.state = "delivered";
+      delivery.nextAttemptAt = null;
+    } else if (delivery.attempts.length >= this.config.maxAttempts!) {
+      delivery.state = "failed";
+      delivery.nextAttemptAt = null;
+      console.error(`❌ Webhook ${delivery.event} to ${endpoint.url} failed after ${delivery.attempts.length} attempts: ${result.error}`);
+    } else {
+      const delay = Math.min(this.config.retryDelay! * 2 ** (delivery.attempts.length - 1), this.config.maxRetryDelay!);
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      this.schedule(delivery, delay);
+    }
+
+    // Deliveries dropped from the capped log are not persisted again
+    if (this.deliveries.includes(delivery)) {
+      this.saveDeliveries();
+    }
+  }
+}
+
+export default WebhookManager;
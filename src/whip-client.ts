@@ -0,0 +1,162 @@
+/**
+ * WHIP Client
+ *
+ * Headless WHIP publisher for testing the WHIP endpoint without a browser.
+ * FFmpeg encodes a test pattern (or any input FFmpeg can read) to H.264 and
+ * Opus RTP on the loopback interface; the client sends it over WebRTC.
+ *
+ * @module whip-client
+ * @example
+ * // npm run whip:publish -- http://localhost:6969/whip/mystream
+ * // npm run whip:publish -- http://localhost:6969/whip/mystream --token <key> --input clip.mp4
+ */
+
+import ffmpeg from "fluent-ffmpeg";
+import dgram from "dgram";
+import dotenv from "dotenv";
+import { MediaStreamTrack, RTCPeerConnection, RTCRtpCodecParameters } from "werift";
+
+dotenv.config();
+
+if (process.env.FFMPEG_PATH) {
+  (ffmpeg as any).setFfmpegPath(process.env.FFMPEG_PATH);
+}
+
+interface ClientOptions {
+  url: string;
+  token: string | null;
+  input: string | null;
+}
+
+function parseArgs(argv: string[]): ClientOptions {
+  const options: ClientOptions = { url: "", token: null, input: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--token") options.token = argv[++i];
+    else if (argv[i] === "--input") options.input = argv[++i];
+    else options.url = argv[i];
+  }
+  if (!options.url) {
+    console.error("Usage: whip-client <whip-url> [--token <stream key>] [--input <file or URL>]");
+    process.exit(1);
+  }
+  return options;
+}
+
+/**
+ * Receive RTP packets from FFmpeg and write them to a track
+ */
+function bindTrack(track: MediaStreamTrack): Promise<{ socket: dgram.Socket; port: number }> {
+  return new Promise((resolve) => {
+    const socket = dgram.createSocket("udp4");
+    socket.on("message", (packet) => track.writeRtp(packet));
+    socket.bind(0, "127.0.0.1", () => resolve({ socket, port: socket.address().port }));
+  });
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const pc = new RTCPeerConnection({
+    codecs: {
+      video: [
+        new RTCRtpCodecParameters({
+          mimeType: "video/H264",
+          clockRate: 90000,
+          rtcpFeedback: [{ type: "nack" }, { type: "nack", parameter: "pli" }],
+          parameters: "profile-level-id=42e01f;packetization-mode=1;level-asymmetry-allowed=1",
+        }),
+      ],
+      audio: [new RTCRtpCodecParameters({ mimeType: "audio/opus", clockRate: 48000, channels: 2 })],
+    },
+  });
+  const video = new MediaStreamTrack({ kind: "video" });
+  const audio = new MediaStreamTrack({ kind: "audio" });
+  pc.addTransceiver(video, { direction: "sendonly" });
+  pc.addTransceiver(audio, { direction: "sendonly" });
+
+  await pc.setLocalDescription(await pc.createOffer());
+  if (pc.iceGatheringState !== "complete") {
+    await new Promise<void>((resolve) => {
+      pc.iceGatheringStateChange.subscribe((state) => state === "complete" && resolve());
+    });
+  }
+
+  const response = await fetch(options.url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/sdp",
+      ...(options.token ? { Authorization: `Bearer ${options.token}` } : {}),
+    },
+    body: pc.localDescription!.sdp,
+  });
+  if (response.status !== 201) {
+    console.error(`❌ WHIP endpoint answered ${response.status}: ${await response.text()}`);
+    await pc.close();
+    process.exit(1);
+  }
+  const sessionUrl = new URL(response.headers.get("location")!, options.url).toString();
+  await pc.setRemoteDescription({ type: "answer", sdp: await response.text() });
+  console.log(`🌐 Session created: ${sessionUrl}`);
+
+  const videoRtp = await bindTrack(video);
+  const audioRtp = await bindTrack(audio);
+
+  let stopping = false;
+  const command = options.input
+    ? ffmpeg(options.input).inputOptions(["-re", "-stream_loop", "-1"])
+    : ffmpeg("testsrc2=size=1280x720:rate=30")
+        .inputOptions(["-re", "-f", "lavfi"])
+        .input("sine=frequency=440")
+        .inputOptions(["-re", "-f", "lavfi"]);
+  command
+    .output(`rtp://127.0.0.1:${videoRtp.port}?pkt_size=1200`)
+    .outputOptions(
+      "-map", "0:v:0",
+      "-c:v", "libx264",
+      "-preset", "veryfast",
+      "-tune", "zerolatency",
+      "-profile:v", "baseline",
+      "-pix_fmt", "yuv420p",
+      "-g", "60",
+      "-f", "rtp"
+    )
+    .output(`rtp://127.0.0.1:${audioRtp.port}?pkt_size=1200`)
+    .outputOptions(
+      "-map", options.input ? "0:a:0" : "1:a:0",
+      "-c:a", "libopus",
+      "-ar", "48000",
+      "-ac", "2",
+      "-f", "rtp"
+    )
+    .on("error", (err: Error) => {
+      if (!stopping) console.error("❌ FFmpeg failed:", err.message.trim().split("\n").pop());
+    });
+
+  command.run();
+  console.log("📡 Publishing, press Ctrl+C to stop");
+
+  const stop = async () => {
+    if (stopping) return;
+    stopping = true;
+    (command as any).kill("SIGKILL");
+    videoRtp.socket.close();
+    audioRtp.socket.close();
+    await fetch(sessionUrl, { method: "DELETE" }).catch(() => {});
+    await pc.close();
+    console.log("⏹️ Session ended");
+    process.exit(0);
+  };
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+  pc.connectionStateChange.subscribe((state) => {
+    if (state === "failed" || state === "closed") {
+      console.error(`❌ Peer connection ${state}`);
+      stop();
+    }
+  });
+}
+
+main().catch((error) => {
+  console.error("❌ WHIP client failed:", error instanceof Error ? error.message : error);
+  process.exit(1);
+});
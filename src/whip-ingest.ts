@@ -0,0 +1,359 @@
+/**
+ * WHIP Ingest
+ *
+ * Accepts WebRTC publish sessions negotiated over WHIP (WebRTC-HTTP Ingestion
+ * Protocol, RFC 9725) so browsers and other WebRTC encoders can broadcast
+ * without RTMP. The HTTP server answers the publisher's SDP offer; this module
+ * terminates the peer connection (H.264 video, Opus audio) and hands the media
+ * to an FFmpeg process as plain RTP on the loopback interface.
+ *
+ * FFmpeg keeps the video as is, converts the audio to AAC and publishes the
+ * result to the local RTMP server under the requested stream name, with the
+ * publisher's `key`/`sign` parameters. From there a WHIP broadcast is an
+ * ordinary RTMP stream: it is authorized against the stream key store, listed
+ * with the active streams and gets the same HLS output, restreams and archive.
+ *
+ * ICE candidates are gathered before answering (no trickle ICE). Keyframes are
+ * requested from the publisher every `keyframeInterval` so HLS segments can be
+ * cut regularly.
+ *
+ * @module whip-ingest
+ */
+
+import { EventEmitter } from "events";
+import ffmpeg from "fluent-ffmpeg";
+import crypto from "crypto";
+import dgram from "dgram";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { MediaStreamTrack, RTCPeerConnection, RTCRtpCodecParameters, RTCRtpTransceiver } from "werift";
+
+export interface WhipConfig {
+  ffmpegPath?: string;
+  /** STUN/TURN server URLs offered to the peer connection */
+  iceServers?: string[];
+  /** UDP port range used for ICE, e.g. to open it in a firewall */
+  icePortRange?: [number, number];
+  /** How often a keyframe is requested from the publisher (ms) */
+  keyframeInterval?: number;
+  /** How long a session may take to connect (ms) */
+  connectTimeout?: number;
+  debug?: boolean;
+}
+
+export interface WhipSessionInfo {
+  id: string;
+  streamName: string;
+  state: "connecting" | "live" | "closed";
+  createdAt: Date;
+  /** Negotiated codecs */
+  video: string | null;
+  audio: string | null;
+}
+
+interface MediaForward {
+  kind: "video" | "audio";
+  codec: RTCRtpCodecParameters;
+  port: number;
+  track: MediaStreamTrack | null;
+  transceiver: RTCRtpTransceiver;
+}
+
+interface WhipSession {
+  info: WhipSessionInfo;
+  pc: RTCPeerConnection;
+  socket: dgram.Socket;
+  forwards: MediaForward[];
+  publishUrl: string;
+  sdpPath: string;
+  command: any;
+  keyframeTimer: NodeJS.Timeout | null;
+  connectTimer: NodeJS.Timeout | null;
+}
+
+const ICE_GATHERING_TIMEOUT = 5000;
+// Time FFmpeg gets to open its RTP ports before the first keyframe is requested (ms)
+const FFMPEG_STARTUP_DELAY = 1000;
+
+const VIDEO_CODEC = new RTCRtpCodecParameters({
+  mimeType: "video/H264",
+  clockRate: 90000,
+  rtcpFeedback: [{ type: "nack" }, { type: "nack", parameter: "pli" }, { type: "goog-remb" }],
+  parameters: "profile-level-id=42e01f;packetization-mode=1;level-asymmetry-allowed=1",
+});
+
+const AUDIO_CODEC = new RTCRtpCodecParameters({
+  mimeType: "audio/opus",
+  clockRate: 48000,
+  channels: 2,
+});
+
+/**
+ * A free UDP port on the loopback interface
+ */
+function findFreePort(): Promise<number> {
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket("udp4");
+    socket.on("error", reject);
+    socket.bind(0, "127.0.0.1", () => {
+      const { port } = socket.address();
+      socket.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * SDP describing the forwarded RTP streams to FFmpeg
+ */
+function buildFfmpegSdp(forwards: MediaForward[]): string {
+  const lines = ["v=0", "o=- 0 0 IN IP4 127.0.0.1", "s=WHIP", "c=IN IP4 127.0.0.1", "t=0 0"];
+  for (const forward of forwards) {
+    const { codec } = forward;
+    const name = codec.mimeType.split("/")[1];
+    lines.push(`m=${forward.kind} ${forward.port} RTP/AVP ${codec.payloadType}`);
+    lines.push(`a=rtpmap:${codec.payloadType} ${name}/${codec.clockRate}${codec.channels ? `/${codec.channels}` : ""}`);
+    if (codec.parameters) {
+      lines.push(`a=fmtp:${codec.payloadType} ${codec.parameters}`);
+    }
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * WHIP Ingest
+ * WebRTC publish sessions relayed into the local RTMP server
+ */
+export class WhipIngest extends EventEmitter {
+  private config: WhipConfig;
+  private sessions: Map<string, WhipSession>;
+
+  constructor(config: WhipConfig = {}) {
+    super();
+    this.config = {
+      ffmpegPath: "ffmpeg",
+      iceServers: [],
+      keyframeInterval: 2000,
+      connectTimeout: 30000,
+      debug: false,
+      ...config,
+    };
+    this.sessions = new Map();
+
+    if (this.config.ffmpegPath) {
+      (ffmpeg as any).setFfmpegPath(this.config.ffmpegPath);
+    }
+  }
+
+  /**
+   * Answer a publisher's SDP offer. The session publishes to `publishUrl`
+   * (the local RTMP server) once the peer connection is up.
+   */
+  async createSession(streamName: string, offer: string, publishUrl: string): Promise<{ id: string; answer: string }> {
+    const pc = new RTCPeerConnection({
+      codecs: { video: [VIDEO_CODEC], audio: [AUDIO_CODEC] },
+      iceServers: this.config.iceServers!.map((url) => ({ urls: url })),
+      icePortRange: this.config.icePortRange,
+    });
+
+    try {
+      await pc.setRemoteDescription({ type: "offer", sdp: offer });
+    } catch (error) {
+      await pc.close();
+      throw new Error(`Invalid SDP offer: ${error instanceof Error ? error.message : error}`);
+    }
+
+    const forwards: MediaForward[] = [];
+    for (const transceiver of pc.getTransceivers()) {
+      const codec = transceiver.codecs[0];
+      if ((transceiver.kind !== "video" && transceiver.kind !== "audio") || !codec) continue;
+      if (forwards.some((forward) => forward.kind === transceiver.kind)) continue;
+      transceiver.setDirection("recvonly");
+      forwards.push({ kind: transceiver.kind, codec, port: await findFreePort(), track: null, transceiver });
+    }
+    if (!forwards.some((forward) => forward.kind === "video")) {
+      await pc.close();
+      throw new Error("Invalid SDP offer: no H.264 video track");
+    }
+
+    await pc.setLocalDescription(await pc.createAnswer());
+    await this.waitForIceGathering(pc);
+
+    const id = crypto.randomUUID();
+    const session: WhipSession = {
+      info: {
+        id,
+        streamName,
+        state: "connecting",
+        createdAt: new Date(),
+        video: forwards.find((forward) => forward.kind === "video")!.codec.name.toLowerCase(),
+        audio: forwards.find((forward) => forward.kind === "audio")?.codec.name.toLowerCase() ?? null,
+      },
+      pc,
+      socket: dgram.createSocket("udp4"),
+      forwards,
+      publishUrl,
+      sdpPath: path.join(os.tmpdir(), `whip-${id}.sdp`),
+      command: null,
+      keyframeTimer: null,
+      connectTimer: null,
+    };
+    this.sessions.set(id, session);
+
+    for (const forward of forwards) {
+      const attach = (track: MediaStreamTrack) => {
+        if (forward.track) return;
+        forward.track = track;
+        track.onReceiveRtp.subscribe((rtp) => {
+          // Retransmissions (RTX) are repaired by the receiver and arrive with the codec's payload type
+          if (session.command && rtp.header.payloadType === forward.codec.payloadType) {
+            session.socket.send(rtp.serialize(), forward.port, "127.0.0.1");
+          }
+        });
+      };
+      // Tracks announced with SSRCs in the offer already exist; others appear with their first packet
+      forward.transceiver.receiver.tracks.forEach(attach);
+      forward.transceiver.onTrack.subscribe(attach);
+    }
+
+    pc.connectionStateChange.subscribe((state) => {
+      if (state === "connected") {
+        this.startRelay(session);
+      } else if (state === "failed" || state === "closed") {
+        this.stopSession(id, `Peer connection ${state}`);
+      }
+    });
+
+    session.connectTimer = setTimeout(() => {
+      if (session.info.state === "connecting") {
+        this.stopSession(id, "Peer connection timed out");
+      }
+    }, this.config.connectTimeout);
+
+    console.log(`🌐 WHIP session ${id} for ${streamName} negotiated`);
+    return { id, answer: pc.localDescription!.sdp };
+  }
+
+  /**
+   * End a session (publisher sent DELETE, connection lost or relay failed)
+   */
+  stopSession(id: string, reason = "Publisher ended the session"): boolean {
+    const session = this.sessions.get(id);
+    if (!session) return false;
+
+    this.sessions.delete(id);
+    session.info.state = "closed";
+    if (session.connectTimer) clearTimeout(session.connectTimer);
+    if (session.keyframeTimer) clearInterval(session.keyframeTimer);
+
+    const command = session.command;
+    session.command = null;
+    if (command) {
+      command.kill("SIGKILL");
+    }
+    session.socket.close();
+    session.pc.close().catch(() => {});
+    fs.rmSync(session.sdpPath, { force: true });
+
+    console.log(`⏹️ WHIP session ${id} for ${session.info.streamName} ended: ${reason}`);
+    this.emit("sessionEnd", { ...session.info }, reason);
+    return true;
+  }
+
+  /**
+   * End all sessions
+   */
+  stopAll(): void {
+    for (const id of Array.from(this.sessions.keys())) {
+      this.stopSession(id, "Server shutting down");
+    }
+  }
+
+  /**
+   * Get a session
+   */
+  getSession(id: string): WhipSessionInfo | null {
+    const session = this.sessions.get(id);
+    return session ? { ...session.info } : null;
+  }
+
+  /**
+   * List open sessions
+   */
+  listSessions(): WhipSessionInfo[] {
+    return Array.from(this.sessions.values()).map((session) => ({ ...session.info }));
+  }
+
+  private async waitForIceGathering(pc: RTCPeerConnection): Promise<void> {
+    if (pc.iceGatheringState === "complete") return;
+
+    await new Promise<void>((resolve) => {
+      const timer = setTimeout(resolve, ICE_GATHERING_TIMEOUT);
+      pc.iceGatheringStateChange.subscribe((state) => {
+        if (state === "complete") {
+          clearTimeout(timer);
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Start FFmpeg publishing the session's RTP streams to the RTMP server
+   */
+  private startRelay(session: WhipSession): void {
+    if (session.command || session.info.state === "closed") return;
+
+    fs.writeFileSync(session.sdpPath, buildFfmpegSdp(session.forwards));
+    const hasAudio = session.forwards.some((forward) => forward.kind === "audio");
+
+    const command = ffmpeg(session.sdpPath)
+      .inputOptions(["-protocol_whitelist", "file,udp,rtp", "-f", "sdp"])
+      .outputOptions(
+        "-map", "0:v:0",
+        ...(hasAudio ? ["-map", "0:a:0", "-c:a", "aac", "-b:a", "128k", "-ar", "44100"] : []),
+        "-c:v", "copy",
+        "-f", "flv"
+      )
+      .output(session.publishUrl)
+      .on("start", (commandLine) => {
+        if (this.config.debug) {
+          console.log(`🔧 FFmpeg command: ${commandLine.split(session.publishUrl).join(session.publishUrl.split("?")[0])}`);
+        }
+      })
+      .on("progress", () => {
+        if (session.command === command && session.info.state === "connecting") {
+          session.info.state = "live";
+          console.log(`✅ WHIP session ${session.info.id} is live as ${session.info.streamName}`);
+        }
+      })
+      .on("error", (err) => {
+        if (session.command === command) {
+          this.stopSession(session.info.id, `Relay failed: ${err.message.trim().split("\n").pop()}`);
+        }
+      })
+      .on("end", () => {
+        if (session.command === command) {
+          this.stopSession(session.info.id, "Relay ended");
+        }
+      });
+
+    session.command = command;
+    if (session.connectTimer) {
+      clearTimeout(session.connectTimer);
+      session.connectTimer = null;
+    }
+    command.run();
+
+    const requestKeyframe = () => {
+      const video = session.forwards.find((forward) => forward.kind === "video");
+      if (video?.track?.ssrc !== undefined) {
+        video.transceiver.receiver.sendRtcpPLI(video.track.ssrc).catch(() => {});
+      }
+    };
+    setTimeout(requestKeyframe, FFMPEG_STARTUP_DELAY);
+    session.keyframeTimer = setInterval(requestKeyframe, this.config.keyframeInterval);
+  }
+}
+
+export default WhipIngest;